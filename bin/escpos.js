@@ -6,7 +6,23 @@
  */
 
 const { program } = require('commander');
-const { parseHexString, parseFile, generateReport } = require('../lib/parser');
+const {
+  parseHexString,
+  parseFile,
+  parseBuffer,
+  generateReport,
+  formatReport,
+  formatAsHtml,
+  formatAsHexdump,
+  renderPng,
+  extractImages,
+  hexToBuffer,
+} = require('../lib/parser');
+const { createProxy, DEFAULT_PORT } = require('../lib/proxy');
+const { lintBuffer, formatFindings, countFindings } = require('../lib/lint');
+const { PROFILES } = require('../lib/profiles');
+const { diffJobs, formatDiff } = require('../lib/diff');
+const { extractReceipt, RULE_SETS } = require('../lib/extract');
 const fs = require('fs');
 const path = require('path');
 
@@ -16,7 +32,9 @@ const packageJson = require(path.join(__dirname, '../package.json'));
 program
   .name('escpos')
   .description('ESC/POS 打印机指令解析工具')
-  .version(packageJson.version);
+  .version(packageJson.version)
+  // 子命令之后的选项交给子命令处理（如 proxy -p 为端口，lint -p 为型号）
+  .enablePositionalOptions();
 
 // 直接解析16进制字符串
 program
@@ -25,9 +43,15 @@ program
   .option('-h, --hex <hexString>', '指定16进制字符串')
   .option('-e, --encoding <encoding>', '指定文本编码', 'gbk')
   .option('-o, --output <file>', '输出到文件')
+  .option(
+    '-p, --profile <name>',
+    `打印机型号（${Object.keys(PROFILES).join(', ')}）或型号配置 JSON 文件`
+  )
+  .option('--extract-images <dir>', '将位图导出为PNG文件到指定目录')
+  .option('--with-state', 'JSON 输出中为文本项目附加生效的打印机状态')
   .option(
     '--format <type>',
-    '输出格式: text(纯文本), json(JSON格式), 默认为详细格式',
+    '输出格式: text(纯文本), json(JSON格式), html(打印预览页面), png(点阵渲染图，需配合 -o), hexdump(带指令注释的十六进制转储), 默认为详细格式',
     'detailed'
   )
   .option('--help-examples', '显示使用示例')
@@ -43,7 +67,7 @@ program
     try {
       if (options.file) {
         // 从文件解析
-        if (options.format !== 'text') {
+        if (!isPlainOutput(options)) {
           console.log(`正在解析文件: ${options.file}`);
         }
 
@@ -58,7 +82,7 @@ program
       } else if (options.hex || hexString) {
         // 从十六进制字符串解析
         const hex = options.hex || hexString;
-        if (options.format !== 'text') {
+        if (!isPlainOutput(options)) {
           console.log(
             `正在解析16进制字符串: ${hex.substring(0, 50)}${
               hex.length > 50 ? '...' : ''
@@ -72,54 +96,55 @@ program
         process.exit(1);
       }
 
+      // 导出位图
+      if (options.extractImages) {
+        const files = extractImages(result, options.extractImages);
+        if (!isPlainOutput(options)) {
+          console.log(
+            `已导出 ${files.length} 张图像到: ${options.extractImages}`
+          );
+        }
+      }
+
       // 生成报告
-      const report = generateReport(result);
+      const renderOptions = { profile: options.profile };
+      const report = generateReport(result, {
+        ...renderOptions,
+        withState: options.withState,
+      });
       let output;
 
       // 根据选项输出结果
       if (options.format === 'text') {
         output = report.formattedText;
+      } else if (options.format === 'html') {
+        output = formatAsHtml(result, renderOptions);
+      } else if (options.format === 'png') {
+        if (!options.output) {
+          console.error('错误: png 格式需要使用 -o 指定输出文件');
+          process.exit(1);
+        }
+        output = renderPng(result, renderOptions);
+      } else if (options.format === 'hexdump') {
+        output = formatAsHexdump(
+          result,
+          readInput(options.hex || hexString, options)
+        );
       } else if (options.format === 'json') {
         output = JSON.stringify(report, null, 2);
       } else {
         // 默认格式：显示详细解析结果
-        const lines = [];
-        lines.push('='.repeat(60));
-        lines.push('ESC/POS 解析结果');
-        lines.push('='.repeat(60));
-        lines.push(`总项目数: ${report.summary.totalItems}`);
-        lines.push(`指令数量: ${report.summary.commands}`);
-        lines.push(`文本块数: ${report.summary.textBlocks}`);
-        lines.push(`文本字节: ${report.summary.totalBytes}`);
-        lines.push('');
-        lines.push('详细解析结果:');
-        lines.push('-'.repeat(40));
-
-        report.items.forEach((item, index) => {
-          if (item.type === 'command') {
-            lines.push(`${index + 1}. ${item.description}`);
-            if (item.value !== undefined) {
-              lines.push(`  值: ${item.value}`);
-            }
-          } else if (item.type === 'text') {
-            lines.push(`${index + 1}. 文本: "${item.text}"`);
-            lines.push(
-              `  字节: ${item.bytes
-                .map((b) => b.toString(16).toUpperCase().padStart(2, '0'))
-                .join(' ')}`
-            );
-          }
-        });
-
-        lines.push('');
-        lines.push(report.formattedText);
-        output = lines.join('\n');
+        output = formatReport(report);
       }
 
       // 输出结果
       if (options.output) {
         try {
-          fs.writeFileSync(options.output, output, 'utf8');
+          fs.writeFileSync(
+            options.output,
+            output,
+            Buffer.isBuffer(output) ? undefined : 'utf8'
+          );
           console.log(`结果已保存到: ${options.output}`);
         } catch (error) {
           console.error(`保存文件失败: ${error.message}`);
@@ -134,6 +159,210 @@ program
     }
   });
 
+// 打印代理：监听原始 TCP 端口，解析并转发打印任务
+program
+  .command('proxy')
+  .description('作为网络打印机监听端口，实时解析收到的打印任务')
+  .option('-p, --port <port>', '监听端口', String(DEFAULT_PORT))
+  .option('--host <host>', '监听地址', '0.0.0.0')
+  .option(
+    '-u, --upstream <host:port>',
+    '转发到真实打印机，不指定时作为模拟打印机'
+  )
+  .option('-s, --save <dir>', '将每个任务保存为 .bin 文件到指定目录')
+  .option('-e, --encoding <encoding>', '指定文本编码', 'gbk')
+  .action((options) => {
+    try {
+      const server = createProxy({
+        upstream: options.upstream,
+        saveDir: options.save,
+        encoding: options.encoding,
+      });
+
+      server.on('error', (error) => {
+        console.error(`代理错误: ${error.message}`);
+        process.exit(1);
+      });
+
+      server.listen(parseInt(options.port, 10), options.host, () => {
+        console.log(
+          `正在监听 ${options.host}:${server.address().port}` +
+            (options.upstream
+              ? `，转发到 ${options.upstream}`
+              : '（模拟打印机）')
+        );
+      });
+    } catch (error) {
+      console.error(`启动代理失败: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// 检查打印任务中的问题，存在错误时以状态码1退出，出错时为2
+program
+  .command('lint')
+  .description('检查打印任务中的未知指令、无效参数、截断指令等问题')
+  .argument('[hexString]', '16进制字符串（可选）')
+  .option('-f, --file <path>', '从文件读取数据')
+  .option('-e, --encoding <encoding>', '指定文本编码', 'gbk')
+  .option(
+    '-p, --profile <name>',
+    '打印机型号或型号配置 JSON 文件，同时检查型号不支持的指令'
+  )
+  .option('-w, --line-width <columns>', '每行字符数，默认取自打印机型号')
+  .option('--format <type>', '输出格式: text(逐行列出), json(JSON格式)', 'text')
+  .action((hexString, options) => {
+    let findings;
+
+    try {
+      const buffer = readInput(hexString, options);
+      findings = lintBuffer(buffer, {
+        encoding: options.encoding,
+        profile: options.profile,
+        lineWidth: options.lineWidth && parseInt(options.lineWidth, 10),
+      });
+    } catch (error) {
+      console.error(`检查错误: ${error.message}`);
+      process.exit(2);
+    }
+
+    if (options.format === 'json') {
+      console.log(JSON.stringify(findings, null, 2));
+    } else {
+      console.log(formatFindings(findings));
+    }
+
+    if (countFindings(findings).error > 0) {
+      process.exit(1);
+    }
+  });
+
+// 比较两个打印任务，存在差异时以状态码1退出，出错时为2
+program
+  .command('diff')
+  .description('按文本行、样式和指令比较两个打印任务')
+  .argument('<fileA>', '原任务文件（.bin 或 .hex）')
+  .argument('<fileB>', '新任务文件（.bin 或 .hex）')
+  .option('-e, --encoding <encoding>', '指定文本编码', 'gbk')
+  .option('-c, --context <lines>', '差异前后显示的相同行数', '3')
+  .option(
+    '--format <type>',
+    '输出格式: text(统一差异格式), json(JSON格式)',
+    'text'
+  )
+  .option('--no-color', '不使用终端颜色')
+  .action((fileA, fileB, options) => {
+    let result;
+
+    try {
+      const itemsA = parseBuffer(
+        readInput(null, { file: fileA }),
+        options.encoding
+      );
+      const itemsB = parseBuffer(
+        readInput(null, { file: fileB }),
+        options.encoding
+      );
+      result = diffJobs(itemsA, itemsB);
+    } catch (error) {
+      console.error(`比较错误: ${error.message}`);
+      process.exit(2);
+    }
+
+    if (options.format === 'json') {
+      const { operations, ...summary } = result;
+      console.log(JSON.stringify(summary, null, 2));
+    } else if (result.equal) {
+      console.log('两个打印任务内容相同');
+    } else {
+      console.log(
+        formatDiff(result, {
+          color: options.color && process.stdout.isTTY,
+          context: parseInt(options.context, 10),
+          labelA: fileA,
+          labelB: fileB,
+        })
+      );
+    }
+
+    if (!result.equal) {
+      process.exit(1);
+    }
+  });
+
+// 提取小票内容，输出结构化 JSON
+program
+  .command('extract')
+  .description('提取小票的商户信息、商品明细、合计金额、支付方式与条码内容')
+  .argument('[hexString]', '16进制字符串（可选）')
+  .option('-f, --file <path>', '从文件读取数据')
+  .option('-e, --encoding <encoding>', '指定文本编码', 'gbk')
+  .option('-p, --profile <name>', '打印机型号或型号配置 JSON 文件')
+  .option(
+    '-r, --rules <name>',
+    `提取规则（${Object.keys(RULE_SETS).join(
+      ', '
+    )}）或规则 JSON 文件，默认按是否含有汉字自动选择`,
+    'auto'
+  )
+  .option('-o, --output <file>', '输出到文件')
+  .action((hexString, options) => {
+    try {
+      const document = extractReceipt(readInput(hexString, options), {
+        encoding: options.encoding,
+        profile: options.profile,
+        rules: options.rules,
+      });
+      const output = JSON.stringify(document, null, 2);
+
+      if (options.output) {
+        fs.writeFileSync(options.output, output, 'utf8');
+        console.log(`结果已保存到: ${options.output}`);
+      } else {
+        console.log(output);
+      }
+    } catch (error) {
+      console.error(`提取错误: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * 读取命令行指定的数据源
+ * .hex 文件与命令行参数按16进制字符串处理，其他文件按二进制读取
+ * @param {string} hexString - 命令行参数中的16进制字符串
+ * @param {Object} options - 命令行选项
+ * @returns {Buffer} 数据缓冲区
+ * @throws {Error} 当未指定数据源时抛出错误
+ */
+function readInput(hexString, options) {
+  if (options.file) {
+    if (options.file.toLowerCase().endsWith('.hex')) {
+      return hexToBuffer(fs.readFileSync(options.file, 'utf8'));
+    }
+    return fs.readFileSync(options.file);
+  }
+
+  if (hexString) {
+    return hexToBuffer(hexString);
+  }
+
+  throw new Error('请指定要解析的数据源');
+}
+
+/**
+ * 判断是否只输出格式化内容（不输出进度信息）
+ * @param {Object} options - 命令行选项
+ * @returns {boolean}
+ */
+function isPlainOutput(options) {
+  return (
+    options.format === 'text' ||
+    options.format === 'html' ||
+    options.format === 'hexdump'
+  );
+}
+
 /**
  * 显示使用示例
  */
@@ -161,6 +390,33 @@ escpos -h "1B401B610148656C6C6F20576F726C640A" -o result.json --format json
 # 只输出格式化后的打印内容
 escpos -f receipt.bin --format text
 
+# 生成HTML打印预览页面
+escpos -f receipt.bin --format html -o receipt.html
+
+# 按打印机分辨率渲染整张小票为PNG图片
+escpos -f receipt.bin --format png -o receipt.png
+
+# 将小票中的位图导出为PNG文件
+escpos -f receipt.bin --extract-images ./images
+
+# 输出带指令注释的十六进制转储，便于与抓包数据对照
+escpos -f receipt.bin --format hexdump
+
+# 按 58mm 打印机（每行32字符）格式化输出
+escpos -f receipt.bin --format text --profile generic-58mm
+
+# 检查打印任务中的问题，存在错误时退出码为1，出错时为2
+escpos lint -f receipt.bin --profile tm-t20
+
+# 比较两个打印任务的文本、样式与指令，有差异时退出码为1
+escpos diff old-receipt.bin new-receipt.bin
+
+# 提取商户、商品明细、合计金额与支付方式为 JSON（中文小票使用 zh 规则）
+escpos extract -f receipt.bin --rules zh
+
+# 作为网络打印机监听9100端口，解析任务并转发到真实打印机
+escpos proxy -p 9100 -u 192.168.1.100:9100 -s ./jobs
+
 ## 通过npm脚本使用
 
 # 解析16进制字符串
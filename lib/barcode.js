@@ -0,0 +1,127 @@
+/**
+ * 一维条码 (GS k) 相关定义
+ * 包含条码类型表、HRI 设置以及 Code128 数据解码
+ */
+
+// 条码类型: 功能A (m=0~6, NUL结尾) 与功能B (m=65~78, 长度前缀)
+const BARCODE_SYSTEMS = {
+  0: 'UPC-A',
+  1: 'UPC-E',
+  2: 'EAN13',
+  3: 'EAN8',
+  4: 'CODE39',
+  5: 'ITF',
+  6: 'CODABAR',
+  65: 'UPC-A',
+  66: 'UPC-E',
+  67: 'EAN13',
+  68: 'EAN8',
+  69: 'CODE39',
+  70: 'ITF',
+  71: 'CODABAR',
+  72: 'CODE93',
+  73: 'CODE128',
+  74: 'GS1-128',
+  75: 'GS1 DataBar Omnidirectional',
+  76: 'GS1 DataBar Truncated',
+  77: 'GS1 DataBar Limited',
+  78: 'GS1 DataBar Expanded',
+};
+
+// HRI 字符打印位置
+const HRI_POSITIONS = {
+  0: 'none',
+  1: 'above',
+  2: 'below',
+  3: 'both',
+};
+
+const HRI_POSITION_NAMES = {
+  none: '不打印',
+  above: '条码上方',
+  below: '条码下方',
+  both: '条码上下方',
+};
+
+// 打印机初始化后的条码默认设置
+const DEFAULT_BARCODE_SETTINGS = {
+  height: 162,
+  moduleWidth: 3,
+  hriPosition: 'none',
+  hriFont: 'A',
+};
+
+/**
+ * 判断条码指令是否为功能A格式（以 NUL 结尾）
+ * @param {number} system - 条码类型参数 m
+ * @returns {boolean}
+ */
+function isFunctionA(system) {
+  return system <= 6;
+}
+
+/**
+ * 解码条码数据
+ * Code128 与 GS1-128 需要处理 {A {B {C 等代码集前缀
+ * @param {string} symbology - 条码类型名称
+ * @param {Array} bytes - 条码数据字节
+ * @returns {Object} 包含 text（可读数据）和 codeSets（使用的代码集）的对象
+ */
+function decodeBarcodeData(symbology, bytes) {
+  if (symbology === 'CODE128' || symbology === 'GS1-128') {
+    return decodeCode128(bytes);
+  }
+
+  return {
+    text: Buffer.from(bytes).toString('latin1'),
+    codeSets: [],
+  };
+}
+
+/**
+ * 解码 Code128 数据
+ * 代码集 C 中每个字节表示两位数字 (0~99)
+ * @param {Array} bytes - 条码数据字节
+ * @returns {Object} 包含 text 和 codeSets 的对象
+ */
+function decodeCode128(bytes) {
+  let text = '';
+  let codeSet = null;
+  const codeSets = [];
+
+  for (let i = 0; i < bytes.length; i++) {
+    const byte = bytes[i];
+
+    // 处理以 '{' 开头的控制前缀
+    if (byte === 0x7b && i + 1 < bytes.length) {
+      const next = String.fromCharCode(bytes[i + 1]);
+      i++;
+
+      if (next === 'A' || next === 'B' || next === 'C') {
+        codeSet = next;
+        codeSets.push(next);
+      } else if (next === '{') {
+        text += '{';
+      }
+      // {S (SHIFT) 与 {1~{4 (FNC1~FNC4) 不产生可读字符
+      continue;
+    }
+
+    if (codeSet === 'C') {
+      text += String(byte).padStart(2, '0');
+    } else {
+      text += String.fromCharCode(byte);
+    }
+  }
+
+  return { text, codeSets };
+}
+
+module.exports = {
+  BARCODE_SYSTEMS,
+  HRI_POSITIONS,
+  HRI_POSITION_NAMES,
+  DEFAULT_BARCODE_SETTINGS,
+  isFunctionA,
+  decodeBarcodeData,
+};
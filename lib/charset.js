@@ -0,0 +1,405 @@
+/**
+ * 字符代码表 (ESC t) 与国际字符集 (ESC R)
+ * 打印任务选择代码表后，文本按对应的单字节编码解码；
+ * 国际字符集替换 ASCII 中的 12 个字符
+ */
+
+const iconv = require('iconv-lite');
+
+// 字符代码表 n: 名称与 iconv-lite 编码
+const CODE_PAGES = {
+  0: { name: 'PC437', encoding: 'cp437' },
+  1: { name: 'Katakana', encoding: 'katakana' },
+  2: { name: 'PC850', encoding: 'cp850' },
+  3: { name: 'PC860', encoding: 'cp860' },
+  4: { name: 'PC863', encoding: 'cp863' },
+  5: { name: 'PC865', encoding: 'cp865' },
+  13: { name: 'PC857', encoding: 'cp857' },
+  14: { name: 'PC737', encoding: 'cp737' },
+  15: { name: 'ISO8859-7', encoding: 'iso88597' },
+  16: { name: 'WPC1252', encoding: 'cp1252' },
+  17: { name: 'PC866', encoding: 'cp866' },
+  18: { name: 'PC852', encoding: 'cp852' },
+  19: { name: 'PC858', encoding: 'cp858' },
+  20: { name: 'Thai42', encoding: 'tis620' },
+  21: { name: 'Thai11', encoding: 'tis620' },
+  26: { name: 'Thai18', encoding: 'tis620' },
+  32: { name: 'PC720', encoding: 'cp720' },
+  33: { name: 'WPC775', encoding: 'cp775' },
+  34: { name: 'PC855', encoding: 'cp855' },
+  35: { name: 'PC861', encoding: 'cp861' },
+  36: { name: 'PC862', encoding: 'cp862' },
+  37: { name: 'PC864', encoding: 'cp864' },
+  38: { name: 'PC869', encoding: 'cp869' },
+  39: { name: 'ISO8859-2', encoding: 'iso88592' },
+  40: { name: 'ISO8859-15', encoding: 'iso885915' },
+  44: { name: 'PC1125', encoding: 'cp1125' },
+  45: { name: 'WPC1250', encoding: 'cp1250' },
+  46: { name: 'WPC1251', encoding: 'cp1251' },
+  47: { name: 'WPC1253', encoding: 'cp1253' },
+  48: { name: 'WPC1254', encoding: 'cp1254' },
+  49: { name: 'WPC1255', encoding: 'cp1255' },
+  50: { name: 'WPC1256', encoding: 'cp1256' },
+  51: { name: 'WPC1257', encoding: 'cp1257' },
+  52: { name: 'WPC1258', encoding: 'cp1258' },
+  53: { name: 'KZ-1048', encoding: 'rk1048' },
+};
+
+// 国际字符集替换的 ASCII 字符位置
+const CHARSET_POSITIONS = '#$@[\\]^`{|}~';
+
+// 国际字符集 n: 名称与替换后的字符（与 CHARSET_POSITIONS 一一对应）
+const CHARSETS = {
+  0: { name: 'USA', label: '美国', chars: '#$@[\\]^`{|}~' },
+  1: { name: 'France', label: '法国', chars: '#$à°ç§^`éùè¨' },
+  2: { name: 'Germany', label: '德国', chars: '#$§ÄÖÜ^`äöüß' },
+  3: { name: 'UK', label: '英国', chars: '£$@[\\]^`{|}~' },
+  4: { name: 'Denmark I', label: '丹麦 I', chars: '#$@ÆØÅ^`æøå~' },
+  5: { name: 'Sweden', label: '瑞典', chars: '#¤ÉÄÖÅÜéäöåü' },
+  6: { name: 'Italy', label: '意大利', chars: '#$@°\\é^ùàòèì' },
+  7: { name: 'Spain I', label: '西班牙 I', chars: '₧$@¡Ñ¿^`¨ñ}~' },
+  8: { name: 'Japan', label: '日本', chars: '#$@[¥]^`{|}~' },
+  9: { name: 'Norway', label: '挪威', chars: '#¤ÉÆØÅÜéæøåü' },
+  10: { name: 'Denmark II', label: '丹麦 II', chars: '#$ÉÆØÅÜéæøåü' },
+  11: { name: 'Spain II', label: '西班牙 II', chars: '#$á¡Ñ¿é`íñóú' },
+  12: { name: 'Latin America', label: '拉丁美洲', chars: '#$á¡Ñ¿éüíñóú' },
+  13: { name: 'Korea', label: '韩国', chars: '#$@[₩]^`{|}~' },
+  14: {
+    name: 'Slovenia/Croatia',
+    label: '斯洛文尼亚/克罗地亚',
+    chars: '#$ŽŠĐĆČžšđćč',
+  },
+  15: { name: 'China', label: '中国', chars: '¥$@[\\]^`{|}~' },
+  16: { name: 'Vietnam', label: '越南', chars: '#₫@[\\]^`{|}~' },
+  17: { name: 'Arabia', label: '阿拉伯', chars: '#$@[\\]^`{|}~' },
+};
+
+// 汉字代码体系 FS C n
+const KANJI_CODES = {
+  0: { name: 'JIS', encoding: 'jis' },
+  1: { name: 'Shift JIS', encoding: 'shiftjis' },
+  2: { name: 'Shift JIS-2004', encoding: 'shiftjis' },
+};
+
+// 双字节编码的首字节判断
+const isDoubleByteLead = (byte) => byte >= 0x81 && byte <= 0xfe;
+const isShiftJisLead = (byte) =>
+  (byte >= 0x81 && byte <= 0x9f) || (byte >= 0xe0 && byte <= 0xfc);
+const isJisByte = (byte) => byte >= 0x21 && byte <= 0x7e;
+
+const LEAD_BYTES = {
+  gbk: isDoubleByteLead,
+  gb2312: isDoubleByteLead,
+  cp936: isDoubleByteLead,
+  gb18030: isDoubleByteLead,
+  big5: isDoubleByteLead,
+  cp950: isDoubleByteLead,
+  euckr: isDoubleByteLead,
+  cp949: isDoubleByteLead,
+  shiftjis: isShiftJisLead,
+  sjis: isShiftJisLead,
+  cp932: isShiftJisLead,
+  windows31j: isShiftJisLead,
+  jis: isJisByte,
+};
+
+// 片假名代码表中半角片假名的起止字节
+const KATAKANA_FIRST = 0xa1;
+const KATAKANA_LAST = 0xdf;
+const KATAKANA_BASE = 0xff61;
+
+/**
+ * 获取字符代码表
+ * @param {number} n - ESC t 参数
+ * @returns {Object|null} 代码表对象，不支持时返回 null
+ */
+function getCodePage(n) {
+  return CODE_PAGES[n] || null;
+}
+
+/**
+ * 获取国际字符集
+ * @param {number} n - ESC R 参数
+ * @returns {Object|null} 字符集对象，不支持时返回 null
+ */
+function getCharset(n) {
+  return CHARSETS[n] || null;
+}
+
+/**
+ * 根据解析状态确定文本的解码方式
+ *   - 汉字模式 (FS &): 按 FS C 选择的代码体系，未选择时使用调用方指定的编码
+ *   - 退出汉字模式 (FS .): 按代码表解码，未选择代码表时为 PC437
+ *   - 未切换汉字模式: 选择了代码表 (ESC t) 时按代码表，否则使用调用方指定的编码；
+ *     调用方指定多字节编码时视为默认处于汉字模式的机型，选择默认代码表 PC437 (ESC t 0) 仍使用该编码
+ * @param {string} encoding - 调用方指定的编码格式
+ * @param {Object} state - 解析状态
+ * @returns {Object} 包含 encoding、codePage、kanjiCode、charset 的对象
+ */
+function resolveTextEncoding(encoding, state) {
+  const result = {
+    encoding: encoding,
+    codePage: null,
+    kanjiCode: null,
+    charset: null,
+  };
+  if (!state) {
+    return result;
+  }
+
+  if (state.charset) {
+    result.charset = getCharset(state.charset);
+  }
+
+  if (state.kanji) {
+    const kanjiCode = KANJI_CODES[state.kanjiCode];
+    if (kanjiCode) {
+      result.encoding = kanjiCode.encoding;
+      result.kanjiCode = kanjiCode.name;
+    }
+    return result;
+  }
+
+  if (
+    state.kanji === null &&
+    !state.codePage &&
+    LEAD_BYTES[normalizeEncoding(encoding)]
+  ) {
+    return result;
+  }
+
+  const codePage = getCodePage(
+    state.kanji === false && state.codePage === null ? 0 : state.codePage
+  );
+  if (codePage) {
+    result.encoding = codePage.encoding;
+    result.codePage = codePage.name;
+  }
+  return result;
+}
+
+/**
+ * 获取从指定位置开始的一个字符的字节数
+ * 双字节编码中首字节与尾字节必须作为整体读取；数据在字符中间截断时仍返回完整长度
+ * @param {Buffer} buffer - 数据缓冲区
+ * @param {number} index - 字符起始索引
+ * @param {string} encoding - 编码名称
+ * @returns {number} 字符字节数
+ */
+function getCharLength(buffer, index, encoding) {
+  const name = normalizeEncoding(encoding);
+  const isLead = LEAD_BYTES[name];
+  const lead = buffer[index];
+  const trail = buffer[index + 1];
+
+  if (!isLead || !isLead(lead)) {
+    return 1;
+  }
+  if (trail === undefined) {
+    return 2;
+  }
+  if (name === 'jis') {
+    return isJisByte(trail) ? 2 : 1;
+  }
+  // GB18030 四字节字符: 第二字节为数字
+  if (name === 'gb18030' && trail >= 0x30 && trail <= 0x39) {
+    return 4;
+  }
+  return trail >= 0x40 && trail !== 0x7f ? 2 : 1;
+}
+
+/**
+ * 获取一段字节中由完整字符组成的部分的结束位置
+ * 数据在多字节字符中间截断时，返回该字符的起始位置
+ * @param {Buffer} buffer - 数据缓冲区
+ * @param {number} start - 起始索引
+ * @param {number} end - 结束索引（不含）
+ * @param {string} encoding - 编码名称
+ * @returns {number} 完整字符的结束位置
+ */
+function getCompleteEnd(buffer, start, end, encoding) {
+  const name = normalizeEncoding(encoding);
+
+  if (name === 'utf8') {
+    // 从末尾向前查找最后一个首字节，检查其后的字节数是否足够
+    for (let index = end - 1; index >= Math.max(start, end - 3); index--) {
+      const byte = buffer[index];
+      if (byte < 0x80) {
+        return end;
+      }
+      if (byte >= 0xc0) {
+        const length = byte >= 0xf0 ? 4 : byte >= 0xe0 ? 3 : 2;
+        return index + length > end ? index : end;
+      }
+    }
+    return end;
+  }
+
+  if (!LEAD_BYTES[name]) {
+    return end;
+  }
+
+  let index = start;
+  while (index < end) {
+    const length = getCharLength(buffer, index, encoding);
+    if (index + length > end) {
+      break;
+    }
+    index += length;
+  }
+  return index;
+}
+
+/**
+ * 规范化编码名称（小写并去除分隔符）
+ * @param {string} encoding - 编码名称
+ * @returns {string} 规范化后的名称
+ */
+function normalizeEncoding(encoding) {
+  return String(encoding)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * 按名称查找国际字符集
+ * @param {string} name - 字符集名称
+ * @returns {Object|null} 字符集对象
+ */
+function findCharset(name) {
+  return (
+    Object.values(CHARSETS).find((charset) => charset.name === name) || null
+  );
+}
+
+/**
+ * 按编码解码文本字节
+ * 支持 iconv-lite 的编码以及片假名代码表
+ * @param {Buffer} buffer - 文本字节
+ * @param {string} encoding - 编码名称
+ * @returns {string} 解码后的文本
+ */
+function decodeBytes(buffer, encoding) {
+  if (encoding === 'jis') {
+    // JIS 码两个字节均为 0x21~0x7E，置高位后即为 EUC-JP
+    return iconv.decode(toEucJp(buffer), 'eucjp');
+  }
+  if (encoding !== 'katakana') {
+    return iconv.decode(buffer, encoding);
+  }
+
+  let text = '';
+  for (const byte of buffer) {
+    if (byte < 0x80) {
+      text += String.fromCharCode(byte);
+    } else if (byte >= KATAKANA_FIRST && byte <= KATAKANA_LAST) {
+      text += String.fromCharCode(KATAKANA_BASE + byte - KATAKANA_FIRST);
+    } else {
+      text += '\ufffd';
+    }
+  }
+  return text;
+}
+
+/**
+ * 按编码将文本转换为字节
+ * 支持 iconv-lite 的编码以及片假名代码表
+ * @param {string} text - 文本
+ * @param {string} encoding - 编码名称
+ * @returns {Buffer} 文本字节
+ */
+function encodeBytes(text, encoding) {
+  if (encoding === 'jis') {
+    const bytes = iconv.encode(text, 'eucjp');
+    return Buffer.from(bytes.map((byte) => byte & 0x7f));
+  }
+  if (encoding !== 'katakana') {
+    return iconv.encode(text, encoding);
+  }
+
+  const bytes = [];
+  for (const char of text) {
+    const code = char.charCodeAt(0);
+    if (code < 0x80) {
+      bytes.push(code);
+    } else if (
+      code >= KATAKANA_BASE &&
+      code <= KATAKANA_BASE + KATAKANA_LAST - KATAKANA_FIRST
+    ) {
+      bytes.push(code - KATAKANA_BASE + KATAKANA_FIRST);
+    } else {
+      bytes.push(0x3f);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * 将 JIS 码字节对转换为 EUC-JP，单独的字节保持不变
+ * @param {Buffer} buffer - JIS 码字节
+ * @returns {Buffer} EUC-JP 字节
+ */
+function toEucJp(buffer) {
+  const bytes = Buffer.from(buffer);
+  for (let i = 0; i + 1 < bytes.length; i++) {
+    if (isJisByte(bytes[i]) && isJisByte(bytes[i + 1])) {
+      bytes[i] |= 0x80;
+      bytes[i + 1] |= 0x80;
+      i++;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * 将文本中的 ASCII 字符替换为国际字符集中的字符
+ * 在解码之后替换，避免影响多字节编码中的尾字节
+ * @param {string} text - 解码后的文本
+ * @param {Object} charset - 字符集对象
+ * @returns {string} 替换后的文本
+ */
+function applyCharset(text, charset) {
+  return mapChars(text, CHARSET_POSITIONS, charset.chars);
+}
+
+/**
+ * 将国际字符集中的字符还原为对应的 ASCII 字符，用于重新编码
+ * @param {string} text - 文本
+ * @param {Object} charset - 字符集对象
+ * @returns {string} 还原后的文本
+ */
+function revertCharset(text, charset) {
+  return mapChars(text, charset.chars, CHARSET_POSITIONS);
+}
+
+/**
+ * 按位置映射字符
+ * @param {string} text - 文本
+ * @param {string} from - 源字符
+ * @param {string} to - 目标字符
+ * @returns {string} 映射后的文本
+ */
+function mapChars(text, from, to) {
+  let result = '';
+  for (const char of text) {
+    const position = from.indexOf(char);
+    result += position === -1 ? char : to[position];
+  }
+  return result;
+}
+
+module.exports = {
+  CODE_PAGES,
+  CHARSETS,
+  KANJI_CODES,
+  getCodePage,
+  getCharset,
+  findCharset,
+  resolveTextEncoding,
+  getCharLength,
+  getCompleteEnd,
+  decodeBytes,
+  encodeBytes,
+  applyCharset,
+  revertCharset,
+};
@@ -3,6 +3,77 @@
  * 支持常见的打印机指令识别和解析
  */
 
+const { columnsToRaster, toBuffer } = require('./image');
+const {
+  BARCODE_SYSTEMS,
+  HRI_POSITIONS,
+  HRI_POSITION_NAMES,
+  DEFAULT_BARCODE_SETTINGS,
+  isFunctionA,
+  decodeBarcodeData,
+} = require('./barcode');
+const {
+  SYMBOL_TYPES,
+  getSymbolType,
+  describeFunction,
+  decodeSymbolData,
+} = require('./symbol');
+const { KANJI_CODES, getCodePage, getCharset } = require('./charset');
+
+// ESC * 位图模式: 每列字节数、横向/纵向放大倍数
+const BIT_IMAGE_MODES = {
+  0: { bytesPerColumn: 1, scaleX: 2, scaleY: 3, density: '8点单密度' },
+  1: { bytesPerColumn: 1, scaleX: 1, scaleY: 3, density: '8点双密度' },
+  32: { bytesPerColumn: 3, scaleX: 2, scaleY: 1, density: '24点单密度' },
+  33: { bytesPerColumn: 3, scaleX: 1, scaleY: 1, density: '24点双密度' },
+};
+
+// DLE EOT n 传送的状态类型
+const REALTIME_STATUS_TYPES = {
+  1: 'printer',
+  2: 'offline',
+  3: 'error',
+  4: 'paper',
+};
+
+const REALTIME_STATUS_NAMES = {
+  1: '传送打印机状态',
+  2: '传送脱机原因',
+  3: '传送错误原因',
+  4: '传送纸张传感器状态',
+  7: '传送墨水状态',
+  8: '传送纸张相关状态',
+};
+
+// DLE DC4 fn: 参数字节数与描述
+const REALTIME_FUNCTIONS = {
+  1: {
+    length: 2,
+    describe: (p) => `钱箱脉冲 (引脚${p[0] === 1 ? 5 : 2}, ${p[1] * 100}ms)`,
+  },
+  2: { length: 2, describe: () => '关机' },
+  3: { length: 5, describe: () => '蜂鸣器' },
+  7: { length: 1, describe: (p) => `传送指定状态 (${p[0]})` },
+  8: { length: 7, describe: () => '清除缓冲区' },
+};
+
+// ESC T n 页模式打印方向及起点
+const PRINT_DIRECTIONS = {
+  0: '从左到右（起点左上）',
+  1: '从下到上（起点左下）',
+  2: '从右到左（起点右下）',
+  3: '从上到下（起点右上）',
+};
+
+// GS a n 各位对应的自动返回状态
+const ASB_FLAGS = [
+  { bit: 0x01, name: '钱箱' },
+  { bit: 0x02, name: '在线/脱机' },
+  { bit: 0x04, name: '错误' },
+  { bit: 0x08, name: '纸张传感器' },
+  { bit: 0x40, name: '面板按键' },
+];
+
 const COMMANDS = {
   // 初始化指令
   INITIALIZE: {
@@ -14,6 +85,9 @@ const COMMANDS = {
       command: 'INITIALIZE',
       description: '初始化打印机',
     }),
+    update: (state) => {
+      Object.assign(state, createParseState());
+    },
   },
 
   // 对齐方式设置
@@ -21,6 +95,8 @@ const COMMANDS = {
     bytes: [0x1b, 0x61],
     name: 'ALIGN',
     description: '设置对齐方式',
+    validate: allowValues([0, 1, 2, 48, 49, 50]),
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const value = data[index + 2];
       const alignments = { 0: '左对齐', 1: '居中', 2: '右对齐' };
@@ -38,6 +114,7 @@ const COMMANDS = {
     bytes: [0x1b, 0x64],
     name: 'PRINT_AND_FEED',
     description: '打印并进纸',
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const lines = data[index + 2];
       return {
@@ -54,16 +131,37 @@ const COMMANDS = {
     bytes: [0x1d, 0x56],
     name: 'CUT_PAPER',
     description: '切纸命令',
+    validate: allowValues([0, 1, 48, 49, 65, 66]),
+    // GS V m 或 GS V m n（m 为 65/66 时带进纸量 n）
+    params: {
+      type: 'custom',
+      header: 1,
+      length: (data, index) => (data[index + 2] >= 65 ? 2 : 1),
+    },
     parse: (data, index) => {
       const mode = data[index + 2];
-      const modes = { 0: '全切', 1: '半切' };
-      return {
+      const modes = {
+        0: '全切',
+        1: '半切',
+        48: '全切',
+        49: '半切',
+        65: '进纸后全切',
+        66: '进纸后半切',
+      };
+      const item = {
         type: 'command',
         command: 'CUT_PAPER',
         value: mode,
         description: `切纸: ${modes[mode] || '未知模式'}`,
       };
+      if (mode >= 65) {
+        item.feed = data[index + 3];
+        item.description += ` (进纸 ${item.feed} 点)`;
+      }
+      return item;
     },
+    encode: (item) =>
+      item.value >= 65 ? [item.value, item.feed || 0] : [item.value],
   },
 
   // 字体设置
@@ -71,6 +169,11 @@ const COMMANDS = {
     bytes: [0x1d, 0x21],
     name: 'FONT_SIZE',
     description: '设置字体大小',
+    validate: (item) =>
+      item.width <= 8 && item.height <= 8
+        ? null
+        : `倍数超出范围: 宽度${item.width}x 高度${item.height}x`,
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const size = data[index + 2];
       const width = (size & 0xf0) >> 4;
@@ -91,6 +194,7 @@ const COMMANDS = {
     bytes: [0x1b, 0x45],
     name: 'BOLD',
     description: '设置加粗',
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const enable = data[index + 2];
       return {
@@ -107,6 +211,8 @@ const COMMANDS = {
     bytes: [0x1b, 0x2d],
     name: 'UNDERLINE',
     description: '设置下划线',
+    validate: allowValues([0, 1, 2, 48, 49, 50]),
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const mode = data[index + 2];
       const modes = { 0: '关闭', 1: '1点粗', 2: '2点粗' };
@@ -124,6 +230,7 @@ const COMMANDS = {
     bytes: [0x1b, 0x33],
     name: 'LINE_SPACING',
     description: '设置行间距',
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const spacing = data[index + 2];
       return {
@@ -135,11 +242,19 @@ const COMMANDS = {
     },
   },
 
+  // 默认行间距 ESC 2
+  DEFAULT_LINE_SPACING: {
+    bytes: [0x1b, 0x32],
+    name: 'DEFAULT_LINE_SPACING',
+    description: '设置默认行间距',
+  },
+
   // 字符间距设置
   CHAR_SPACING: {
     bytes: [0x1b, 0x20],
     name: 'CHAR_SPACING',
     description: '设置字符间距',
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
       const spacing = data[index + 2];
       return {
@@ -151,23 +266,1156 @@ const COMMANDS = {
     },
   },
 
-  // 加粗模式控制 (0x1d 0x42)
-  BOLD_MODE: {
+  // 反白模式 GS B n（白字黑底）
+  INVERSE: {
     bytes: [0x1d, 0x42],
-    name: 'BOLD_MODE',
-    description: '加粗模式控制',
+    name: 'INVERSE',
+    description: '设置反白模式',
+    params: { type: 'fixed', count: 1 },
     parse: (data, index) => {
-      const enable = data[index + 2];
+      const value = data[index + 2];
       return {
         type: 'command',
-        command: 'BOLD_MODE',
-        value: enable,
-        description: enable ? '开启加粗模式' : '关闭加粗模式',
+        command: 'INVERSE',
+        value: value,
+        description: value & 0x01 ? '开启反白模式' : '关闭反白模式',
+      };
+    },
+  },
+
+  // 字体选择 ESC M n
+  FONT_SELECT: {
+    bytes: [0x1b, 0x4d],
+    name: 'FONT_SELECT',
+    description: '选择字体',
+    validate: allowValues([0, 1, 2, 48, 49, 50]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const fonts = { 0: 'A', 1: 'B', 2: 'C' };
+      const font = fonts[value % 48] || 'A';
+      return {
+        type: 'command',
+        command: 'FONT_SELECT',
+        value: value,
+        font: font,
+        description: `选择字体: 字体${font}`,
+      };
+    },
+  },
+
+  // 打印模式 ESC ! n：一次设置字体、加粗、倍高、倍宽与下划线
+  PRINT_MODE: {
+    bytes: [0x1b, 0x21],
+    name: 'PRINT_MODE',
+    description: '设置打印模式',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const mode = {
+        font: value & 0x01 ? 'B' : 'A',
+        bold: (value & 0x08) !== 0,
+        doubleHeight: (value & 0x10) !== 0,
+        doubleWidth: (value & 0x20) !== 0,
+        underline: (value & 0x80) !== 0,
+      };
+      const names = [`字体${mode.font}`];
+      if (mode.bold) names.push('加粗');
+      if (mode.doubleHeight) names.push('倍高');
+      if (mode.doubleWidth) names.push('倍宽');
+      if (mode.underline) names.push('下划线');
+      return {
+        type: 'command',
+        command: 'PRINT_MODE',
+        value: value,
+        ...mode,
+        description: `设置打印模式: ${names.join('、')}`,
+      };
+    },
+  },
+
+  // 重叠打印 ESC G n（效果与加粗相近）
+  DOUBLE_STRIKE: {
+    bytes: [0x1b, 0x47],
+    name: 'DOUBLE_STRIKE',
+    description: '设置重叠打印',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const enabled = (value & 0x01) === 1;
+      return {
+        type: 'command',
+        command: 'DOUBLE_STRIKE',
+        value: value,
+        enabled: enabled,
+        description: enabled ? '开启重叠打印' : '关闭重叠打印',
+      };
+    },
+  },
+
+  // 倒置打印 ESC { n（字符旋转180度，行从右向左打印）
+  UPSIDE_DOWN: {
+    bytes: [0x1b, 0x7b],
+    name: 'UPSIDE_DOWN',
+    description: '设置倒置打印',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const enabled = (value & 0x01) === 1;
+      return {
+        type: 'command',
+        command: 'UPSIDE_DOWN',
+        value: value,
+        enabled: enabled,
+        description: enabled ? '开启倒置打印' : '关闭倒置打印',
+      };
+    },
+  },
+
+  // 字符顺时针旋转90度 ESC V n
+  ROTATION: {
+    bytes: [0x1b, 0x56],
+    name: 'ROTATION',
+    description: '设置字符旋转90度',
+    validate: allowValues([0, 1, 2, 48, 49, 50]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const modes = {
+        0: '关闭旋转',
+        1: '旋转90度（字符间距1点）',
+        2: '旋转90度（字符间距1.5点）',
+      };
+      return {
+        type: 'command',
+        command: 'ROTATION',
+        value: value,
+        rotation: value % 48 ? 90 : 0,
+        description: `字符旋转: ${modes[value % 48] || '未知'}`,
+      };
+    },
+  },
+
+  // 打印颜色 ESC r n（双色打印机的第二种颜色通常为红色）
+  PRINT_COLOR: {
+    bytes: [0x1b, 0x72],
+    name: 'PRINT_COLOR',
+    description: '选择打印颜色',
+    validate: allowValues([0, 1, 48, 49]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const color = value % 48 === 1 ? 'red' : 'black';
+      return {
+        type: 'command',
+        command: 'PRINT_COLOR',
+        value: value,
+        color: color,
+        description: `选择打印颜色: ${color === 'red' ? '红色' : '黑色'}`,
+      };
+    },
+  },
+
+  // 平滑模式 GS b n（放大字符时平滑边缘）
+  SMOOTHING: {
+    bytes: [0x1d, 0x62],
+    name: 'SMOOTHING',
+    description: '设置平滑模式',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const enabled = (value & 0x01) === 1;
+      return {
+        type: 'command',
+        command: 'SMOOTHING',
+        value: value,
+        enabled: enabled,
+        description: enabled ? '开启平滑模式' : '关闭平滑模式',
+      };
+    },
+  },
+
+  // 选择字符代码表 ESC t n
+  CODE_PAGE: {
+    bytes: [0x1b, 0x74],
+    name: 'CODE_PAGE',
+    description: '选择字符代码表',
+    validate: (item) =>
+      item.codePage ? null : `不支持的代码表: ${item.value}`,
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const codePage = getCodePage(value);
+      return {
+        type: 'command',
+        command: 'CODE_PAGE',
+        value: value,
+        codePage: codePage ? codePage.name : null,
+        description: `选择字符代码表: ${
+          codePage ? codePage.name : `未知(${value})`
+        }`,
+      };
+    },
+    update: (state, item) => {
+      state.codePage = item.value;
+    },
+  },
+
+  // 选择国际字符集 ESC R n
+  CHARSET: {
+    bytes: [0x1b, 0x52],
+    name: 'CHARSET',
+    description: '选择国际字符集',
+    validate: (item) => (item.charset ? null : `不支持的字符集: ${item.value}`),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const charset = getCharset(value);
+      return {
+        type: 'command',
+        command: 'CHARSET',
+        value: value,
+        charset: charset ? charset.name : null,
+        description: `选择国际字符集: ${
+          charset ? charset.label : `未知(${value})`
+        }`,
+      };
+    },
+    update: (state, item) => {
+      state.charset = item.value;
+    },
+  },
+
+  // 进入汉字模式 FS &
+  KANJI_MODE_ON: {
+    bytes: [0x1c, 0x26],
+    name: 'KANJI_MODE_ON',
+    description: '进入汉字模式',
+    update: (state) => {
+      state.kanji = true;
+    },
+  },
+
+  // 退出汉字模式 FS .
+  KANJI_MODE_OFF: {
+    bytes: [0x1c, 0x2e],
+    name: 'KANJI_MODE_OFF',
+    description: '退出汉字模式',
+    update: (state) => {
+      state.kanji = false;
+    },
+  },
+
+  // 选择汉字代码体系 FS C n
+  KANJI_CODE: {
+    bytes: [0x1c, 0x43],
+    name: 'KANJI_CODE',
+    description: '选择汉字代码体系',
+    validate: (item) =>
+      item.kanjiCode ? null : `不支持的汉字代码体系: ${item.value}`,
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const kanjiCode = KANJI_CODES[value % 48];
+      return {
+        type: 'command',
+        command: 'KANJI_CODE',
+        value: value,
+        kanjiCode: kanjiCode ? kanjiCode.name : null,
+        description: `选择汉字代码体系: ${
+          kanjiCode ? kanjiCode.name : `未知(${value})`
+        }`,
+      };
+    },
+    update: (state, item) => {
+      state.kanjiCode = item.value % 48;
+    },
+  },
+
+  // 汉字打印模式 FS ! n（bit2 倍宽、bit3 倍高、bit7 下划线）
+  KANJI_PRINT_MODE: {
+    bytes: [0x1c, 0x21],
+    name: 'KANJI_PRINT_MODE',
+    description: '设置汉字打印模式',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const width = value & 0x04 ? 2 : 1;
+      const height = value & 0x08 ? 2 : 1;
+      const underline = value & 0x80 ? 1 : 0;
+      return {
+        type: 'command',
+        command: 'KANJI_PRINT_MODE',
+        value: value,
+        width: width,
+        height: height,
+        underline: underline,
+        description: `设置汉字打印模式: 宽度${width}x 高度${height}x${
+          underline ? ' 下划线' : ''
+        }`,
+      };
+    },
+  },
+
+  // 汉字下划线 FS - n
+  KANJI_UNDERLINE: {
+    bytes: [0x1c, 0x2d],
+    name: 'KANJI_UNDERLINE',
+    description: '设置汉字下划线',
+    validate: allowValues([0, 1, 2, 48, 49, 50]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const mode = data[index + 2];
+      const modes = { 0: '关闭', 1: '1点粗', 2: '2点粗' };
+      return {
+        type: 'command',
+        command: 'KANJI_UNDERLINE',
+        value: mode,
+        description: `汉字下划线: ${modes[mode % 48] || '未知'}`,
+      };
+    },
+  },
+
+  // 钱箱脉冲 ESC p m t1 t2
+  CASH_DRAWER: {
+    bytes: [0x1b, 0x70],
+    name: 'CASH_DRAWER',
+    description: '钱箱脉冲',
+    validate: allowValues([0, 1, 48, 49]),
+    params: { type: 'fixed', count: 3 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      // m 为 0/48 时驱动引脚2，1/49 时驱动引脚5；时间单位为 2ms
+      const pin = value % 48 === 1 ? 5 : 2;
+      const onTime = data[index + 3] * 2;
+      const offTime = data[index + 4] * 2;
+      return {
+        type: 'command',
+        command: 'CASH_DRAWER',
+        value: value,
+        pin: pin,
+        onTime: onTime,
+        offTime: offTime,
+        description: `钱箱脉冲: 引脚${pin}, 开 ${onTime}ms / 关 ${offTime}ms`,
+      };
+    },
+    encode: (item) => [item.value, item.onTime / 2, item.offTime / 2],
+  },
+
+  // 蜂鸣器 ESC B n t（n 次，每次 t × 50ms）
+  BEEPER: {
+    bytes: [0x1b, 0x42],
+    name: 'BEEPER',
+    description: '蜂鸣器',
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const times = data[index + 2];
+      const duration = data[index + 3] * 50;
+      return {
+        type: 'command',
+        command: 'BEEPER',
+        times: times,
+        duration: duration,
+        description: `蜂鸣器: ${times} 次, 每次 ${duration}ms`,
+      };
+    },
+    encode: (item) => [item.times, item.duration / 50],
+  },
+
+  // 蜂鸣器控制 ESC ( A pL pH fn [参数]
+  BEEPER_CONTROL: {
+    bytes: [0x1b, 0x28, 0x41],
+    name: 'BEEPER_CONTROL',
+    description: '蜂鸣器控制',
+    params: { type: 'length16' },
+    parse: (data, index) => {
+      const length = data[index + 3] + data[index + 4] * 256;
+      const parameters = Array.from(data.slice(index + 5, index + 5 + length));
+      const item = {
+        type: 'command',
+        command: 'BEEPER_CONTROL',
+        fn: parameters[0],
+        parameters: parameters,
+        description: `蜂鸣器控制: 功能 ${parameters[0]}`,
+      };
+      // fn 48: 按模式 a 鸣响 n 次
+      if (parameters[0] === 48 && parameters.length >= 3) {
+        item.pattern = parameters[1];
+        item.times = parameters[2];
+        item.description = `蜂鸣器: 模式 ${item.pattern}, ${item.times} 次`;
+      }
+      return item;
+    },
+    encode: (item) => [...uint16(item.parameters.length), ...item.parameters],
+  },
+
+  // 实时状态传送 DLE EOT n [a]
+  REALTIME_STATUS: {
+    bytes: [0x10, 0x04],
+    name: 'REALTIME_STATUS',
+    description: '实时状态传送',
+    validate: allowValues([1, 2, 3, 4, 7, 8]),
+    // n 为 7、8 时带一个附加参数 a
+    params: {
+      type: 'custom',
+      header: 1,
+      length: (data, index) =>
+        data[index + 2] === 7 || data[index + 2] === 8 ? 2 : 1,
+    },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const item = {
+        type: 'command',
+        command: 'REALTIME_STATUS',
+        value: value,
+        status: REALTIME_STATUS_TYPES[value] || null,
+        description: `实时状态传送: ${
+          REALTIME_STATUS_NAMES[value] || `未知(${value})`
+        }`,
+      };
+      if (value === 7 || value === 8) {
+        item.option = data[index + 3];
+      }
+      return item;
+    },
+    encode: (item) =>
+      item.value === 7 || item.value === 8
+        ? [item.value, item.option]
+        : [item.value],
+  },
+
+  // 实时请求 DLE ENQ n
+  REALTIME_REQUEST: {
+    bytes: [0x10, 0x05],
+    name: 'REALTIME_REQUEST',
+    description: '实时请求',
+    validate: allowValues([0, 1, 2]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const requests = {
+        0: '恢复在线',
+        1: '从错误中恢复并继续打印',
+        2: '从错误中恢复并清除缓冲区',
+      };
+      return {
+        type: 'command',
+        command: 'REALTIME_REQUEST',
+        value: value,
+        description: `实时请求: ${requests[value] || `未知(${value})`}`,
+      };
+    },
+  },
+
+  // 实时功能 DLE DC4 fn [参数]
+  REALTIME_FUNCTION: {
+    bytes: [0x10, 0x14],
+    name: 'REALTIME_FUNCTION',
+    description: '实时功能',
+    validate: (item) =>
+      REALTIME_FUNCTIONS[item.fn] ? null : `未知的功能: ${item.fn}`,
+    params: {
+      type: 'custom',
+      header: 1,
+      length: (data, index) =>
+        (REALTIME_FUNCTIONS[data[index + 2]] || { length: 0 }).length + 1,
+    },
+    parse: (data, index) => {
+      const fn = data[index + 2];
+      const info = REALTIME_FUNCTIONS[fn];
+      const parameters = Array.from(
+        data.slice(index + 3, index + 3 + (info ? info.length : 0))
+      );
+      return {
+        type: 'command',
+        command: 'REALTIME_FUNCTION',
+        fn: fn,
+        parameters: parameters,
+        description: `实时功能: ${
+          info ? info.describe(parameters) : `未知(${fn})`
+        }`,
+      };
+    },
+    encode: (item) => [item.fn, ...item.parameters],
+  },
+
+  // 自动状态返回 GS a n
+  AUTO_STATUS_BACK: {
+    bytes: [0x1d, 0x61],
+    name: 'AUTO_STATUS_BACK',
+    description: '设置自动状态返回',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const enabled = ASB_FLAGS.filter((flag) => value & flag.bit).map(
+        (flag) => flag.name
+      );
+      return {
+        type: 'command',
+        command: 'AUTO_STATUS_BACK',
+        value: value,
+        enabled: enabled,
+        description: enabled.length
+          ? `开启自动状态返回: ${enabled.join('、')}`
+          : '关闭自动状态返回',
+      };
+    },
+  },
+
+  // 水平制表 HT：移动到下一个制表位
+  HORIZONTAL_TAB: {
+    bytes: [0x09],
+    name: 'HORIZONTAL_TAB',
+    description: '水平制表',
+  },
+
+  // 设置制表位 ESC D n1...nk NUL（单位：字符宽度，最多32个，升序排列）
+  TAB_STOPS: {
+    bytes: [0x1b, 0x44],
+    name: 'TAB_STOPS',
+    description: '设置制表位',
+    validate: (item) => {
+      if (item.stops.length > 32) {
+        return `制表位过多: ${item.stops.length}`;
+      }
+      const unordered = item.stops.some(
+        (stop, i) => i > 0 && stop <= item.stops[i - 1]
+      );
+      return unordered ? `制表位未按升序排列: ${item.stops.join(', ')}` : null;
+    },
+    params: { type: 'terminated', terminator: 0x00 },
+    parse: (data, index) => {
+      const end = data.indexOf(0x00, index + 2);
+      const stops = Array.from(data.slice(index + 2, end));
+      return {
+        type: 'command',
+        command: 'TAB_STOPS',
+        stops: stops,
+        description: stops.length
+          ? `设置制表位: ${stops.join(', ')}`
+          : '清除制表位',
+      };
+    },
+    encode: (item) => [...item.stops, 0x00],
+  },
+
+  // 绝对打印位置 ESC $ nL nH（单位：横向移动单位，从行首算起）
+  ABSOLUTE_POSITION: {
+    bytes: [0x1b, 0x24],
+    name: 'ABSOLUTE_POSITION',
+    description: '设置绝对打印位置',
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const value = data.readUInt16LE(index + 2);
+      return {
+        type: 'command',
+        command: 'ABSOLUTE_POSITION',
+        value: value,
+        description: `设置绝对打印位置: ${value}`,
+      };
+    },
+    encode: (item) => uint16(item.value),
+  },
+
+  // 相对打印位置 ESC \ nL nH（单位：横向移动单位，负数向左移动）
+  RELATIVE_POSITION: {
+    bytes: [0x1b, 0x5c],
+    name: 'RELATIVE_POSITION',
+    description: '设置相对打印位置',
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const value = data.readInt16LE(index + 2);
+      return {
+        type: 'command',
+        command: 'RELATIVE_POSITION',
+        value: value,
+        description: `设置相对打印位置: ${value > 0 ? '+' : ''}${value}`,
+      };
+    },
+    encode: (item) => uint16(item.value),
+  },
+
+  // 左边距 GS L nL nH（单位：横向移动单位，在行首时生效）
+  LEFT_MARGIN: {
+    bytes: [0x1d, 0x4c],
+    name: 'LEFT_MARGIN',
+    description: '设置左边距',
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const value = data.readUInt16LE(index + 2);
+      return {
+        type: 'command',
+        command: 'LEFT_MARGIN',
+        value: value,
+        description: `设置左边距: ${value}`,
+      };
+    },
+    encode: (item) => uint16(item.value),
+  },
+
+  // 打印区域宽度 GS W nL nH（单位：横向移动单位，在行首时生效）
+  PRINT_WIDTH: {
+    bytes: [0x1d, 0x57],
+    name: 'PRINT_WIDTH',
+    description: '设置打印区域宽度',
+    validate: (item) => (item.value > 0 ? null : `宽度无效: ${item.value}`),
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const value = data.readUInt16LE(index + 2);
+      return {
+        type: 'command',
+        command: 'PRINT_WIDTH',
+        value: value,
+        description: `设置打印区域宽度: ${value}`,
+      };
+    },
+    encode: (item) => uint16(item.value),
+  },
+
+  // 移动单位 GS P x y：横向为 1/x 英寸，纵向为 1/y 英寸，0 表示默认值
+  MOTION_UNITS: {
+    bytes: [0x1d, 0x50],
+    name: 'MOTION_UNITS',
+    description: '设置移动单位',
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const x = data[index + 2];
+      const y = data[index + 3];
+      const unit = (value) => (value ? `1/${value} 英寸` : '默认');
+      return {
+        type: 'command',
+        command: 'MOTION_UNITS',
+        x: x,
+        y: y,
+        description: `设置移动单位: 横向${unit(x)}, 纵向${unit(y)}`,
+      };
+    },
+    encode: (item) => [item.x, item.y],
+  },
+
+  // 选择页模式 ESC L：之后的数据按坐标排入打印区域，收到 FF 或 ESC FF 时一并打印
+  PAGE_MODE: {
+    bytes: [0x1b, 0x4c],
+    name: 'PAGE_MODE',
+    description: '选择页模式',
+  },
+
+  // 选择标准模式 ESC S：丢弃页模式中未打印的数据
+  STANDARD_MODE: {
+    bytes: [0x1b, 0x53],
+    name: 'STANDARD_MODE',
+    description: '选择标准模式',
+  },
+
+  // 页模式打印区域 ESC W xL xH yL yH dxL dxH dyL dyH（单位：点）
+  PRINT_AREA: {
+    bytes: [0x1b, 0x57],
+    name: 'PRINT_AREA',
+    description: '设置页模式打印区域',
+    validate: (item) =>
+      item.width > 0 && item.height > 0
+        ? null
+        : `区域无效: ${item.width}x${item.height}`,
+    params: { type: 'fixed', count: 8 },
+    parse: (data, index) => {
+      const read = (offset) => data.readUInt16LE(index + 2 + offset);
+      const area = {
+        x: read(0),
+        y: read(2),
+        width: read(4),
+        height: read(6),
+      };
+      return {
+        type: 'command',
+        command: 'PRINT_AREA',
+        ...area,
+        description: `设置页模式打印区域: 起点 (${area.x}, ${area.y}), ${area.width}x${area.height} 点`,
+      };
+    },
+    encode: (item) => [
+      ...uint16(item.x),
+      ...uint16(item.y),
+      ...uint16(item.width),
+      ...uint16(item.height),
+    ],
+  },
+
+  // 页模式打印方向 ESC T n
+  PRINT_DIRECTION: {
+    bytes: [0x1b, 0x54],
+    name: 'PRINT_DIRECTION',
+    description: '设置页模式打印方向',
+    validate: allowValues([0, 1, 2, 3, 48, 49, 50, 51]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const direction = PRINT_DIRECTIONS[value % 48];
+      return {
+        type: 'command',
+        command: 'PRINT_DIRECTION',
+        value: value,
+        description: `设置页模式打印方向: ${direction || '未知'}`,
+      };
+    },
+  },
+
+  // 页模式纵向绝对位置 GS $ nL nH（单位：点，相对打印区域的起点）
+  VERTICAL_POSITION: {
+    bytes: [0x1d, 0x24],
+    name: 'VERTICAL_POSITION',
+    description: '设置页模式纵向绝对位置',
+    params: { type: 'fixed', count: 2 },
+    parse: (data, index) => {
+      const value = data.readUInt16LE(index + 2);
+      return {
+        type: 'command',
+        command: 'VERTICAL_POSITION',
+        value: value,
+        description: `设置页模式纵向绝对位置: ${value} 点`,
+      };
+    },
+    encode: (item) => uint16(item.value),
+  },
+
+  // 打印页模式数据 ESC FF：打印后保留页面数据，仍处于页模式
+  PRINT_PAGE: {
+    bytes: [0x1b, 0x0c],
+    name: 'PRINT_PAGE',
+    description: '打印页模式数据',
+  },
+
+  // 换页 FF：页模式下打印页面数据并返回标准模式
+  FORM_FEED: {
+    bytes: [0x0c],
+    name: 'FORM_FEED',
+    description: '换页（页模式下打印并返回标准模式）',
+  },
+
+  // 取消 CAN：清除页模式中未打印的数据
+  CANCEL_PAGE: {
+    bytes: [0x18],
+    name: 'CANCEL_PAGE',
+    description: '清除页模式数据',
+  },
+
+  // 光栅位图 GS v 0 m xL xH yL yH d1...dk
+  RASTER_IMAGE: {
+    bytes: [0x1d, 0x76, 0x30],
+    name: 'RASTER_IMAGE',
+    description: '打印光栅位图',
+    validate: allowModes([0, 1, 2, 3, 48, 49, 50, 51]),
+    params: {
+      type: 'custom',
+      header: 5,
+      length: (data, index) => {
+        const widthBytes = data[index + 4] + data[index + 5] * 256;
+        const height = data[index + 6] + data[index + 7] * 256;
+        return 5 + widthBytes * height;
+      },
+    },
+    parse: (data, index) => {
+      const mode = data[index + 3];
+      const widthBytes = data[index + 4] + data[index + 5] * 256;
+      const height = data[index + 6] + data[index + 7] * 256;
+      const start = index + 8;
+      const bitmap = Buffer.from(
+        data.slice(start, start + widthBytes * height)
+      );
+      const modes = {
+        0: '正常',
+        1: '倍宽',
+        2: '倍高',
+        3: '四倍',
+      };
+      const scale = mode & 0x03;
+      return {
+        type: 'image',
+        command: 'RASTER_IMAGE',
+        mode: mode,
+        scaleX: scale & 0x01 ? 2 : 1,
+        scaleY: scale & 0x02 ? 2 : 1,
+        width: widthBytes * 8,
+        height: height,
+        widthBytes: widthBytes,
+        bitmap: bitmap,
+        description: `光栅位图: ${widthBytes * 8}x${height} 点 (${
+          modes[scale]
+        })`,
+      };
+    },
+    encode: (item) => [
+      item.mode,
+      ...uint16(item.widthBytes),
+      ...uint16(item.height),
+      ...toBuffer(item.bitmap),
+    ],
+  },
+
+  // 列格式位图 ESC * m nL nH d1...dk
+  BIT_IMAGE: {
+    bytes: [0x1b, 0x2a],
+    name: 'BIT_IMAGE',
+    description: '选择位图模式',
+    validate: allowModes([0, 1, 32, 33]),
+    params: {
+      type: 'custom',
+      header: 3,
+      length: (data, index) => {
+        const mode = BIT_IMAGE_MODES[data[index + 2]] || BIT_IMAGE_MODES[0];
+        const columns = data[index + 3] + data[index + 4] * 256;
+        return 3 + columns * mode.bytesPerColumn;
+      },
+    },
+    parse: (data, index) => {
+      const mode = data[index + 2];
+      const modeInfo = BIT_IMAGE_MODES[mode] || BIT_IMAGE_MODES[0];
+      const columns = data[index + 3] + data[index + 4] * 256;
+      const start = index + 5;
+      const columnData = Buffer.from(
+        data.slice(start, start + columns * modeInfo.bytesPerColumn)
+      );
+      const height = modeInfo.bytesPerColumn * 8;
+      return {
+        type: 'image',
+        command: 'BIT_IMAGE',
+        mode: mode,
+        scaleX: modeInfo.scaleX,
+        scaleY: modeInfo.scaleY,
+        density: modeInfo.density,
+        width: columns,
+        height: height,
+        widthBytes: Math.ceil(columns / 8),
+        bitmap: columnsToRaster(columnData, columns, modeInfo.bytesPerColumn),
+        data: columnData,
+        description: `列格式位图: ${columns}x${height} 点 (${modeInfo.density})`,
       };
     },
+    encode: (item) => [
+      item.mode,
+      ...uint16(item.width),
+      ...toBuffer(item.data),
+    ],
+  },
+
+  // 条码高度 GS h n
+  BARCODE_HEIGHT: {
+    bytes: [0x1d, 0x68],
+    name: 'BARCODE_HEIGHT',
+    description: '设置条码高度',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const height = data[index + 2];
+      return {
+        type: 'command',
+        command: 'BARCODE_HEIGHT',
+        value: height,
+        description: `设置条码高度: ${height} 点`,
+      };
+    },
+    update: (state, item) => {
+      state.barcode.height = item.value;
+    },
+  },
+
+  // 条码模块宽度 GS w n
+  BARCODE_WIDTH: {
+    bytes: [0x1d, 0x77],
+    name: 'BARCODE_WIDTH',
+    description: '设置条码宽度',
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const width = data[index + 2];
+      return {
+        type: 'command',
+        command: 'BARCODE_WIDTH',
+        value: width,
+        description: `设置条码模块宽度: ${width}`,
+      };
+    },
+    update: (state, item) => {
+      state.barcode.moduleWidth = item.value;
+    },
+  },
+
+  // HRI 字符打印位置 GS H n
+  HRI_POSITION: {
+    bytes: [0x1d, 0x48],
+    name: 'HRI_POSITION',
+    description: '选择HRI字符打印位置',
+    validate: allowValues([0, 1, 2, 3, 48, 49, 50, 51]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const position = HRI_POSITIONS[value % 48] || 'none';
+      return {
+        type: 'command',
+        command: 'HRI_POSITION',
+        value: value,
+        position: position,
+        description: `HRI字符位置: ${HRI_POSITION_NAMES[position]}`,
+      };
+    },
+    update: (state, item) => {
+      state.barcode.hriPosition = item.position;
+    },
+  },
+
+  // HRI 字体 GS f n
+  HRI_FONT: {
+    bytes: [0x1d, 0x66],
+    name: 'HRI_FONT',
+    description: '选择HRI字符字体',
+    validate: allowValues([0, 1, 48, 49]),
+    params: { type: 'fixed', count: 1 },
+    parse: (data, index) => {
+      const value = data[index + 2];
+      const font = value % 48 === 1 ? 'B' : 'A';
+      return {
+        type: 'command',
+        command: 'HRI_FONT',
+        value: value,
+        font: font,
+        description: `HRI字符字体: 字体${font}`,
+      };
+    },
+    update: (state, item) => {
+      state.barcode.hriFont = item.font;
+    },
+  },
+
+  // 打印条码 GS k m d1...dk NUL 或 GS k m n d1...dn
+  BARCODE: {
+    bytes: [0x1d, 0x6b],
+    name: 'BARCODE',
+    description: '打印条码',
+    validate: (item) =>
+      BARCODE_SYSTEMS[item.system] ? null : `未知的条码类型: ${item.system}`,
+    // 功能A: m d1...dk NUL; 功能B: m n d1...dn
+    params: {
+      type: 'custom',
+      header: 2,
+      length: (data, index) => {
+        if (isFunctionA(data[index + 2])) {
+          return 1 + terminatedLength(data, index + 3, 0x00);
+        }
+        return 2 + data[index + 3];
+      },
+    },
+    parse: (data, index, state) => {
+      const system = data[index + 2];
+      const functionA = isFunctionA(system);
+      const start = functionA ? index + 3 : index + 4;
+      const end = functionA
+        ? data.indexOf(0x00, start)
+        : start + data[index + 3];
+
+      const bytes = Array.from(data.slice(start, end));
+      const symbology = BARCODE_SYSTEMS[system] || `未知(${system})`;
+      const decoded = decodeBarcodeData(symbology, bytes);
+      const settings = state ? state.barcode : DEFAULT_BARCODE_SETTINGS;
+
+      return {
+        type: 'barcode',
+        command: 'BARCODE',
+        system: system,
+        function: functionA ? 'A' : 'B',
+        symbology: symbology,
+        data: Buffer.from(bytes).toString('latin1'),
+        text: decoded.text,
+        codeSets: decoded.codeSets,
+        height: settings.height,
+        moduleWidth: settings.moduleWidth,
+        hriPosition: settings.hriPosition,
+        hriFont: settings.hriFont,
+        description: `条码 ${symbology}: ${decoded.text}`,
+      };
+    },
+    encode: (item) => {
+      const bytes = Array.from(Buffer.from(item.data, 'latin1'));
+      return isFunctionA(item.system)
+        ? [item.system, ...bytes, 0x00]
+        : [item.system, bytes.length, ...bytes];
+    },
+  },
+
+  // 二维码 GS ( k pL pH cn fn [参数]
+  SYMBOL: {
+    bytes: [0x1d, 0x28, 0x6b],
+    name: 'SYMBOL',
+    description: '二维码设置与打印',
+    validate: (item) =>
+      SYMBOL_TYPES[item.cn] ? null : `未知的二维码类型: ${item.cn}`,
+    params: { type: 'length16' },
+    parse: (data, index, state) => {
+      const length = data[index + 3] + data[index + 4] * 256;
+      const cn = data[index + 5];
+      const fn = data[index + 6];
+      const params = Array.from(data.slice(index + 7, index + 5 + length));
+      const symbolType = getSymbolType(cn);
+      const info = describeFunction(cn, fn, params);
+
+      if (info.kind === 'print') {
+        const stored = (state && state.symbols[cn]) || {};
+        const text = decodeSymbolData(stored.bytes || []);
+        return {
+          type: 'symbol',
+          command: 'SYMBOL',
+          symbolType: symbolType,
+          cn: cn,
+          fn: fn,
+          parameters: params,
+          ...stored.settings,
+          data: text,
+          description: `二维码 ${symbolType}: ${text}`,
+        };
+      }
+
+      return {
+        type: 'command',
+        command: 'SYMBOL',
+        symbolType: symbolType,
+        cn: cn,
+        fn: fn,
+        parameters: params,
+        ...info.settings,
+        description: `${symbolType} ${info.text}`,
+      };
+    },
+    update: (state, item) => {
+      if (item.type !== 'command') return;
+
+      const symbol = state.symbols[item.cn] || { settings: {}, bytes: [] };
+      const info = describeFunction(item.cn, item.fn, item.parameters);
+      if (info.kind === 'setting') {
+        symbol.settings = { ...symbol.settings, ...info.settings };
+      } else if (info.kind === 'store') {
+        symbol.bytes = info.bytes;
+      }
+      state.symbols[item.cn] = symbol;
+    },
+    encode: (item) => [
+      ...uint16(item.parameters.length + 2),
+      item.cn,
+      item.fn,
+      ...item.parameters,
+    ],
   },
 };
 
+/**
+ * 创建解析状态
+ * 保存解析过程中需要跨指令传递的打印机设置（如条码参数、字符代码表）
+ * @returns {Object} 解析状态对象
+ */
+function createParseState() {
+  return {
+    barcode: { ...DEFAULT_BARCODE_SETTINGS },
+    symbols: {},
+    // 未选择代码表时按调用方指定的编码解码
+    codePage: null,
+    charset: 0,
+    // 未切换汉字模式时为 null
+    kanji: null,
+    kanjiCode: null,
+  };
+}
+
+/**
+ * 计算指令参数部分的字节数
+ * 参数布局由指令定义中的 params 声明:
+ *   - 无 params: 没有参数
+ *   - { type: 'fixed', count }: 固定字节数
+ *   - { type: 'length16' }: nL nH 小端长度后跟随 n 个字节
+ *   - { type: 'terminated', terminator, prefix }: 跳过 prefix 个字节后，以 terminator 结尾
+ *   - { type: 'custom', header, length }: 读取 header 个字节后由 length 函数计算
+ * @param {Object} command - 指令定义对象
+ * @param {Buffer} data - 数据缓冲区
+ * @param {number} index - 指令起始索引
+ * @returns {number|null} 参数字节数，数据不完整时返回 null
+ */
+function getParamLength(command, data, index) {
+  const params = command.params;
+  const start = index + command.bytes.length;
+  let length;
+
+  if (!params) {
+    return 0;
+  }
+
+  switch (params.type) {
+    case 'fixed':
+      length = params.count;
+      break;
+
+    case 'length16':
+      if (start + 2 > data.length) return null;
+      length = 2 + data[start] + data[start + 1] * 256;
+      break;
+
+    case 'terminated':
+      length =
+        (params.prefix || 0) +
+        terminatedLength(data, start + (params.prefix || 0), params.terminator);
+      break;
+
+    case 'custom':
+      if (start + (params.header || 0) > data.length) return null;
+      length = params.length(data, index);
+      break;
+
+    default:
+      throw new Error(`未知的参数布局: ${params.type}`);
+  }
+
+  if (Number.isNaN(length) || start + length > data.length) {
+    return null;
+  }
+
+  return length;
+}
+
+/**
+ * 计算以终止符结尾的数据长度（包含终止符）
+ * 未找到终止符时返回 NaN，表示数据不完整
+ * @param {Buffer} data - 数据缓冲区
+ * @param {number} start - 数据起始索引
+ * @param {number} terminator - 终止字节
+ * @returns {number} 数据长度
+ */
+function terminatedLength(data, start, terminator) {
+  const end = data.indexOf(terminator, start);
+  return end === -1 ? NaN : end - start + 1;
+}
+
+/**
+ * 创建参数取值检查函数
+ * @param {Array} values - 允许的参数值
+ * @returns {Function} 检查函数，参数无效时返回问题描述
+ */
+function allowValues(values) {
+  return (item) =>
+    values.includes(item.value) ? null : `参数无效: ${item.value}`;
+}
+
+/**
+ * 创建位图模式检查函数
+ * @param {Array} modes - 允许的模式
+ * @returns {Function} 检查函数，模式无效时返回问题描述
+ */
+function allowModes(modes) {
+  return (item) =>
+    modes.includes(item.mode) ? null : `位图模式无效: ${item.mode}`;
+}
+
+/**
+ * 将数值编码为小端 16 位（低字节在前）
+ * @param {number} value - 数值
+ * @returns {Array} [低字节, 高字节]
+ */
+function uint16(value) {
+  return [value & 0xff, (value >> 8) & 0xff];
+}
+
 /**
  * 根据字节序列查找匹配的指令
  * @param {Buffer} data - 数据缓冲区
@@ -200,6 +1448,24 @@ function findCommand(data, index) {
   return null;
 }
 
+/**
+ * 检查数据末尾的字节是否为某个指令的开头（指令字节被截断）
+ * @param {Buffer} data - 数据缓冲区
+ * @param {number} index - 当前索引
+ * @returns {boolean} 剩余字节是否可能组成一个指令
+ */
+function isCommandPrefix(data, index) {
+  const remaining = data.length - index;
+
+  return Object.values(COMMANDS).some(
+    (command) =>
+      command.bytes.length > remaining &&
+      command.bytes
+        .slice(0, remaining)
+        .every((byte, i) => data[index + i] === byte)
+  );
+}
+
 /**
  * 检查是否为可打印的文本字符
  * @param {number} byte - 字节值
@@ -221,7 +1487,10 @@ function isNewLine(byte) {
 
 module.exports = {
   COMMANDS,
+  createParseState,
   findCommand,
+  getParamLength,
+  isCommandPrefix,
   isPrintableChar,
   isNewLine,
 };
@@ -0,0 +1,599 @@
+/**
+ * 打印任务比较
+ * 将两个解析结果整理为打印行与指令序列后按最长公共子序列对齐，
+ * 分别报告文本行、样式以及增删指令的差异，不受字节位置偏移的影响
+ */
+
+const { PrinterState, ALIGN_TYPE, CONTROL_CHARS_REGEX } = require('./state');
+
+// 对齐方式名称
+const ALIGN_NAMES = {
+  [ALIGN_TYPE.LEFT]: '左',
+  [ALIGN_TYPE.CENTER]: '居中',
+  [ALIGN_TYPE.RIGHT]: '右',
+};
+
+// 参与比较的样式字段及其显示方式，覆盖打印机样式状态的全部字段
+const STYLE_FIELDS = [
+  {
+    name: '对齐',
+    get: (style) => ALIGN_NAMES[style.align],
+  },
+  {
+    name: '加粗',
+    get: (style) => (style.bold ? '是' : '否'),
+  },
+  {
+    name: '大小',
+    get: (style) => `${style.widthScale}x${style.heightScale}`,
+  },
+  {
+    name: '下划线',
+    get: (style) => String(style.underline),
+  },
+  {
+    name: '反白',
+    get: (style) => (style.inverse ? '是' : '否'),
+  },
+  {
+    name: '字体',
+    get: (style) => style.font,
+  },
+  {
+    name: '重叠打印',
+    get: (style) => (style.doubleStrike ? '是' : '否'),
+  },
+  {
+    name: '倒置',
+    get: (style) => (style.upsideDown ? '是' : '否'),
+  },
+  {
+    name: '旋转',
+    get: (style) => `${style.rotation}度`,
+  },
+  {
+    name: '颜色',
+    get: (style) => (style.color === 'red' ? '红色' : '黑色'),
+  },
+  {
+    name: '平滑',
+    get: (style) => (style.smoothing ? '是' : '否'),
+  },
+  {
+    name: '行间距',
+    get: (style) => `${style.lineSpacing}点`,
+  },
+  {
+    name: '字符间距',
+    get: (style) => `${style.charSpacing}点`,
+  },
+  {
+    name: '汉字下划线',
+    get: (style) => String(style.kanjiUnderline),
+  },
+  {
+    name: '汉字大小',
+    get: (style) => `${style.kanjiWidthScale}x${style.kanjiHeightScale}`,
+  },
+];
+
+// 终端颜色
+const COLORS = {
+  removed: '\x1b[31m',
+  added: '\x1b[32m',
+  style: '\x1b[36m',
+  hunk: '\x1b[35m',
+  reset: '\x1b[0m',
+};
+
+// 默认的上下文行数
+const DEFAULT_CONTEXT = 3;
+
+/**
+ * 比较两个打印任务
+ * @param {Array} itemsA - 原任务的解析结果
+ * @param {Array} itemsB - 新任务的解析结果
+ * @returns {Object} 比较结果，包含 equal、text、style、commands 以及对齐后的 operations
+ * @throws {Error} 当输入无效时抛出错误
+ */
+function diffJobs(itemsA, itemsB) {
+  if (!Array.isArray(itemsA) || !Array.isArray(itemsB)) {
+    throw new Error('输入必须是数组类型');
+  }
+
+  const entriesA = toEntries(itemsA);
+  const entriesB = toEntries(itemsB);
+  const operations = alignEntries(entriesA, entriesB);
+
+  const result = {
+    equal: true,
+    text: [],
+    style: [],
+    commands: [],
+    operations: operations,
+  };
+
+  for (const operation of operations) {
+    const { a, b } = operation;
+
+    switch (operation.type) {
+      case 'equal':
+        continue;
+
+      case 'style':
+        result.style.push({
+          text: a.text,
+          lineA: a.line,
+          lineB: b.line,
+          changes: operation.changes,
+        });
+        break;
+
+      case 'changed':
+        result.text.push({
+          type: 'changed',
+          lineA: a.line,
+          lineB: b.line,
+          before: a.text,
+          after: b.text,
+        });
+        break;
+
+      case 'removed':
+      case 'added': {
+        const entry = a || b;
+        if (entry.kind === 'text') {
+          result.text.push({
+            type: operation.type,
+            lineA: a ? a.line : null,
+            lineB: b ? b.line : null,
+            before: a ? a.text : null,
+            after: b ? b.text : null,
+          });
+        } else {
+          result.commands.push({
+            type: operation.type,
+            command: entry.command,
+            description: entry.description,
+            offset: entry.offset,
+          });
+        }
+        break;
+      }
+    }
+
+    result.equal = false;
+  }
+
+  return result;
+}
+
+/**
+ * 将解析结果整理为比较条目：打印行以及非样式指令
+ * 样式指令不单独成为条目，而是记录在其后打印的文本行上
+ * @param {Array} items - 解析结果数组
+ * @returns {Array} 条目数组
+ */
+function toEntries(items) {
+  const entries = [];
+  const state = new PrinterState();
+  let runs = [];
+  let line = 0;
+
+  const endLine = () => {
+    entries.push({
+      kind: 'text',
+      line: ++line,
+      text: runs.map((run) => run.text).join(''),
+      runs: runs,
+      key: `text:${runs.map((run) => run.text).join('')}`,
+    });
+    runs = [];
+  };
+
+  for (const item of items) {
+    if (item.type === 'text') {
+      if (item.text === '\n') {
+        endLine();
+        continue;
+      }
+
+      const text = item.text.replace(CONTROL_CHARS_REGEX, '');
+      if (text) {
+        runs.push({ text: text, style: state.snapshot() });
+      }
+      continue;
+    }
+
+    // 样式指令只改变状态，初始化指令同时作为条目保留
+    if (
+      item.type === 'command' &&
+      state.apply(item) &&
+      item.command !== 'INITIALIZE'
+    ) {
+      continue;
+    }
+
+    if (runs.length > 0) {
+      endLine();
+    }
+
+    entries.push({
+      kind: 'command',
+      command: item.command,
+      description: item.description,
+      offset: item.offset,
+      key: `${item.type}:${item.raw || item.description}`,
+    });
+  }
+
+  if (runs.length > 0) {
+    endLine();
+  }
+
+  return entries;
+}
+
+/**
+ * 对齐两个条目序列
+ * 按条目内容求最长公共子序列，未匹配的相邻删除与新增文本行视为修改
+ * @param {Array} entriesA - 原任务条目
+ * @param {Array} entriesB - 新任务条目
+ * @returns {Array} 操作数组，每项包含 type（equal、style、changed、removed、added）、a、b
+ */
+function alignEntries(entriesA, entriesB) {
+  const operations = [];
+  const pairs = matchEntries(entriesA, entriesB);
+  let indexA = 0;
+  let indexB = 0;
+
+  for (const [matchA, matchB] of pairs.concat([
+    [entriesA.length, entriesB.length],
+  ])) {
+    pushGap(
+      operations,
+      entriesA.slice(indexA, matchA),
+      entriesB.slice(indexB, matchB)
+    );
+
+    if (matchA < entriesA.length) {
+      const a = entriesA[matchA];
+      const b = entriesB[matchB];
+      const changes = a.kind === 'text' ? compareStyles(a.runs, b.runs) : [];
+      operations.push({
+        type: changes.length > 0 ? 'style' : 'equal',
+        a: a,
+        b: b,
+        changes: changes,
+      });
+    }
+
+    indexA = matchA + 1;
+    indexB = matchB + 1;
+  }
+
+  return operations;
+}
+
+/**
+ * 输出两个匹配之间未对齐的条目
+ * @param {Array} operations - 操作数组
+ * @param {Array} removed - 原任务中的条目
+ * @param {Array} added - 新任务中的条目
+ */
+function pushGap(operations, removed, added) {
+  const removedText = removed.filter((entry) => entry.kind === 'text');
+  const addedText = added.filter((entry) => entry.kind === 'text');
+  const changed = Math.min(removedText.length, addedText.length);
+
+  for (let i = 0; i < changed; i++) {
+    operations.push({ type: 'changed', a: removedText[i], b: addedText[i] });
+  }
+
+  for (const entry of removed) {
+    if (entry.kind !== 'text' || removedText.indexOf(entry) >= changed) {
+      operations.push({ type: 'removed', a: entry, b: null });
+    }
+  }
+
+  for (const entry of added) {
+    if (entry.kind !== 'text' || addedText.indexOf(entry) >= changed) {
+      operations.push({ type: 'added', a: null, b: entry });
+    }
+  }
+}
+
+/**
+ * 求两个条目序列的最长公共子序列
+ * 先去掉相同的开头与结尾，中间部分使用 Hirschberg 算法，只占用线性空间
+ * @param {Array} entriesA - 原任务条目
+ * @param {Array} entriesB - 新任务条目
+ * @returns {Array} 匹配的索引对 [indexA, indexB]
+ */
+function matchEntries(entriesA, entriesB) {
+  let start = 0;
+  while (
+    start < entriesA.length &&
+    start < entriesB.length &&
+    entriesA[start].key === entriesB[start].key
+  ) {
+    start++;
+  }
+
+  let endA = entriesA.length;
+  let endB = entriesB.length;
+  while (
+    endA > start &&
+    endB > start &&
+    entriesA[endA - 1].key === entriesB[endB - 1].key
+  ) {
+    endA--;
+    endB--;
+  }
+
+  const pairs = [];
+  for (let i = 0; i < start; i++) {
+    pairs.push([i, i]);
+  }
+
+  const keysA = entriesA.map((entry) => entry.key);
+  const keysB = entriesB.map((entry) => entry.key);
+  matchRange(keysA, start, endA, keysB, start, endB, pairs);
+
+  for (let k = 0; endA + k < entriesA.length; k++) {
+    pairs.push([endA + k, endB + k]);
+  }
+
+  return pairs;
+}
+
+/**
+ * 对齐两个键序列的指定区间，按顺序追加匹配的索引对
+ * 以原区间的中间位置为界，将新区间在使两侧公共子序列之和最大的位置分开后递归
+ * @param {Array} keysA - 原任务条目的键
+ * @param {number} startA - 原区间起始位置
+ * @param {number} endA - 原区间结束位置（不含）
+ * @param {Array} keysB - 新任务条目的键
+ * @param {number} startB - 新区间起始位置
+ * @param {number} endB - 新区间结束位置（不含）
+ * @param {Array} pairs - 匹配的索引对数组
+ */
+function matchRange(keysA, startA, endA, keysB, startB, endB, pairs) {
+  if (startA >= endA || startB >= endB) {
+    return;
+  }
+
+  if (endA - startA === 1) {
+    const index = keysB.indexOf(keysA[startA], startB);
+    if (index !== -1 && index < endB) {
+      pairs.push([startA, index]);
+    }
+    return;
+  }
+
+  const middle = (startA + endA) >> 1;
+  const head = prefixLengths(keysA, startA, middle, keysB, startB, endB, 1);
+  const tail = prefixLengths(
+    keysA,
+    endA - 1,
+    middle - 1,
+    keysB,
+    endB - 1,
+    startB - 1,
+    -1
+  );
+
+  // head[k] 为前半段与 B[startB, startB + k) 的公共长度，tail 从结尾方向计数
+  const cols = endB - startB;
+  let split = 0;
+  let best = -1;
+  for (let k = 0; k <= cols; k++) {
+    const length = head[k] + tail[cols - k];
+    if (length > best) {
+      best = length;
+      split = k;
+    }
+  }
+
+  matchRange(keysA, startA, middle, keysB, startB, startB + split, pairs);
+  matchRange(keysA, middle, endA, keysB, startB + split, endB, pairs);
+}
+
+/**
+ * 计算 A 的一段与 B 的各个前缀的最长公共子序列长度
+ * step 为 -1 时从区间末尾向前扫描，得到的是与 B 的各个后缀的长度
+ * @param {Array} keysA - 原任务条目的键
+ * @param {number} fromA - A 的扫描起点
+ * @param {number} toA - A 的扫描终点（不含）
+ * @param {Array} keysB - 新任务条目的键
+ * @param {number} fromB - B 的扫描起点
+ * @param {number} toB - B 的扫描终点（不含）
+ * @param {number} step - 扫描方向，1 或 -1
+ * @returns {Uint32Array} 长度数组，第 k 项对应 B 中扫描过的前 k 个条目
+ */
+function prefixLengths(keysA, fromA, toA, keysB, fromB, toB, step) {
+  const cols = (toB - fromB) * step;
+  let previous = new Uint32Array(cols + 1);
+  let current = new Uint32Array(cols + 1);
+
+  for (let i = fromA; i !== toA; i += step) {
+    for (let k = 1; k <= cols; k++) {
+      current[k] =
+        keysA[i] === keysB[fromB + (k - 1) * step]
+          ? previous[k - 1] + 1
+          : Math.max(previous[k], current[k - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous;
+}
+
+/**
+ * 比较同一文本行的样式
+ * 一行中有多个样式片段时，以 / 连接各片段的取值
+ * @param {Array} runsA - 原任务的样式片段
+ * @param {Array} runsB - 新任务的样式片段
+ * @returns {Array} 变化数组，每项包含 field、before、after
+ */
+function compareStyles(runsA, runsB) {
+  const changes = [];
+
+  for (const field of STYLE_FIELDS) {
+    const before = describeField(runsA, field);
+    const after = describeField(runsB, field);
+    if (before !== after) {
+      changes.push({ field: field.name, before: before, after: after });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * 获取一行中某个样式字段的取值
+ * @param {Array} runs - 样式片段
+ * @param {Object} field - 样式字段
+ * @returns {string} 取值，相邻片段相同时合并
+ */
+function describeField(runs, field) {
+  const values = [];
+  for (const run of runs) {
+    const value = field.get(run.style);
+    if (values[values.length - 1] !== value) {
+      values.push(value);
+    }
+  }
+  return values.join('/');
+}
+
+/**
+ * 将比较结果格式化为统一差异格式的文本
+ * @param {Object} result - diffJobs 返回的比较结果
+ * @param {Object} options - 格式化选项
+ * @param {boolean} options.color - 是否使用终端颜色，默认 false
+ * @param {number} options.context - 差异前后保留的相同条目数，默认3
+ * @param {string} options.labelA - 原任务名称，默认 'a'
+ * @param {string} options.labelB - 新任务名称，默认 'b'
+ * @returns {string} 差异文本，任务相同时为空字符串
+ */
+function formatDiff(result, options = {}) {
+  if (result.equal) {
+    return '';
+  }
+
+  const context =
+    options.context === undefined ? DEFAULT_CONTEXT : options.context;
+  const paint = (color, text) =>
+    options.color ? `${COLORS[color]}${text}${COLORS.reset}` : text;
+  const operations = result.operations;
+  const lines = [
+    `--- ${options.labelA || 'a'}`,
+    `+++ ${options.labelB || 'b'}`,
+  ];
+
+  for (const [start, end] of findHunks(operations, context)) {
+    const hunk = operations.slice(start, end);
+    lines.push(paint('hunk', formatHunkHeader(operations, start, hunk)));
+
+    for (const operation of hunk) {
+      const { a, b } = operation;
+      switch (operation.type) {
+        case 'equal':
+          lines.push(` ${describeEntry(a)}`);
+          break;
+
+        case 'style':
+          lines.push(
+            paint(
+              'style',
+              `~${describeEntry(a)}  [${operation.changes
+                .map(
+                  (change) =>
+                    `${change.field}: ${change.before} → ${change.after}`
+                )
+                .join('; ')}]`
+            )
+          );
+          break;
+
+        case 'changed':
+          lines.push(paint('removed', `-${describeEntry(a)}`));
+          lines.push(paint('added', `+${describeEntry(b)}`));
+          break;
+
+        case 'removed':
+          lines.push(paint('removed', `-${describeEntry(a)}`));
+          break;
+
+        case 'added':
+          lines.push(paint('added', `+${describeEntry(b)}`));
+          break;
+      }
+    }
+  }
+
+  lines.push(
+    `文本行变化 ${result.text.length} 处，样式变化 ${result.style.length} 处，指令增删 ${result.commands.length} 处`
+  );
+  return lines.join('\n');
+}
+
+/**
+ * 查找需要输出的差异块
+ * @param {Array} operations - 操作数组
+ * @param {number} context - 上下文条目数
+ * @returns {Array} 差异块的起止索引 [start, end]
+ */
+function findHunks(operations, context) {
+  const hunks = [];
+
+  operations.forEach((operation, index) => {
+    if (operation.type === 'equal') {
+      return;
+    }
+
+    const start = Math.max(0, index - context);
+    const end = Math.min(operations.length, index + context + 1);
+    const last = hunks[hunks.length - 1];
+
+    if (last && start <= last[1]) {
+      last[1] = end;
+    } else {
+      hunks.push([start, end]);
+    }
+  });
+
+  return hunks;
+}
+
+/**
+ * 生成差异块的标题，行号为条目序号
+ * @param {Array} operations - 操作数组
+ * @param {number} start - 差异块起始索引
+ * @param {Array} hunk - 差异块中的操作
+ * @returns {string} 如 @@ -3,4 +3,5 @@
+ */
+function formatHunkHeader(operations, start, hunk) {
+  const before = operations.slice(0, start);
+  const countA = (list) => list.filter((operation) => operation.a).length;
+  const countB = (list) => list.filter((operation) => operation.b).length;
+
+  return `@@ -${countA(before) + 1},${countA(hunk)} +${
+    countB(before) + 1
+  },${countB(hunk)} @@`;
+}
+
+/**
+ * 生成条目的显示文本
+ * @param {Object} entry - 条目
+ * @returns {string} 文本行原样显示，指令显示为 [说明]
+ */
+function describeEntry(entry) {
+  return entry.kind === 'text' ? entry.text : `[${entry.description}]`;
+}
+
+module.exports = {
+  diffJobs,
+  formatDiff,
+};
@@ -0,0 +1,176 @@
+/**
+ * ESC/POS 编码器
+ * 将解析结果重新编码为指令字节，可用于修改解析结果（如 JSON）后重新发送给打印机
+ */
+
+const { COMMANDS } = require('./commands');
+const {
+  findCharset,
+  decodeBytes,
+  encodeBytes,
+  applyCharset,
+  revertCharset,
+} = require('./charset');
+
+const DEFAULT_ENCODING = 'utf8';
+
+/**
+ * 将解析结果编码为 ESC/POS 字节
+ * 对解析器支持的指令保证 encode(parseBuffer(buf)) 与 buf 一致
+ * @param {Array} items - 解析结果数组
+ * @param {Object} options - 编码选项
+ * @param {string} options.encoding - 文本编码格式，默认使用文本项目记录的编码
+ * @returns {Buffer} 指令字节
+ * @throws {Error} 当项目无法编码时抛出错误
+ */
+function encode(items, options = {}) {
+  if (!Array.isArray(items)) {
+    throw new Error('输入必须是数组类型');
+  }
+
+  const chunks = items.map((item, index) => {
+    try {
+      return encodeItem(item, options);
+    } catch (error) {
+      throw new Error(`第 ${index + 1} 个项目编码失败: ${error.message}`);
+    }
+  });
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 编码单个项目
+ * @param {Object} item - 解析项目
+ * @param {Object} options - 编码选项
+ * @returns {Buffer} 项目字节
+ */
+function encodeItem(item, options) {
+  switch (item.type) {
+    case 'text':
+      return encodeText(item, options.encoding);
+
+    case 'incomplete':
+      // 不完整的指令原样输出
+      return Buffer.from(item.bytes);
+
+    case 'image':
+      if (item.slices) {
+        return encodeSlices(item);
+      }
+      return encodeCommand(item);
+
+    case 'command':
+    case 'barcode':
+    case 'symbol':
+      return encodeCommand(item);
+
+    default:
+      throw new Error(`未知的项目类型: ${item.type}`);
+  }
+}
+
+/**
+ * 编码文本项目
+ * 文本未被修改时沿用原始字节，否则按编码重新转换；
+ * 选择了代码表、汉字代码体系或国际字符集的文本按解码时的设置还原
+ * @param {Object} item - 文本项目
+ * @param {string} encoding - 文本编码格式
+ * @returns {Buffer} 文本字节
+ */
+function encodeText(item, encoding) {
+  const targetEncoding =
+    item.codePage || item.kanjiCode
+      ? item.encoding
+      : encoding || item.encoding || DEFAULT_ENCODING;
+  const charset = item.charset ? findCharset(item.charset) : null;
+
+  if (Array.isArray(item.bytes) && item.bytes.length > 0) {
+    const original = Buffer.from(item.bytes);
+    let decoded = decodeBytes(original, targetEncoding);
+    if (charset) {
+      decoded = applyCharset(decoded, charset);
+    }
+
+    // 单独的换行项目文本统一为 '\n'，原始字节可能是 CR
+    if (item.text === '\n' || decoded === item.text) {
+      return original;
+    }
+  }
+
+  const text = charset ? revertCharset(item.text, charset) : item.text;
+  return encodeBytes(text, targetEncoding);
+}
+
+/**
+ * 编码指令项目：指令字节后跟随由指令定义生成的参数
+ * @param {Object} item - 指令项目
+ * @returns {Buffer} 指令字节
+ */
+function encodeCommand(item) {
+  const command = COMMANDS[item.command];
+  if (!command) {
+    throw new Error(`未知的指令: ${item.command}`);
+  }
+
+  const params = command.encode
+    ? command.encode(item)
+    : encodeDefaultParams(command, item);
+
+  return Buffer.from(checkBytes([...command.bytes, ...params]));
+}
+
+/**
+ * 按参数布局生成默认参数：无参数或单个参数字节 value
+ * @param {Object} command - 指令定义对象
+ * @param {Object} item - 指令项目
+ * @returns {Array} 参数字节
+ */
+function encodeDefaultParams(command, item) {
+  if (!command.params) {
+    return [];
+  }
+
+  if (command.params.type === 'fixed' && command.params.count === 1) {
+    return [item.value];
+  }
+
+  throw new Error(`指令 ${command.name} 不支持编码`);
+}
+
+/**
+ * 编码合并后的列格式位图，按原样输出各切片及其间的换行
+ * @param {Object} item - 合并后的图像项目
+ * @returns {Buffer} 指令字节
+ */
+function encodeSlices(item) {
+  const chunks = [];
+
+  item.slices.forEach((slice, index) => {
+    chunks.push(encodeCommand({ ...slice, command: item.command }));
+    if (index < item.separators.length) {
+      chunks.push(Buffer.from(item.separators[index]));
+    }
+  });
+
+  return Buffer.concat(chunks);
+}
+
+/**
+ * 检查字节值是否有效
+ * @param {Array} bytes - 字节数组
+ * @returns {Array} 原字节数组
+ * @throws {Error} 当存在无效字节时抛出错误
+ */
+function checkBytes(bytes) {
+  for (const byte of bytes) {
+    if (!Number.isInteger(byte) || byte < 0 || byte > 255) {
+      throw new Error(`无效的字节值: ${byte}`);
+    }
+  }
+  return bytes;
+}
+
+module.exports = {
+  encode,
+};
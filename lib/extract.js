@@ -0,0 +1,443 @@
+/**
+ * 小票数据提取
+ * 在文本格式化还原的打印行之上，按列与正则规则识别商户信息、商品明细、金额合计、
+ * 支付方式、时间以及条码/二维码内容，输出结构化的 JSON 文档
+ */
+
+const fs = require('fs');
+const { analyze } = require('./receipt');
+const { hasWideChars } = require('./state');
+
+// 金额：可带货币符号、千分位与负号
+const AMOUNT_REGEX = /^[-−]?\s*[¥￥$€£]?\s*[-−]?\d{1,3}(?:,?\d{3})*(?:\.\d+)?$/;
+
+// 中英文共用的规则
+const COMMON_RULES = {
+  // 分隔线
+  separator: /^[-=*_.~]{3,}$/,
+  // 各栏之间至少两个空格（制表与定位指令在文本格式化中补齐为空格）
+  columnGap: /\s{2,}/,
+  // 没有这样的分栏时，行末以空格分开的金额作为最后一栏，如 Total 10.00
+  trailingAmount: /^(.*\S)\s+(\S+)$/,
+  // 按栏数对应的商品字段
+  columns: {
+    2: ['name', 'amount'],
+    3: ['name', 'quantity', 'amount'],
+    4: ['name', 'quantity', 'unitPrice', 'amount'],
+  },
+  // 商品名称末尾的数量，如 Latte x2
+  quantityInName: /\s*[x×*]\s*(\d+(?:\.\d+)?)$/i,
+  // “名称: 内容”形式的信息行
+  field: /^([^:：]{1,20}?)\s*[:：]\s*(.+)$/,
+};
+
+// 内置规则集
+const RULE_SETS = {
+  en: {
+    ...COMMON_RULES,
+    name: 'English',
+    itemHeader: /^(items?|description|product|qty)\b/i,
+    quantity: /^[x×*]?\s*(\d+(?:\.\d+)?)\s*(?:x|×|pcs?|ea)?$/i,
+    totals: {
+      subtotal: /^sub[\s-]?total\b/i,
+      discount: /^(discount|savings?)\b/i,
+      tax: /^(tax|vat|gst|hst)\b/i,
+      total: /^(grand\s+)?total\b|^amount\s+due\b|^balance\s+due\b/i,
+    },
+    payment:
+      /^(?:payment|paid\s+by|tender(?:ed)?|payment\s+method)\s*[:：]?\s*(.+)$/i,
+    paymentMethods:
+      /^(cash|credit(?:\s+card)?|debit(?:\s+card)?|visa|master\s*card|amex|card|check|gift\s+card)\b/i,
+    change: /^change\b/i,
+    timestamp:
+      /\d{4}[-/.]\d{1,2}[-/.]\d{1,2}(?:[ T]+\d{1,2}:\d{2}(?::\d{2})?)?|\d{1,2}\/\d{1,2}\/\d{2,4}(?:\s+\d{1,2}:\d{2}(?::\d{2})?(?:\s*[AP]M)?)?/i,
+  },
+  zh: {
+    ...COMMON_RULES,
+    name: '中文',
+    itemHeader: /^(商品|品名|名称|菜品|项目)/,
+    quantity: /^[x×*]?\s*(\d+(?:\.\d+)?)\s*(?:份|杯|个|件|瓶|盒|包|袋|x|×)?$/i,
+    totals: {
+      subtotal: /^小计/,
+      discount: /^(优惠|折扣|减免)/,
+      tax: /^(税额|税金|税)/,
+      total: /^(合计|总计|应付|应收|实付|实收)/,
+    },
+    payment: /^(?:支付方式|付款方式|结算方式)\s*[:：]?\s*(.+)$/,
+    paymentMethods:
+      /^(现金|微信(?:支付)?|支付宝|银联|刷卡|银行卡|信用卡|会员卡|储值卡)/,
+    change: /^找零/,
+    timestamp:
+      /\d{4}年\d{1,2}月\d{1,2}日(?:\s*\d{1,2}[:：]\d{2}(?:[:：]\d{2})?)?|\d{4}[-/.]\d{1,2}[-/.]\d{1,2}(?:[ T]+\d{1,2}:\d{2}(?::\d{2})?)?/,
+  },
+};
+
+// 按顺序匹配的合计类别，小计在合计之前判断
+const TOTAL_KEYS = ['subtotal', 'discount', 'tax', 'total'];
+
+/**
+ * 从打印数据中提取小票内容
+ * @param {Buffer|Array} input - 数据缓冲区，或已有的解析结果数组
+ * @param {Object} options - 选项
+ * @param {string} options.encoding - 文本编码格式，默认 'utf8'
+ * @param {string|Object} options.profile - 打印机型号，决定行宽与换行
+ * @param {string|Object} options.rules - 规则集名称（zh、en）、JSON 规则文件路径或规则对象，默认按是否含有汉字自动选择
+ * @returns {Object} 包含 merchant、fields、items、totals、payment、timestamps、codes 的文档
+ * @throws {Error} 当输入或规则无效时抛出错误
+ */
+function extractReceipt(input, options = {}) {
+  const receipt = analyze(input, options);
+  const lines = receipt
+    .lines()
+    .map((line) => ({ ...line, text: line.text.trim() }))
+    .filter((line) => line.text.length > 0);
+
+  const rules = getRules(
+    options.rules && options.rules !== 'auto'
+      ? options.rules
+      : lines.some((line) => hasWideChars(line.text))
+      ? 'zh'
+      : 'en'
+  );
+
+  const extractor = new Extractor(rules);
+  lines.forEach((line) => extractor.addLine(line));
+
+  return {
+    rules: rules.name,
+    ...extractor.result,
+    codes: extractCodes(receipt),
+  };
+}
+
+/**
+ * 提取器类
+ * 分隔线、表头、商品行或合计行之前的各行属于商户信息；出现合计行之后不再识别商品
+ */
+class Extractor {
+  /**
+   * @param {Object} rules - 完整的规则集
+   */
+  constructor(rules) {
+    this.rules = rules;
+    this.inHeader = true;
+    this.inItems = true;
+    this.result = {
+      merchant: { name: null, lines: [] },
+      fields: {},
+      items: [],
+      totals: {},
+      payment: { method: null, amount: null, change: null },
+      timestamps: [],
+    };
+  }
+
+  /**
+   * 处理一个打印行
+   * @param {Object} line - Receipt 的文本行（text 已去除首尾空格）
+   */
+  addLine(line) {
+    const rules = this.rules;
+    const text = line.text;
+
+    const timestamps = text.match(globalRegex(rules.timestamp)) || [];
+    this.result.timestamps.push(...timestamps);
+
+    if (rules.separator.test(text) || rules.itemHeader.test(text)) {
+      this.inHeader = false;
+      return;
+    }
+
+    const fields = this.splitColumns(text);
+    const amount =
+      fields.length > 1 ? parseAmount(fields[fields.length - 1]) : null;
+
+    if (
+      this.addTotal(fields[0], amount) ||
+      this.addPayment(text, fields[0], amount)
+    ) {
+      this.inHeader = false;
+      this.inItems = false;
+      return;
+    }
+
+    const item = this.inItems ? this.parseItem(fields, line.offset) : null;
+    if (item) {
+      this.inHeader = false;
+      this.result.items.push(item);
+      return;
+    }
+
+    if (this.inHeader) {
+      if (timestamps.length === 0) {
+        this.result.merchant.lines.push(text);
+        this.result.merchant.name = this.result.merchant.name || text;
+      }
+      return;
+    }
+
+    const field = text.match(rules.field);
+    if (field) {
+      this.result.fields[field[1]] = field[2];
+    }
+  }
+
+  /**
+   * 将行文本分栏
+   * @param {string} text - 行文本
+   * @returns {Array} 各栏文本
+   */
+  splitColumns(text) {
+    const fields = text.split(this.rules.columnGap);
+    if (fields.length > 1) return fields;
+
+    const match = text.match(this.rules.trailingAmount);
+    return match && parseAmount(match[2]) !== null
+      ? [match[1], match[2]]
+      : fields;
+  }
+
+  /**
+   * 识别合计类的行（小计、优惠、税额、合计）
+   * @param {string} label - 第一栏文本
+   * @param {number|null} amount - 最后一栏的金额
+   * @returns {boolean} 是否为合计类的行
+   */
+  addTotal(label, amount) {
+    if (amount === null) return false;
+
+    const key = TOTAL_KEYS.find(
+      (name) => this.rules.totals[name] && this.rules.totals[name].test(label)
+    );
+    if (!key) return false;
+
+    // 同一类别出现多次时保留第一次，如“合计”之后的“实付”
+    if (this.result.totals[key] === undefined) {
+      this.result.totals[key] = amount;
+    }
+    return true;
+  }
+
+  /**
+   * 识别支付方式与找零
+   * @param {string} text - 行文本
+   * @param {string} label - 第一栏文本
+   * @param {number|null} amount - 最后一栏的金额
+   * @returns {boolean} 是否为支付相关的行
+   */
+  addPayment(text, label, amount) {
+    const payment = this.result.payment;
+
+    if (amount !== null && this.rules.change.test(label)) {
+      payment.change = amount;
+      return true;
+    }
+
+    if (amount !== null && this.rules.paymentMethods.test(label)) {
+      payment.method = payment.method || label.replace(/[:：]$/, '');
+      payment.amount = amount;
+      return true;
+    }
+
+    const match = text.match(this.rules.payment);
+    if (match) {
+      payment.method = match[1].trim();
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 按栏解析商品行
+   * @param {Array} fields - 各栏文本
+   * @param {number} offset - 行的字节位置
+   * @returns {Object|null} 商品，包含 name、quantity、unitPrice、amount、offset；不是商品行时返回 null
+   */
+  parseItem(fields, offset) {
+    const maxCount = Math.max(...Object.keys(this.rules.columns).map(Number));
+    const count = Math.min(fields.length, maxCount);
+    const columns = this.rules.columns[count];
+    if (!columns || fields.length < 2) return null;
+
+    // 栏数多于规则时，多出的栏归入名称
+    const values = [
+      fields.slice(0, fields.length - count + 1).join(' '),
+      ...fields.slice(fields.length - count + 1),
+    ];
+    const item = {
+      name: null,
+      quantity: null,
+      unitPrice: null,
+      amount: null,
+      offset: offset,
+    };
+
+    for (let i = 0; i < columns.length; i++) {
+      const value = values[i];
+      if (columns[i] === 'name') {
+        item.name = value;
+      } else if (columns[i] === 'quantity') {
+        const match = value.match(this.rules.quantity);
+        if (!match) return null;
+        item.quantity = Number(match[1]);
+      } else {
+        const amount = parseAmount(value);
+        if (amount === null) return null;
+        item[columns[i]] = amount;
+      }
+    }
+
+    if (item.amount === null || !item.name) return null;
+
+    if (item.quantity === null) {
+      const match = item.name.match(this.rules.quantityInName);
+      if (match) {
+        item.quantity = Number(match[1]);
+        item.name = item.name.slice(0, match.index);
+      }
+    }
+
+    return item;
+  }
+}
+
+/**
+ * 提取条码与二维码内容
+ * @param {Receipt} receipt - 小票对象
+ * @returns {Array} 包含 type、format、data、offset 的数组
+ */
+function extractCodes(receipt) {
+  return receipt.items
+    .filter((item) => item.type === 'barcode' || item.type === 'symbol')
+    .map((item) =>
+      item.type === 'barcode'
+        ? {
+            type: 'barcode',
+            format: item.symbology,
+            data: item.text,
+            offset: item.offset,
+          }
+        : {
+            type: 'symbol',
+            format: item.symbolType,
+            data: item.data,
+            offset: item.offset,
+          }
+    );
+}
+
+/**
+ * 获取规则集
+ * @param {string|Object} rules - 内置规则集名称、JSON 规则文件路径或规则对象
+ * @returns {Object} 完整的规则集
+ * @throws {Error} 当规则集不存在或无效时抛出错误
+ */
+function getRules(rules) {
+  if (rules && typeof rules === 'object') {
+    return resolveRules(rules);
+  }
+
+  const id = String(rules).toLowerCase();
+  if (RULE_SETS[id]) {
+    return RULE_SETS[id];
+  }
+
+  if (id.endsWith('.json')) {
+    if (!fs.existsSync(rules)) {
+      throw new Error(`规则文件不存在: ${rules}`);
+    }
+    try {
+      return resolveRules(JSON.parse(fs.readFileSync(rules, 'utf8')));
+    } catch (error) {
+      throw new Error(`读取规则失败: ${error.message}`);
+    }
+  }
+
+  throw new Error(
+    `未知的规则集: ${rules}（可选: ${Object.keys(RULE_SETS).join(', ')}）`
+  );
+}
+
+/**
+ * 补全规则对象
+ * 可以通过 extends 指定基础规则集，只覆盖需要修改的规则；
+ * JSON 中的正则表达式写为字符串，按不区分大小写编译
+ * @param {Object} rules - 规则对象
+ * @returns {Object} 完整的规则集
+ * @throws {Error} 当正则表达式无效时抛出错误
+ */
+function resolveRules(rules) {
+  const base = getRules(rules.extends || 'en');
+  const resolved = {
+    ...base,
+    name: rules.name || base.name,
+    columns: { ...base.columns, ...rules.columns },
+    totals: { ...base.totals },
+  };
+
+  for (const [key, value] of Object.entries(rules)) {
+    if (key === 'totals') {
+      for (const [name, pattern] of Object.entries(value)) {
+        resolved.totals[name] = toRegex(pattern);
+      }
+    } else if (base[key] instanceof RegExp) {
+      resolved[key] = toRegex(value);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * 将规则值转换为正则表达式
+ * @param {string|RegExp} value - 正则表达式或其字符串
+ * @returns {RegExp}
+ * @throws {Error} 当正则表达式无效时抛出错误
+ */
+function toRegex(value) {
+  if (value instanceof RegExp) {
+    return value;
+  }
+
+  try {
+    return new RegExp(value, 'i');
+  } catch (error) {
+    throw new Error(`无效的正则表达式: ${value}`);
+  }
+}
+
+/**
+ * 生成带全局标志的正则表达式副本，用于查找全部匹配
+ * @param {RegExp} regex - 正则表达式
+ * @returns {RegExp}
+ */
+function globalRegex(regex) {
+  return new RegExp(
+    regex.source,
+    regex.flags.includes('g') ? regex.flags : `${regex.flags}g`
+  );
+}
+
+/**
+ * 解析金额
+ * 整数只有带货币符号时才视为金额，避免把桌号、数量等识别为金额
+ * @param {string} text - 金额文本，如 $1,234.50、￥12.00、-3.00
+ * @returns {number|null} 金额，不是金额时返回 null
+ */
+function parseAmount(text) {
+  const value = text.trim();
+  if (!AMOUNT_REGEX.test(value) || !/[.¥￥$€£]/.test(value)) {
+    return null;
+  }
+
+  const negative = /[-−]/.test(value);
+  const amount = Number(value.replace(/[^\d.]/g, ''));
+  return negative ? -amount : amount;
+}
+
+module.exports = {
+  extractReceipt,
+  getRules,
+  RULE_SETS,
+};
@@ -0,0 +1,89 @@
+/**
+ * 内置点阵字体
+ * 字体文件由 scripts/build-font.js 生成，收录 ASCII、常用西文字符及 GB2312 字符
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// 字体文件中字符单元的高度（点）
+const GLYPH_HEIGHT = 12;
+
+const FONT_FILE = path.join(__dirname, 'fonts', 'bitmap-12px.hex.gz');
+
+// 字形缓存，首次使用时加载
+let glyphs = null;
+
+/**
+ * 加载字体文件
+ * @returns {Map} 码位到字形的映射
+ */
+function loadGlyphs() {
+  if (glyphs) {
+    return glyphs;
+  }
+
+  glyphs = new Map();
+  const content = zlib.gunzipSync(fs.readFileSync(FONT_FILE)).toString('utf8');
+
+  for (const line of content.split('\n')) {
+    if (!line || line.startsWith('#')) continue;
+
+    const [code, hex] = line.split(':');
+    const digits = hex.length / GLYPH_HEIGHT;
+    const rows = [];
+    for (let r = 0; r < GLYPH_HEIGHT; r++) {
+      rows.push(parseInt(hex.substr(r * digits, digits), 16));
+    }
+
+    glyphs.set(parseInt(code, 16), {
+      // 半角字符 6 点宽，全角字符 12 点宽
+      width: digits === 2 ? GLYPH_HEIGHT / 2 : GLYPH_HEIGHT,
+      bits: digits * 4,
+      rows: rows,
+    });
+  }
+
+  return glyphs;
+}
+
+/**
+ * 获取字符的字形
+ * 字体中没有的字符返回方框字形
+ * @param {string} char - 单个字符
+ * @param {boolean} fullWidth - 缺字时是否使用全角方框
+ * @returns {Object} 字形对象，包含 width、bits、rows
+ */
+function getGlyph(char, fullWidth) {
+  const glyph = loadGlyphs().get(char.codePointAt(0));
+  if (glyph) {
+    return glyph;
+  }
+  return createBoxGlyph(fullWidth ? GLYPH_HEIGHT : GLYPH_HEIGHT / 2);
+}
+
+/**
+ * 创建方框字形，用于显示字体中缺失的字符
+ * @param {number} width - 字形宽度
+ * @returns {Object} 字形对象
+ */
+function createBoxGlyph(width) {
+  const bits = width > 8 ? 16 : 8;
+  const full = ((1 << (width - 1)) - 1) << (bits - width + 1);
+  const sides = (1 << (bits - 1)) | (1 << (bits - width + 1));
+  const rows = [];
+
+  for (let r = 0; r < GLYPH_HEIGHT; r++) {
+    if (r === 1 || r === GLYPH_HEIGHT - 2) rows.push(full);
+    else if (r > 1 && r < GLYPH_HEIGHT - 2) rows.push(sides);
+    else rows.push(0);
+  }
+
+  return { width: width, bits: bits, rows: rows };
+}
+
+module.exports = {
+  GLYPH_HEIGHT,
+  getGlyph,
+};
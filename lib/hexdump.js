@@ -0,0 +1,90 @@
+/**
+ * 带注释的十六进制转储
+ * 按项目逐段输出 偏移/十六进制/ASCII，并在每段后标注解析出的指令说明，
+ * 便于与协议分析器的抓包数据对照
+ */
+
+// 每行字节数
+const BYTES_PER_LINE = 16;
+
+/**
+ * 将解析结果格式化为带注释的十六进制转储
+ * 每个项目从新的一行开始，超过16字节时折行，注释只出现在项目的第一行
+ * @param {Array} items - 解析结果数组，项目需包含 offset 与 raw
+ * @param {Buffer} buffer - 原始数据（可选），提供时会输出解析器跳过的字节
+ * @returns {string} 转储文本
+ */
+function formatAsHexdump(items, buffer) {
+  const lines = [];
+  let position = 0;
+
+  for (const item of items) {
+    if (item.offset === undefined || item.raw === undefined) {
+      continue;
+    }
+
+    if (buffer && item.offset > position) {
+      dumpRange(
+        lines,
+        position,
+        buffer.slice(position, item.offset),
+        '（未识别的字节）'
+      );
+    }
+
+    dumpRange(lines, item.offset, Buffer.from(item.raw, 'hex'), describe(item));
+    position = item.offset + item.length;
+  }
+
+  if (buffer && buffer.length > position) {
+    dumpRange(lines, position, buffer.slice(position), '（未识别的字节）');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * 输出一段字节
+ * @param {Array} lines - 输出行数组
+ * @param {number} offset - 起始位置
+ * @param {Buffer} bytes - 字节
+ * @param {string} note - 注释
+ */
+function dumpRange(lines, offset, bytes, note) {
+  for (let start = 0; start < bytes.length; start += BYTES_PER_LINE) {
+    const row = bytes.slice(start, start + BYTES_PER_LINE);
+    const hex = Array.from(row)
+      .map((byte) => byte.toString(16).toUpperCase().padStart(2, '0'))
+      .join(' ');
+    const ascii = Array.from(row)
+      .map((byte) =>
+        byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.'
+      )
+      .join('');
+
+    const address = (offset + start).toString(16).toUpperCase();
+    let line = `${address.padStart(8, '0')}  ${hex.padEnd(
+      BYTES_PER_LINE * 3 - 1
+    )}  |${ascii.padEnd(BYTES_PER_LINE)}|`;
+    if (start === 0) {
+      line += `  ${note}`;
+    }
+    lines.push(line);
+  }
+}
+
+/**
+ * 生成项目注释
+ * @param {Object} item - 解析项目
+ * @returns {string} 注释文本
+ */
+function describe(item) {
+  if (item.type === 'text') {
+    return item.text === '\n' ? '换行' : `文本: "${item.text}"`;
+  }
+  return item.description;
+}
+
+module.exports = {
+  formatAsHexdump,
+};
@@ -0,0 +1,506 @@
+/**
+ * HTML 小票预览渲染器
+ * 将解析结果渲染为模拟打印纸张效果的独立 HTML 页面
+ */
+
+const { encodePng } = require('./image');
+const {
+  ALIGN_TYPE,
+  CONTROL_CHARS_REGEX,
+  PrinterState,
+  getTextWidth,
+} = require('./state');
+const { getProfile, getFontCell, getColumns } = require('./profiles');
+const { PageState, PRINT_DIRECTION } = require('./page');
+
+// 默认纸张宽度（点），取自默认型号
+const DEFAULT_PAPER_WIDTH = getProfile().paperWidth;
+
+// 等宽字体中字符宽度约为字号的 0.6 倍
+const MONOSPACE_CHAR_RATIO = 0.6;
+
+const ALIGN_CSS = {
+  [ALIGN_TYPE.LEFT]: 'left',
+  [ALIGN_TYPE.CENTER]: 'center',
+  [ALIGN_TYPE.RIGHT]: 'right',
+};
+
+/**
+ * 将解析结果渲染为 HTML 页面
+ * @param {Array} items - 解析结果数组
+ * @param {Object} options - 渲染选项
+ * @param {string|Object} options.profile - 打印机型号，决定纸宽、每行字符数与字体尺寸
+ * @param {number} options.paperWidth - 纸张可打印宽度（点），默认取自型号
+ * @param {number} options.lineWidth - 每行字符数（字体A），默认取自型号
+ * @param {string} options.title - 页面标题
+ * @returns {string} HTML 文本
+ */
+function formatAsHtml(items, options = {}) {
+  if (!Array.isArray(items)) {
+    throw new Error('输入必须是数组类型');
+  }
+
+  const formatter = new HtmlFormatter(options);
+  return formatter.format(items);
+}
+
+/**
+ * HTML 格式化器类
+ */
+class HtmlFormatter {
+  constructor(options = {}) {
+    this.blocks = [];
+    this.runs = [];
+    this.state = new PrinterState();
+    this.profile = getProfile(options.profile);
+    this.paperWidth = options.paperWidth || this.profile.paperWidth;
+    this.lineWidth = options.lineWidth || getColumns(this.profile);
+    this.title = options.title || 'ESC/POS 打印预览';
+    this.charWidth = this.paperWidth / this.lineWidth;
+    this.page = new PageState(this.paperWidth);
+    // 页模式中保存的标准模式输出，以及按纵向位置分段的页面内容
+    this.standard = null;
+    this.pageSegments = [];
+  }
+
+  /**
+   * 格式化项目数组
+   * @param {Array} items - 项目数组
+   * @returns {string} HTML 文本
+   */
+  format(items) {
+    for (const item of items) {
+      this.processItem(item);
+    }
+
+    // 未打印的页模式数据被丢弃
+    if (this.page.active) {
+      this.endPage();
+    }
+
+    this.flushLine();
+
+    return this.renderPage();
+  }
+
+  /**
+   * 处理单个项目
+   * @param {Object} item - 项目对象
+   */
+  processItem(item) {
+    switch (item.type) {
+      case 'text':
+        this.processTextItem(item);
+        break;
+      case 'command':
+        this.processCommandItem(item);
+        break;
+      case 'image':
+        // 零宽或零高的图像不占纸面，无需编码为 PNG
+        if (item.width > 0 && item.height > 0) {
+          this.addBlock(this.renderImage(item));
+        }
+        break;
+      case 'barcode':
+        this.addBlock(this.renderBarcode(item));
+        break;
+      case 'symbol':
+        this.addBlock(this.renderSymbol(item));
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 处理文本项目，按当前样式追加文本片段
+   * @param {Object} item - 文本项目
+   */
+  processTextItem(item) {
+    if (!item.text) return;
+
+    if (item.text === '\n') {
+      // 空行也会进纸一行
+      this.flushLine(true);
+      return;
+    }
+
+    const text = item.text.replace(CONTROL_CHARS_REGEX, '');
+    if (text.length > 0) {
+      this.runs.push({ text: text, style: this.state.snapshot() });
+    }
+  }
+
+  /**
+   * 处理命令项目
+   * @param {Object} item - 命令项目
+   */
+  processCommandItem(item) {
+    switch (item.command) {
+      case 'PRINT_AND_FEED':
+      case 'LINE_FEED': {
+        this.flushLine(true);
+        const feedLines = item.value || 1;
+        for (let i = 1; i < feedLines; i++) {
+          this.blocks.push(this.renderEmptyLine());
+        }
+        break;
+      }
+
+      case 'CUT_PAPER':
+        // 页模式中切纸指令无效
+        if (this.page.active) break;
+        this.flushLine();
+        this.blocks.push('<div class="cut"></div>');
+        break;
+
+      case 'INITIALIZE':
+        // 初始化会丢弃未打印的页面数据并返回标准模式
+        if (this.page.active) {
+          this.endPage();
+        }
+        this.flushLine();
+        this.state.reset();
+        this.page.reset();
+        break;
+
+      case 'PAGE_MODE':
+        if (!this.page.active) {
+          this.beginPage();
+        }
+        break;
+
+      case 'PRINT_AREA':
+      case 'PRINT_DIRECTION':
+        this.page.apply(item);
+        break;
+
+      case 'VERTICAL_POSITION':
+        if (this.page.active) {
+          this.flushLine();
+          this.startPageSegment(item.value);
+        }
+        break;
+
+      case 'PRINT_PAGE':
+        if (this.page.active) {
+          this.printPage();
+        }
+        break;
+
+      case 'FORM_FEED':
+        if (this.page.active) {
+          this.printPage();
+          this.endPage();
+        }
+        break;
+
+      case 'CANCEL_PAGE':
+        if (this.page.active) {
+          this.runs = [];
+          this.pageSegments = [];
+          this.startPageSegment(0);
+        }
+        break;
+
+      case 'STANDARD_MODE':
+        if (this.page.active) {
+          this.endPage();
+        }
+        break;
+
+      default:
+        this.state.apply(item);
+        break;
+    }
+  }
+
+  /**
+   * 结束当前行
+   * @param {boolean} feedEmpty - 当前行为空时是否输出空行
+   */
+  flushLine(feedEmpty = false) {
+    if (this.runs.length === 0) {
+      if (feedEmpty) {
+        this.blocks.push(this.renderEmptyLine());
+      }
+      return;
+    }
+
+    const spans = this.runs.map((run) => this.renderRun(run)).join('');
+    this.blocks.push(
+      `<div class="line" style="text-align:${
+        ALIGN_CSS[this.state.align]
+      }">${spans}</div>`
+    );
+    this.runs = [];
+  }
+
+  /**
+   * 输出整行块（图像、条码等），先结束当前文本行
+   * @param {string} content - 块内容
+   */
+  addBlock(content) {
+    this.flushLine();
+    this.blocks.push(
+      `<div class="line" style="text-align:${
+        ALIGN_CSS[this.state.align]
+      }">${content}</div>`
+    );
+  }
+
+  /**
+   * 进入页模式：保存标准模式的输出，之后的内容写入页面
+   */
+  beginPage() {
+    this.flushLine();
+    this.standard = { blocks: this.blocks };
+    this.page.active = true;
+    this.pageSegments = [];
+    this.startPageSegment(0);
+  }
+
+  /**
+   * 从指定的纵向位置开始一个新的页面内容段
+   * @param {number} top - 纵向位置（点）
+   */
+  startPageSegment(top) {
+    const segment = { top: top, blocks: [] };
+    this.pageSegments.push(segment);
+    this.blocks = segment.blocks;
+  }
+
+  /**
+   * 打印页面：各内容段按纵向位置绝对定位，整个页面按打印方向旋转，页面数据保留
+   */
+  printPage() {
+    this.flushLine();
+
+    const area = this.page.area;
+    const width = this.page.getLineLength();
+    const contentHeight = this.pageSegments.reduce(
+      (max, segment) =>
+        Math.max(
+          max,
+          segment.top + segment.blocks.length * this.getLineHeight()
+        ),
+      0
+    );
+    const height = this.page.getPageHeight(contentHeight);
+    const size = this.page.getPrintSize(width, height);
+    const segments = this.pageSegments
+      .map(
+        (segment) =>
+          `<div class="page-segment" style="top:${
+            segment.top
+          }px">${segment.blocks.join('')}</div>`
+      )
+      .join('');
+
+    this.standard.blocks.push(
+      `<div class="page" style="margin-left:${area.x}px;margin-top:${area.y}px;width:${size.width}px;height:${size.height}px">` +
+        `<div class="page-area" style="width:${width}px;height:${height}px;transform:${getPageTransform(
+          this.page.direction,
+          width,
+          height
+        )}">${segments}</div></div>`
+    );
+  }
+
+  /**
+   * 返回标准模式，未打印的页面数据被丢弃
+   */
+  endPage() {
+    this.blocks = this.standard.blocks;
+    this.standard = null;
+    this.pageSegments = [];
+    this.runs = [];
+    this.page.active = false;
+  }
+
+  /**
+   * 渲染空行
+   * @returns {string} HTML 片段
+   */
+  renderEmptyLine() {
+    return `<div class="line" style="height:${this.getLineHeight()}px"></div>`;
+  }
+
+  /**
+   * 渲染一个文本片段
+   * @param {Object} run - 文本片段，包含 text 与 style
+   * @returns {string} HTML 片段
+   */
+  renderRun(run) {
+    const style = run.style;
+    const cellWidth =
+      (this.charWidth * getFontCell(this.profile, style.font).width) /
+      getFontCell(this.profile, 'A').width;
+    const fontSize = (cellWidth / MONOSPACE_CHAR_RATIO) * style.heightScale;
+    const width = getTextWidth(run.text) * cellWidth * style.widthScale;
+    const classes = ['run'];
+
+    if (style.bold) classes.push('bold');
+    if (style.underline) classes.push(`underline-${style.underline}`);
+    if (style.inverse) classes.push('inverse');
+
+    return (
+      `<span class="${classes.join(' ')}" style="width:${round(
+        width
+      )}px;font-size:${round(fontSize)}px">` +
+      `<span class="glyphs" style="transform:scaleX(${round(
+        style.widthScale / style.heightScale
+      )})">${escapeHtml(run.text)}</span></span>`
+    );
+  }
+
+  /**
+   * 渲染位图为内嵌 PNG
+   * @param {Object} item - 图像项目
+   * @returns {string} HTML 片段
+   */
+  renderImage(item) {
+    const src = `data:image/png;base64,${encodePng(item).toString('base64')}`;
+    const width = item.width * (item.scaleX || 1);
+    const height = item.height * (item.scaleY || 1);
+    return `<img class="image" src="${src}" width="${width}" height="${height}" alt="${escapeHtml(
+      item.description
+    )}">`;
+  }
+
+  /**
+   * 渲染条码占位图形
+   * @param {Object} item - 条码项目
+   * @returns {string} HTML 片段
+   */
+  renderBarcode(item) {
+    // 以每字符约11个模块估算条码宽度
+    const modules = (item.text.length + 3) * 11;
+    const width = Math.min(this.paperWidth, modules * item.moduleWidth);
+    const hri = `<div class="hri">${escapeHtml(item.text)}</div>`;
+    const above = item.hriPosition === 'above' || item.hriPosition === 'both';
+    const below = item.hriPosition === 'below' || item.hriPosition === 'both';
+
+    return (
+      `<div class="barcode" title="${escapeHtml(
+        `${item.symbology}: ${item.text}`
+      )}">` +
+      (above ? hri : '') +
+      `<div class="bars" style="width:${width}px;height:${
+        item.height
+      }px;background-size:${item.moduleWidth * 3}px 100%"></div>` +
+      (below ? hri : '') +
+      '</div>'
+    );
+  }
+
+  /**
+   * 渲染二维码占位图形
+   * @param {Object} item - 二维码项目
+   * @returns {string} HTML 片段
+   */
+  renderSymbol(item) {
+    const size = Math.min(this.paperWidth, (item.moduleSize || 3) * 29);
+    const title = escapeHtml(item.data);
+    return `<div class="symbol" style="width:${size}px;height:${size}px" title="${title}"><span>${escapeHtml(
+      item.symbolType
+    )}</span></div>`;
+  }
+
+  /**
+   * 计算默认行高（字体A 24点 + 默认行间距）
+   * @returns {number} 行高（像素）
+   */
+  getLineHeight() {
+    return round((this.charWidth / MONOSPACE_CHAR_RATIO) * 1.25);
+  }
+
+  /**
+   * 生成完整的 HTML 页面
+   * @returns {string} HTML 文本
+   */
+  renderPage() {
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${escapeHtml(this.title)}</title>`,
+      '<style>',
+      'body{background:#888;margin:0;padding:24px;}',
+      `.paper{width:${this.paperWidth}px;margin:0 auto;padding:16px 0;background:#fff;color:#000;font-family:"Courier New",monospace;box-shadow:0 2px 8px rgba(0,0,0,.4);}`,
+      `.line{min-height:${this.getLineHeight()}px;white-space:pre;}`,
+      '.run{display:inline-block;vertical-align:bottom;overflow:visible;}',
+      '.glyphs{display:inline-block;transform-origin:0 0;}',
+      '.bold{font-weight:bold;}',
+      '.underline-1{text-decoration:underline;}',
+      '.underline-2{text-decoration:underline;text-decoration-thickness:2px;}',
+      '.inverse{background:#000;color:#fff;}',
+      '.image{image-rendering:pixelated;vertical-align:bottom;}',
+      '.barcode{display:inline-block;font-size:14px;}',
+      '.bars{background-image:repeating-linear-gradient(90deg,#000 0 33%,#fff 33% 50%,#000 50% 66%,#fff 66% 100%);}',
+      '.symbol{display:inline-flex;align-items:center;justify-content:center;border:4px solid #000;background:repeating-conic-gradient(#000 0 25%,#fff 0 50%) 0 0/16px 16px;}',
+      '.symbol span{background:#fff;padding:2px 4px;font-size:14px;}',
+      '.cut{border-top:2px dashed #999;margin:24px -16px;}',
+      '.page{position:relative;overflow:hidden;}',
+      '.page-area{position:absolute;left:0;top:0;transform-origin:0 0;}',
+      '.page-segment{position:absolute;left:0;right:0;}',
+      '</style>',
+      '</head>',
+      '<body>',
+      '<div class="paper">',
+      ...this.blocks,
+      '</div>',
+      '</body>',
+      '</html>',
+    ].join('\n');
+  }
+}
+
+/**
+ * 生成将逻辑页面旋转到打印区域的 CSS 变换
+ * @param {number} direction - 打印方向 (ESC T)
+ * @param {number} width - 逻辑页面宽度
+ * @param {number} height - 逻辑页面高度
+ * @returns {string} CSS transform 值
+ */
+function getPageTransform(direction, width, height) {
+  switch (direction) {
+    case PRINT_DIRECTION.BOTTOM_TO_TOP:
+      return `translateY(${width}px) rotate(-90deg)`;
+    case PRINT_DIRECTION.RIGHT_TO_LEFT:
+      return `translate(${width}px,${height}px) rotate(180deg)`;
+    case PRINT_DIRECTION.TOP_TO_BOTTOM:
+      return `translateX(${height}px) rotate(90deg)`;
+    default:
+      return 'none';
+  }
+}
+
+/**
+ * 转义 HTML 特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * 保留两位小数
+ * @param {number} value - 数值
+ * @returns {number}
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  formatAsHtml,
+  HtmlFormatter,
+  DEFAULT_PAPER_WIDTH,
+};
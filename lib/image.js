@@ -0,0 +1,363 @@
+/**
+ * 位图图像工具
+ * 负责将解析出的单色位图导出为 PNG 文件
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// PNG 文件签名
+const PNG_SIGNATURE = Buffer.from([
+  0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a,
+]);
+
+// CRC32 查找表，在首次使用时生成
+let crcTable = null;
+
+/**
+ * 计算 CRC32 校验值
+ * @param {Buffer} buffer - 数据缓冲区
+ * @returns {number} 无符号 CRC32 值
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 创建 PNG 数据块
+ * @param {string} type - 块类型，如 'IHDR'
+ * @param {Buffer} data - 块数据
+ * @returns {Buffer} 完整的数据块
+ */
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+/**
+ * 将单色位图编码为 PNG
+ * 位图按行存储，每字节8个点，高位在左，1 表示黑点
+ * @param {Object} image - 图像项目，需包含 width、height、bitmap
+ * @returns {Buffer} PNG 文件数据
+ * @throws {Error} 当图像数据无效时抛出错误
+ */
+function encodePng(image) {
+  if (!image || !image.width || !image.height) {
+    throw new Error('图像尺寸无效');
+  }
+
+  const bitmap = toBuffer(image.bitmap);
+  const widthBytes = Math.ceil(image.width / 8);
+
+  if (bitmap.length < widthBytes * image.height) {
+    throw new Error('图像数据长度不足');
+  }
+
+  // IHDR: 宽、高、位深1、灰度、压缩/过滤/隔行均为0
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 1;
+  header[9] = 0;
+  header[10] = 0;
+  header[11] = 0;
+  header[12] = 0;
+
+  // PNG 灰度中 0 为黑色，与打印机的 1 为黑点相反，需要按位取反
+  const raw = Buffer.alloc((widthBytes + 1) * image.height);
+  for (let y = 0; y < image.height; y++) {
+    const rowStart = y * (widthBytes + 1);
+    raw[rowStart] = 0; // 过滤类型: None
+    for (let x = 0; x < widthBytes; x++) {
+      raw[rowStart + 1 + x] = ~bitmap[y * widthBytes + x] & 0xff;
+    }
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * 将列格式位图（ESC *）转换为按行存储的位图
+ * 每列由 bytesPerColumn 个字节组成，从上到下排列，高位在上
+ * @param {Buffer} data - 列格式数据
+ * @param {number} columns - 列数（即图像宽度）
+ * @param {number} bytesPerColumn - 每列字节数，8点模式为1，24点模式为3
+ * @returns {Buffer} 按行存储的位图
+ */
+function columnsToRaster(data, columns, bytesPerColumn) {
+  const height = bytesPerColumn * 8;
+  const widthBytes = Math.ceil(columns / 8);
+  const bitmap = Buffer.alloc(widthBytes * height);
+
+  for (let x = 0; x < columns; x++) {
+    for (let b = 0; b < bytesPerColumn; b++) {
+      const byte = data[x * bytesPerColumn + b] || 0;
+      for (let bit = 0; bit < 8; bit++) {
+        if (byte & (0x80 >> bit)) {
+          const y = b * 8 + bit;
+          bitmap[y * widthBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+  }
+
+  return bitmap;
+}
+
+/**
+ * 合并由换行分隔的连续列格式位图切片
+ * 旧式POS软件逐行发送 ESC * 切片，合并后得到一张完整图像
+ * @param {Array} items - 解析结果数组
+ * @returns {Array} 合并后的解析结果数组
+ */
+function mergeColumnImages(items) {
+  const result = [];
+  let index = 0;
+
+  while (index < items.length) {
+    const item = items[index];
+
+    if (!isColumnSlice(item)) {
+      result.push(item);
+      index++;
+      continue;
+    }
+
+    // 收集后续以换行分隔、且模式相同的切片
+    const slices = [item];
+    const separators = [];
+    let next = index + 1;
+
+    while (next < items.length) {
+      let cursor = next;
+      const newlineBytes = [];
+      while (cursor < items.length && isNewLineItem(items[cursor])) {
+        newlineBytes.push(...items[cursor].bytes);
+        cursor++;
+      }
+
+      const candidate = items[cursor];
+      if (
+        newlineBytes.length === 0 ||
+        !isColumnSlice(candidate) ||
+        candidate.mode !== item.mode
+      ) {
+        break;
+      }
+
+      separators.push(newlineBytes);
+      slices.push(candidate);
+      next = cursor + 1;
+    }
+
+    result.push(slices.length > 1 ? combineSlices(slices, separators) : item);
+    index = next;
+  }
+
+  return result;
+}
+
+/**
+ * 查找末尾可能与后续数据继续合并的切片组的起始位置
+ * 流式解析时，该位置之后的项目需要等待更多数据才能确定合并结果
+ * @param {Array} items - 解析结果数组
+ * @returns {number} 起始索引，没有待合并的切片时返回数组长度
+ */
+function findMergeTail(items) {
+  let end = items.length;
+  while (end > 0 && isNewLineItem(items[end - 1])) {
+    end--;
+  }
+
+  if (end === 0 || !isColumnSlice(items[end - 1])) {
+    return items.length;
+  }
+
+  // 向前回溯同一组中由换行分隔的切片
+  let start = end - 1;
+  for (;;) {
+    let cursor = start;
+    while (cursor > 0 && isNewLineItem(items[cursor - 1])) {
+      cursor--;
+    }
+
+    const candidate = items[cursor - 1];
+    if (
+      cursor === start ||
+      !isColumnSlice(candidate) ||
+      candidate.mode !== items[start].mode
+    ) {
+      return start;
+    }
+    start = cursor - 1;
+  }
+}
+
+/**
+ * 判断是否为列格式位图切片
+ * @param {Object} item - 解析项目
+ * @returns {boolean}
+ */
+function isColumnSlice(item) {
+  return !!item && item.type === 'image' && item.command === 'BIT_IMAGE';
+}
+
+/**
+ * 判断是否为单独的换行文本项目
+ * @param {Object} item - 解析项目
+ * @returns {boolean}
+ */
+function isNewLineItem(item) {
+  return !!item && item.type === 'text' && item.text === '\n';
+}
+
+/**
+ * 将多个切片纵向拼接为一张图像
+ * @param {Array} slices - 切片数组
+ * @param {Array} separators - 切片之间的换行字节
+ * @returns {Object} 合并后的图像项目
+ */
+function combineSlices(slices, separators) {
+  const width = Math.max(...slices.map((slice) => slice.width));
+  const widthBytes = Math.ceil(width / 8);
+  const height = slices.reduce((sum, slice) => sum + slice.height, 0);
+  const bitmap = Buffer.alloc(widthBytes * height);
+
+  let y = 0;
+  for (const slice of slices) {
+    for (let row = 0; row < slice.height; row++) {
+      slice.bitmap.copy(
+        bitmap,
+        (y + row) * widthBytes,
+        row * slice.widthBytes,
+        (row + 1) * slice.widthBytes
+      );
+    }
+    y += slice.height;
+  }
+
+  const first = slices[0];
+  const merged = {
+    ...first,
+    width: width,
+    height: height,
+    widthBytes: widthBytes,
+    bitmap: bitmap,
+    slices: slices.map((slice) => ({
+      mode: slice.mode,
+      width: slice.width,
+      data: slice.data,
+    })),
+    separators: separators,
+    description: `列格式位图: ${width}x${height} 点 (${first.density}, ${slices.length} 个切片)`,
+  };
+
+  // 合并后的项目覆盖从第一个切片到最后一个切片的全部字节
+  if (first.raw !== undefined) {
+    const last = slices[slices.length - 1];
+    merged.length = last.offset + last.length - first.offset;
+    merged.raw = slices
+      .map((slice, index) =>
+        index < separators.length
+          ? slice.raw +
+            Buffer.from(separators[index]).toString('hex').toUpperCase()
+          : slice.raw
+      )
+      .join('');
+  }
+
+  return merged;
+}
+
+/**
+ * 将位图数据统一转换为 Buffer
+ * 兼容 Buffer、字节数组以及 JSON 序列化后的 Buffer 对象
+ * @param {Buffer|Array|Object} bitmap - 位图数据
+ * @returns {Buffer} 位图缓冲区
+ */
+function toBuffer(bitmap) {
+  if (Buffer.isBuffer(bitmap)) {
+    return bitmap;
+  }
+  if (Array.isArray(bitmap)) {
+    return Buffer.from(bitmap);
+  }
+  if (bitmap && bitmap.type === 'Buffer' && Array.isArray(bitmap.data)) {
+    return Buffer.from(bitmap.data);
+  }
+  throw new Error('图像数据格式无效');
+}
+
+/**
+ * 保存图像为 PNG 文件
+ * @param {Object} image - 图像项目
+ * @param {string} filePath - 输出文件路径
+ */
+function saveImage(image, filePath) {
+  fs.writeFileSync(filePath, encodePng(image));
+}
+
+/**
+ * 将解析结果中的所有图像导出为 PNG 文件，跳过零尺寸图像
+ * @param {Array} items - 解析结果数组
+ * @param {string} dir - 输出目录，不存在时自动创建
+ * @returns {Array} 已写入的文件路径数组
+ */
+function extractImages(items, dir) {
+  if (!Array.isArray(items)) {
+    throw new Error('输入必须是数组类型');
+  }
+
+  // 零宽或零高的图像（如 0 列的 ESC *）无法编码为 PNG，不导出
+  const images = items.filter(
+    (item) => item.type === 'image' && item.width > 0 && item.height > 0
+  );
+  if (images.length === 0) {
+    return [];
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+
+  return images.map((image, index) => {
+    const filePath = path.join(dir, `image-${index + 1}.png`);
+    saveImage(image, filePath);
+    return filePath;
+  });
+}
+
+module.exports = {
+  encodePng,
+  saveImage,
+  extractImages,
+  columnsToRaster,
+  mergeColumnImages,
+  findMergeTail,
+  toBuffer,
+};
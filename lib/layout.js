@@ -0,0 +1,105 @@
+/**
+ * 横向排版状态
+ * 跟踪制表位 (ESC D)、左边距 (GS L)、打印区域宽度 (GS W) 与移动单位 (GS P)，
+ * 将以移动单位表示的位置换算为点，供文本格式化计算列位置
+ */
+
+// 默认制表位：每8个字符一个
+const DEFAULT_TAB_STOPS = [8, 16, 24, 32, 40, 48, 56, 64, 72, 80, 88, 96];
+
+/**
+ * 横向排版状态类
+ */
+class LayoutState {
+  /**
+   * @param {number} paperWidth - 纸张可打印宽度（点）
+   * @param {number} dpi - 打印分辨率，默认移动单位为 1/dpi 英寸（即1点）
+   */
+  constructor(paperWidth, dpi) {
+    this.paperWidth = paperWidth;
+    this.dpi = dpi;
+    this.reset();
+  }
+
+  /**
+   * 恢复打印机初始化后的默认设置
+   */
+  reset() {
+    this.tabStops = DEFAULT_TAB_STOPS.slice();
+    this.leftMargin = 0;
+    this.printWidth = this.paperWidth;
+    this.motionUnit = { x: this.dpi, y: this.dpi };
+  }
+
+  /**
+   * 应用一个指令项目
+   * @param {Object} item - 指令项目
+   * @returns {boolean} 该指令是否改变了排版设置
+   */
+  apply(item) {
+    switch (item.command) {
+      case 'INITIALIZE':
+        this.reset();
+        return true;
+
+      case 'TAB_STOPS':
+        this.tabStops = item.stops.slice();
+        return true;
+
+      case 'LEFT_MARGIN':
+        this.leftMargin = this.toDots(item.value);
+        return true;
+
+      case 'PRINT_WIDTH':
+        this.printWidth = this.toDots(item.value);
+        return true;
+
+      case 'MOTION_UNITS':
+        // 参数为0时恢复默认单位
+        this.motionUnit = {
+          x: item.x || this.dpi,
+          y: item.y || this.dpi,
+        };
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 将横向移动单位换算为点
+   * @param {number} value - 以横向移动单位表示的长度
+   * @returns {number} 点数
+   */
+  toDots(value) {
+    return Math.round((value * this.dpi) / this.motionUnit.x);
+  }
+
+  /**
+   * 获取打印区域，左边距超出纸宽时取纸张右端，宽度截断到纸张范围内
+   * @returns {Object} 包含 left、width 的对象（点）
+   */
+  getPrintArea() {
+    const left = Math.min(this.leftMargin, this.paperWidth - 1);
+    return {
+      left: left,
+      width: Math.max(1, Math.min(this.printWidth, this.paperWidth - left)),
+    };
+  }
+
+  /**
+   * 查找下一个制表位
+   * @param {number} column - 当前字符位置
+   * @returns {number|null} 制表位的字符位置，没有更靠右的制表位时返回 null
+   */
+  nextTabStop(column) {
+    const stop = this.tabStops.find((value) => value > column);
+    return stop === undefined ? null : stop;
+  }
+}
+
+module.exports = {
+  LayoutState,
+  DEFAULT_TAB_STOPS,
+};
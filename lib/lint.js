@@ -0,0 +1,470 @@
+/**
+ * 打印任务检查
+ * 在解析的基础上检查未知指令、无效参数、截断指令、切纸后的内容、
+ * 遗留的样式状态、超出行宽的文本以及打印机型号不支持的指令，并给出每个问题的字节位置
+ */
+
+const { COMMANDS } = require('./commands');
+const { walkBuffer, DEFAULT_ENCODING } = require('./parser');
+const { CONTROL_CHARS_REGEX, PrinterState, getCharDots } = require('./state');
+const { LayoutState } = require('./layout');
+const {
+  getProfile,
+  getFontCell,
+  getColumns,
+  supportsCommand,
+  supportsCodePage,
+} = require('./profiles');
+
+// 问题级别
+const SEVERITY = {
+  ERROR: 'error',
+  WARNING: 'warning',
+  INFO: 'info',
+};
+
+// 指令前缀字节
+const PREFIX_NAMES = {
+  0x10: 'DLE',
+  0x1b: 'ESC',
+  0x1c: 'FS',
+  0x1d: 'GS',
+};
+
+// 任务结束时需要关闭的样式及其描述
+const STYLE_CHECKS = [
+  { name: '加粗', isOn: (state) => state.bold },
+  { name: '下划线', isOn: (state) => state.underline > 0 },
+  { name: '反白', isOn: (state) => state.inverse },
+  {
+    name: '倍宽/倍高',
+    isOn: (state) => state.widthScale > 1 || state.heightScale > 1,
+  },
+  { name: '汉字下划线', isOn: (state) => state.kanjiUnderline > 0 },
+  { name: '倒置', isOn: (state) => state.upsideDown },
+  { name: '旋转', isOn: (state) => state.rotation !== 0 },
+  { name: '红色', isOn: (state) => state.color === 'red' },
+];
+
+/**
+ * 检查打印任务
+ * @param {Buffer} buffer - 数据缓冲区
+ * @param {Object} options - 检查选项
+ * @param {string} options.encoding - 文本编码格式，默认 'utf8'
+ * @param {string|Object} options.profile - 打印机型号，指定时检查型号不支持的指令与代码表
+ * @param {number} options.lineWidth - 每行字符数（字体A），默认取自型号
+ * @returns {Array} 问题数组，每项包含 severity、rule、offset、message，按位置排序
+ * @throws {Error} 当输入无效时抛出错误
+ */
+function lintBuffer(buffer, options = {}) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('输入必须是 Buffer 类型');
+  }
+
+  const linter = new Linter(options);
+  return linter.lint(buffer, options.encoding || DEFAULT_ENCODING);
+}
+
+/**
+ * 检查器类
+ */
+class Linter {
+  constructor(options = {}) {
+    this.profile = getProfile(options.profile);
+    this.checkSupport = !!options.profile;
+    this.lineWidth = options.lineWidth || getColumns(this.profile);
+    // 字体A单元格宽度（点），用于将点数换算为列
+    this.cellWidth = getFontCell(this.profile, 'A').width;
+    this.findings = [];
+    this.state = new PrinterState();
+    this.layout = new LayoutState(
+      this.lineWidth * this.cellWidth,
+      this.profile.dpi
+    );
+    this.styleOffsets = {};
+    // 当前行已占用的宽度（点）
+    this.lineDots = 0;
+    this.lineReported = false;
+    this.firstCommand = null;
+    this.lastCut = null;
+    this.contentAfterCut = null;
+    // 上一个报告为未知指令的前缀字节位置，其后的字节已包含在该问题中
+    this.unknownPrefix = null;
+  }
+
+  /**
+   * 检查数据
+   * @param {Buffer} buffer - 数据缓冲区
+   * @param {string} encoding - 文本编码格式
+   * @returns {Array} 问题数组
+   */
+  lint(buffer, encoding) {
+    for (const entry of walkBuffer(buffer, encoding)) {
+      if (entry.item) {
+        this.checkItem(entry.item, entry.offset, entry.length);
+      } else {
+        this.checkSkippedByte(buffer, entry.offset);
+      }
+    }
+
+    this.checkJobEnd(buffer.length);
+
+    return this.findings.sort((a, b) => a.offset - b.offset);
+  }
+
+  /**
+   * 记录一个问题
+   * @param {string} severity - 级别
+   * @param {string} rule - 规则编号
+   * @param {number} offset - 字节位置
+   * @param {string} message - 描述
+   */
+  report(severity, rule, offset, message) {
+    this.findings.push({
+      severity: severity,
+      rule: rule,
+      offset: offset,
+      message: message,
+    });
+  }
+
+  /**
+   * 检查解析器跳过的字节
+   * 未知指令的第二个字节不再单独报告，数据末尾单独的前缀字节视为截断的指令
+   * @param {Buffer} buffer - 数据缓冲区
+   * @param {number} offset - 字节位置
+   */
+  checkSkippedByte(buffer, offset) {
+    if (this.unknownPrefix !== null && offset === this.unknownPrefix + 1) {
+      return;
+    }
+
+    const byte = buffer[offset];
+    const prefix = PREFIX_NAMES[byte];
+
+    if (prefix && offset + 1 < buffer.length) {
+      this.unknownPrefix = offset;
+      this.report(
+        SEVERITY.WARNING,
+        'unknown-command',
+        offset,
+        `未知的指令: ${prefix} ${formatByte(buffer[offset + 1])}`
+      );
+    } else if (prefix) {
+      this.report(
+        SEVERITY.ERROR,
+        'truncated',
+        offset,
+        `不完整的指令: ${prefix}（剩余 1 字节）`
+      );
+    } else {
+      this.report(
+        SEVERITY.INFO,
+        'control-byte',
+        offset,
+        `忽略的控制字节: ${formatByte(byte)}`
+      );
+    }
+  }
+
+  /**
+   * 检查单个项目
+   * @param {Object} item - 解析项目
+   * @param {number} offset - 字节位置
+   * @param {number} length - 字节长度
+   */
+  checkItem(item, offset, length) {
+    if (item.type === 'incomplete') {
+      this.report(
+        SEVERITY.ERROR,
+        'truncated',
+        offset,
+        `${item.description}（剩余 ${length} 字节）`
+      );
+      return;
+    }
+
+    if (this.checkSupport && item.command) {
+      this.checkSupported(item, offset);
+    }
+
+    if (item.type === 'command') {
+      this.checkCommand(item, offset);
+      return;
+    }
+
+    // 文本、图像、条码等打印内容
+    if (this.lastCut !== null && this.contentAfterCut === null) {
+      if (item.type !== 'text' || item.text.trim().length > 0) {
+        this.contentAfterCut = offset;
+      }
+    }
+
+    this.checkParams(item, offset);
+
+    if (item.type === 'text') {
+      this.checkText(item, offset);
+    } else {
+      this.endLine();
+    }
+  }
+
+  /**
+   * 检查指令项目
+   * @param {Object} item - 指令项目
+   * @param {number} offset - 字节位置
+   */
+  checkCommand(item, offset) {
+    if (this.firstCommand === null) {
+      this.firstCommand = { command: item.command, offset: offset };
+    }
+
+    this.checkParams(item, offset);
+
+    switch (item.command) {
+      case 'CUT_PAPER':
+        this.lastCut = offset;
+        this.contentAfterCut = null;
+        this.endLine();
+        break;
+
+      case 'PRINT_AND_FEED':
+        this.endLine();
+        break;
+
+      case 'INITIALIZE':
+        this.styleOffsets = {};
+        break;
+
+      case 'HORIZONTAL_TAB': {
+        const stop = this.layout.nextTabStop(
+          Math.floor(this.lineDots / this.cellWidth)
+        );
+        if (stop !== null) {
+          this.moveTo(stop * this.cellWidth);
+        }
+        break;
+      }
+
+      case 'ABSOLUTE_POSITION':
+        this.moveTo(this.layout.toDots(item.value));
+        break;
+
+      case 'RELATIVE_POSITION':
+        this.moveTo(this.lineDots + this.layout.toDots(item.value));
+        break;
+
+      default:
+        break;
+    }
+
+    this.layout.apply(item);
+    if (this.state.apply(item)) {
+      this.recordStyles(offset);
+    }
+  }
+
+  /**
+   * 按指令定义检查参数取值
+   * @param {Object} item - 解析项目
+   * @param {number} offset - 字节位置
+   */
+  checkParams(item, offset) {
+    const command = COMMANDS[item.command];
+    if (!command || !command.validate) {
+      return;
+    }
+
+    const problem = command.validate(item);
+    if (problem) {
+      this.report(
+        SEVERITY.ERROR,
+        'invalid-param',
+        offset,
+        `${command.description}${problem}`
+      );
+    }
+  }
+
+  /**
+   * 检查型号是否支持指令及所选代码表
+   * @param {Object} item - 指令、图像、条码等带有指令名称的项目
+   * @param {number} offset - 字节位置
+   */
+  checkSupported(item, offset) {
+    if (!supportsCommand(this.profile, item.command)) {
+      this.report(
+        SEVERITY.WARNING,
+        'unsupported-command',
+        offset,
+        `${this.profile.name} 不支持该指令: ${item.description}`
+      );
+    } else if (
+      item.command === 'CODE_PAGE' &&
+      !supportsCodePage(this.profile, item.value)
+    ) {
+      this.report(
+        SEVERITY.WARNING,
+        'unsupported-code-page',
+        offset,
+        `${this.profile.name} 不支持代码表 ${item.value}`
+      );
+    }
+  }
+
+  /**
+   * 记录开启中的样式由哪条指令设置
+   * @param {number} offset - 指令位置
+   */
+  recordStyles(offset) {
+    for (const check of STYLE_CHECKS) {
+      if (!check.isOn(this.state)) {
+        delete this.styleOffsets[check.name];
+      } else if (!(check.name in this.styleOffsets)) {
+        this.styleOffsets[check.name] = offset;
+      }
+    }
+  }
+
+  /**
+   * 检查文本是否超出行宽
+   * @param {Object} item - 文本项目
+   * @param {number} offset - 字节位置
+   */
+  checkText(item, offset) {
+    if (item.text === '\n') {
+      this.endLine();
+      return;
+    }
+
+    // 与文本格式化相同，按字体、倍宽、字符间距与全角字符计算宽度
+    for (const char of item.text.replace(CONTROL_CHARS_REGEX, '')) {
+      this.lineDots += getCharDots(char, this.state, this.profile);
+    }
+
+    const columns = this.lineDots / this.cellWidth;
+    if (!this.lineReported && columns > this.lineWidth) {
+      this.lineReported = true;
+      this.report(
+        SEVERITY.WARNING,
+        'line-overflow',
+        offset,
+        `行宽 ${Math.ceil(columns)} 列超过 ${this.lineWidth} 列`
+      );
+    }
+  }
+
+  /**
+   * 移动到行内指定位置，超出行宽的位置被打印机忽略
+   * @param {number} dots - 距行首的位置（点）
+   */
+  moveTo(dots) {
+    if (dots >= 0 && dots <= this.lineWidth * this.cellWidth) {
+      this.lineDots = dots;
+    }
+  }
+
+  /**
+   * 结束当前行
+   */
+  endLine() {
+    this.lineDots = 0;
+    this.lineReported = false;
+  }
+
+  /**
+   * 检查任务整体：开头的初始化、切纸后的内容、遗留的样式
+   * @param {number} length - 数据长度
+   */
+  checkJobEnd(length) {
+    if (
+      length > 0 &&
+      (!this.firstCommand ||
+        this.firstCommand.offset > 0 ||
+        this.firstCommand.command !== 'INITIALIZE')
+    ) {
+      this.report(
+        SEVERITY.WARNING,
+        'missing-initialize',
+        0,
+        '任务未以初始化指令 (ESC @) 开始'
+      );
+    }
+
+    if (this.contentAfterCut !== null) {
+      this.report(
+        SEVERITY.WARNING,
+        'text-after-cut',
+        this.contentAfterCut,
+        '最后一次切纸之后仍有打印内容'
+      );
+    }
+
+    for (const [name, offset] of Object.entries(this.styleOffsets)) {
+      this.report(
+        SEVERITY.WARNING,
+        'style-left-on',
+        offset,
+        `任务结束时${name}仍处于开启状态`
+      );
+    }
+  }
+}
+
+/**
+ * 将字节格式化为十六进制
+ * @param {number} byte - 字节值
+ * @returns {string} 如 0x1B
+ */
+function formatByte(byte) {
+  return `0x${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+}
+
+/**
+ * 将检查结果格式化为可读文本
+ * @param {Array} findings - 问题数组
+ * @returns {string} 每行一个问题，最后一行为统计
+ */
+function formatFindings(findings) {
+  const lines = findings.map(
+    (finding) =>
+      `${finding.severity.padEnd(7)} ${formatOffset(finding.offset)}  ${
+        finding.rule
+      }  ${finding.message}`
+  );
+
+  const counts = countFindings(findings);
+  lines.push(
+    `共 ${findings.length} 个问题: ${counts.error} 个错误, ${counts.warning} 个警告, ${counts.info} 个提示`
+  );
+  return lines.join('\n');
+}
+
+/**
+ * 按级别统计问题数量
+ * @param {Array} findings - 问题数组
+ * @returns {Object} 包含 error、warning、info 的计数
+ */
+function countFindings(findings) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const finding of findings) {
+    counts[finding.severity]++;
+  }
+  return counts;
+}
+
+/**
+ * 格式化字节位置
+ * @param {number} offset - 字节位置
+ * @returns {string} 如 0x0012 (18)
+ */
+function formatOffset(offset) {
+  return `0x${offset.toString(16).toUpperCase().padStart(4, '0')} (${offset})`;
+}
+
+module.exports = {
+  lintBuffer,
+  formatFindings,
+  countFindings,
+  SEVERITY,
+};
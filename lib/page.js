@@ -0,0 +1,144 @@
+/**
+ * 页模式状态
+ * 跟踪页模式的开启、打印区域 (ESC W) 与打印方向 (ESC T)，
+ * 供文本格式化、HTML 预览与光栅渲染在各自的页面画布上排版后统一输出
+ */
+
+// 打印方向 (ESC T n)
+const PRINT_DIRECTION = {
+  LEFT_TO_RIGHT: 0,
+  BOTTOM_TO_TOP: 1,
+  RIGHT_TO_LEFT: 2,
+  TOP_TO_BOTTOM: 3,
+};
+
+/**
+ * 页模式状态类
+ * 页面内容按打印方向排版在“逻辑页面”上：逻辑横坐标沿文字前进方向，逻辑纵坐标沿换行方向，
+ * 打印时再按方向旋转到打印区域
+ */
+class PageState {
+  /**
+   * @param {number} paperWidth - 纸张可打印宽度（点），为默认打印区域的宽度
+   */
+  constructor(paperWidth) {
+    this.paperWidth = paperWidth;
+    this.reset();
+  }
+
+  /**
+   * 恢复默认状态：标准模式、整个纸宽的打印区域、从左到右
+   */
+  reset() {
+    this.active = false;
+    // 高度为0表示未设置，按页面内容的高度打印
+    this.area = { x: 0, y: 0, width: this.paperWidth, height: 0 };
+    this.direction = PRINT_DIRECTION.LEFT_TO_RIGHT;
+  }
+
+  /**
+   * 应用一个指令项目
+   * @param {Object} item - 指令项目
+   * @returns {boolean} 该指令是否改变了页模式设置
+   */
+  apply(item) {
+    switch (item.command) {
+      case 'PAGE_MODE':
+        this.active = true;
+        return true;
+
+      case 'STANDARD_MODE':
+      case 'FORM_FEED':
+        this.active = false;
+        return true;
+
+      case 'PRINT_AREA': {
+        const x = Math.min(item.x, this.paperWidth - 1);
+        this.area = {
+          x: x,
+          y: item.y,
+          width: Math.max(1, Math.min(item.width, this.paperWidth - x)),
+          height: item.height,
+        };
+        return true;
+      }
+
+      case 'PRINT_DIRECTION':
+        this.direction = item.value % 48 & 0x03;
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 文字是否沿纵向排列（方向1、3）
+   * @returns {boolean}
+   */
+  isRotated() {
+    return (
+      this.direction === PRINT_DIRECTION.BOTTOM_TO_TOP ||
+      this.direction === PRINT_DIRECTION.TOP_TO_BOTTOM
+    );
+  }
+
+  /**
+   * 获取逻辑页面的行长（点）
+   * @returns {number} 纵向排列时为打印区域高度（未设置时取宽度），否则为宽度
+   */
+  getLineLength() {
+    return this.isRotated()
+      ? this.area.height || this.area.width
+      : this.area.width;
+  }
+
+  /**
+   * 获取逻辑页面的高度（点）
+   * @param {number} contentHeight - 页面内容的高度，打印区域未设置高度时使用
+   * @returns {number} 高度
+   */
+  getPageHeight(contentHeight) {
+    return (
+      (this.isRotated() ? this.area.width : this.area.height) || contentHeight
+    );
+  }
+
+  /**
+   * 获取逻辑页面旋转到打印区域后的尺寸
+   * @param {number} width - 逻辑页面宽度（行长）
+   * @param {number} height - 逻辑页面高度
+   * @returns {Object} 包含 width、height 的对象
+   */
+  getPrintSize(width, height) {
+    return this.isRotated()
+      ? { width: height, height: width }
+      : { width: width, height: height };
+  }
+
+  /**
+   * 将逻辑页面上的点映射到打印区域
+   * @param {number} x - 逻辑横坐标
+   * @param {number} y - 逻辑纵坐标
+   * @param {number} width - 逻辑页面宽度
+   * @param {number} height - 逻辑页面高度
+   * @returns {Array} 打印区域内的坐标 [x, y]
+   */
+  toPrintPoint(x, y, width, height) {
+    switch (this.direction) {
+      case PRINT_DIRECTION.BOTTOM_TO_TOP:
+        return [y, width - 1 - x];
+      case PRINT_DIRECTION.RIGHT_TO_LEFT:
+        return [width - 1 - x, height - 1 - y];
+      case PRINT_DIRECTION.TOP_TO_BOTTOM:
+        return [height - 1 - y, x];
+      default:
+        return [x, y];
+    }
+  }
+}
+
+module.exports = {
+  PageState,
+  PRINT_DIRECTION,
+};
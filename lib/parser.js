@@ -4,30 +4,94 @@
  */
 
 const fs = require('fs');
+const { Transform } = require('stream');
 const iconv = require('iconv-lite');
-const { findCommand, isPrintableChar, isNewLine } = require('./commands');
+const {
+  createParseState,
+  findCommand,
+  getParamLength,
+  isCommandPrefix,
+  isPrintableChar,
+  isNewLine,
+} = require('./commands');
+const {
+  encodePng,
+  saveImage,
+  extractImages,
+  mergeColumnImages,
+  findMergeTail,
+} = require('./image');
+const {
+  ALIGN_TYPE,
+  CONTROL_CHARS_REGEX,
+  PrinterState,
+  attachState,
+  getCharDots,
+  getTextWidth,
+  hasWideChars,
+} = require('./state');
+const { formatAsHtml } = require('./html');
+const { formatAsHexdump } = require('./hexdump');
+const { renderRaster, renderPng } = require('./raster');
+const { encode } = require('./encoder');
+const { diffJobs } = require('./diff');
+const {
+  getProfile,
+  getFontCell,
+  getColumns,
+  supportsCommand,
+  supportsCodePage,
+} = require('./profiles');
+const { PageState } = require('./page');
+const { LayoutState } = require('./layout');
+const {
+  resolveTextEncoding,
+  getCharLength,
+  getCompleteEnd,
+  decodeBytes,
+  applyCharset,
+} = require('./charset');
 
 // 常量定义
 const DEFAULT_ENCODING = 'utf8';
-const DEFAULT_LINE_WIDTH = 48;
-const CONTROL_CHARS_REGEX = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g;
-const CJK_CHARS_REGEX = /[\u4e00-\u9fff\uff00-\uffef]/;
-
-// 对齐方式枚举
-const ALIGN_TYPE = {
-  LEFT: 0,
-  CENTER: 1,
-  RIGHT: 2,
-};
+const DEFAULT_LINE_WIDTH = getColumns(getProfile());
+
+// 无法直接用字符表现的样式，文本格式化时以标签形式附加在行尾
+const STYLE_TAGS = [
+  (state) => (state.font !== 'A' ? `字体${state.font}` : null),
+  (state) => (state.inverse ? '反白' : null),
+  (state) => (state.doubleStrike ? '重叠打印' : null),
+  (state) => (state.upsideDown ? '倒置' : null),
+  (state) => (state.rotation ? `旋转${state.rotation}度` : null),
+  (state) => (state.color === 'red' ? '红色' : null),
+  (state) => (state.smoothing ? '平滑' : null),
+];
 
 /**
  * 解析十六进制字符串
  * @param {string} hexString - 十六进制字符串
  * @param {string} encoding - 文本编码格式，默认 'utf8'
+ * @param {Object} options - 解析选项，见 parseBuffer
  * @returns {Array} 解析结果数组
  * @throws {Error} 当输入无效时抛出错误
  */
-function parseHexString(hexString, encoding = DEFAULT_ENCODING) {
+function parseHexString(hexString, encoding = DEFAULT_ENCODING, options = {}) {
+  const buffer = hexToBuffer(hexString);
+
+  try {
+    return parseBuffer(buffer, encoding, options);
+  } catch (error) {
+    throw new Error(`解析十六进制字符串失败: ${error.message}`);
+  }
+}
+
+/**
+ * 将十六进制字符串转换为 Buffer
+ * @param {string} hexString - 十六进制字符串，可带空格、换行等分隔符
+ * @returns {Buffer} 数据缓冲区
+ * @throws {Error} 当输入无效时抛出错误
+ */
+function hexToBuffer(hexString) {
   if (typeof hexString !== 'string') {
     throw new Error('输入必须是字符串类型');
   }
@@ -39,26 +103,26 @@ function parseHexString(hexString, encoding = DEFAULT_ENCODING) {
     throw new Error('十六进制字符串不包含有效的十六进制字符');
   }
 
+  if (!/^[0-9a-fA-F]+$/.test(cleanHex)) {
+    throw new Error('十六进制字符串包含无效字符');
+  }
+
   if (cleanHex.length % 2 !== 0) {
     throw new Error('十六进制字符串长度必须为偶数');
   }
 
-  try {
-    const buffer = Buffer.from(cleanHex, 'hex');
-    return parseBuffer(buffer, encoding);
-  } catch (error) {
-    throw new Error(`解析十六进制字符串失败: ${error.message}`);
-  }
+  return Buffer.from(cleanHex, 'hex');
 }
 
 /**
  * 解析二进制文件
  * @param {string} filePath - 文件路径
  * @param {string} encoding - 文本编码格式，默认 'utf8'
+ * @param {Object} options - 解析选项，见 parseBuffer
  * @returns {Array} 解析结果数组
  * @throws {Error} 当文件不存在或读取失败时抛出错误
  */
-function parseFile(filePath, encoding = DEFAULT_ENCODING) {
+function parseFile(filePath, encoding = DEFAULT_ENCODING, options = {}) {
   if (!filePath || typeof filePath !== 'string') {
     throw new Error('文件路径不能为空');
   }
@@ -69,7 +133,7 @@ function parseFile(filePath, encoding = DEFAULT_ENCODING) {
 
   try {
     const buffer = fs.readFileSync(filePath);
-    return parseBuffer(buffer, encoding);
+    return parseBuffer(buffer, encoding, options);
   } catch (error) {
     throw new Error(`读取文件失败: ${error.message}`);
   }
@@ -79,10 +143,13 @@ function parseFile(filePath, encoding = DEFAULT_ENCODING) {
  * 解析 Buffer 数据
  * @param {Buffer} buffer - 数据缓冲区
  * @param {string} encoding - 文本编码格式，默认 'utf8'
+ * @param {Object} options - 解析选项
+ * @param {boolean} options.withState - 为文本项目附加生效的打印机状态（state 属性）
+ * @param {string|Object} options.profile - 打印机型号，用于换算左边距等设置
  * @returns {Array} 解析结果数组
  * @throws {Error} 当输入无效时抛出错误
  */
-function parseBuffer(buffer, encoding = DEFAULT_ENCODING) {
+function parseBuffer(buffer, encoding = DEFAULT_ENCODING, options = {}) {
   if (!Buffer.isBuffer(buffer)) {
     throw new Error('输入必须是 Buffer 类型');
   }
@@ -91,20 +158,255 @@ function parseBuffer(buffer, encoding = DEFAULT_ENCODING) {
     return [];
   }
 
-  const result = [];
+  const parser = new IncrementalParser(encoding);
+  const items = parser.push(buffer).concat(parser.end());
+  return options.withState ? attachState(items, options) : items;
+}
+
+/**
+ * 创建增量解析器
+ * @param {string} encoding - 文本编码格式，默认 'utf8'
+ * @returns {IncrementalParser} 增量解析器
+ */
+function createParser(encoding = DEFAULT_ENCODING) {
+  return new IncrementalParser(encoding);
+}
+
+/**
+ * 增量解析器类
+ * 数据可以分块推入，跨块的指令参数与多字节字符会被缓存到下一块到达，
+ * 解析状态（条码设置等）在块之间保持；
+ * 跨块的文本在每块到达时输出已完整的部分，因此可能分为多个相邻的文本项目
+ */
+class IncrementalParser {
+  constructor(encoding = DEFAULT_ENCODING) {
+    this.encoding = encoding;
+    this.state = createParseState();
+    this.pending = Buffer.alloc(0);
+    this.offset = 0;
+    this.held = [];
+    this.ended = false;
+  }
+
+  /**
+   * 推入一块数据
+   * @param {Buffer} chunk - 数据块
+   * @returns {Array} 已完整解析的项目
+   * @throws {Error} 当输入无效或解析器已结束时抛出错误
+   */
+  push(chunk) {
+    if (!Buffer.isBuffer(chunk)) {
+      throw new Error('输入必须是 Buffer 类型');
+    }
+    if (this.ended) {
+      throw new Error('解析器已结束，不能继续推入数据');
+    }
+
+    this.pending =
+      this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    return this.drain(false);
+  }
+
+  /**
+   * 结束输入，解析剩余的缓存数据
+   * 末尾仍不完整的指令作为 incomplete 项目返回
+   * @returns {Array} 剩余的解析项目
+   */
+  end() {
+    if (this.ended) {
+      return [];
+    }
+
+    this.ended = true;
+    return this.drain(true);
+  }
+
+  /**
+   * 解析缓存中的数据
+   * @param {boolean} final - 是否为最后一次解析
+   * @returns {Array} 可以输出的项目
+   */
+  drain(final) {
+    const buffer = this.pending;
+    const items = this.held;
+    let index = 0;
+
+    while (index < buffer.length) {
+      // 指令字节本身被截断，等待后续数据
+      if (!final && isCommandPrefix(buffer, index)) {
+        break;
+      }
+
+      let parseResult = parseNextItem(buffer, index, this.encoding, this.state);
+
+      if (!final && isOpenEnded(parseResult, buffer.length)) {
+        if (parseResult.item.type !== 'text') {
+          break;
+        }
+
+        // 延伸到末尾的文本先输出已完整的字符，只保留可能被截断的最后一个多字节字符
+        const end = getCompleteEnd(
+          buffer,
+          index,
+          buffer.length,
+          parseResult.item.encoding
+        );
+        if (end <= index) {
+          break;
+        }
+        parseResult = parseNextItem(
+          buffer.subarray(0, end),
+          index,
+          this.encoding,
+          this.state
+        );
+      }
+
+      if (parseResult.item) {
+        items.push(
+          locateItem(
+            parseResult.item,
+            buffer,
+            index,
+            parseResult.nextIndex,
+            this.offset
+          )
+        );
+      }
+
+      index = parseResult.nextIndex;
+    }
+
+    // 复制剩余字节，避免引用整个数据块
+    this.pending = Buffer.from(buffer.slice(index));
+    this.offset += index;
+
+    // 末尾的列格式位图切片可能与后续切片合并，暂不输出
+    const tail = final ? items.length : findMergeTail(items);
+    this.held = items.slice(tail);
+    return mergeColumnImages(items.slice(0, tail));
+  }
+}
+
+/**
+ * 记录项目在输入数据中的位置与原始字节
+ * @param {Object} item - 解析项目
+ * @param {Buffer} buffer - 数据缓冲区
+ * @param {number} start - 项目起始索引
+ * @param {number} end - 项目结束索引（不含）
+ * @param {number} base - 缓冲区起始处在整个输入中的位置
+ * @returns {Object} 添加了 offset、length、raw 的项目
+ */
+function locateItem(item, buffer, start, end, base) {
+  item.offset = base + start;
+  item.length = end - start;
+  item.raw = buffer.slice(start, end).toString('hex').toUpperCase();
+  return item;
+}
+
+/**
+ * 判断解析结果是否可能因后续数据而改变
+ * 不完整的指令需要更多参数，延伸到缓冲区末尾的文本的最后一个字符可能被截断
+ * @param {Object} parseResult - 解析结果
+ * @param {number} length - 缓冲区长度
+ * @returns {boolean}
+ */
+function isOpenEnded(parseResult, length) {
+  const item = parseResult.item;
+  if (!item) {
+    return false;
+  }
+  if (item.type === 'incomplete') {
+    return true;
+  }
+  return (
+    item.type === 'text' &&
+    item.text !== '\n' &&
+    parseResult.nextIndex >= length
+  );
+}
+
+/**
+ * ESC/POS 解析流
+ * 可写端接收 Buffer 数据块，可读端（对象模式）输出解析项目
+ */
+class EscPosParserStream extends Transform {
+  /**
+   * @param {Object} options - 选项
+   * @param {string} options.encoding - 文本编码格式，默认 'utf8'
+   */
+  constructor(options = {}) {
+    super({ readableObjectMode: true });
+    this.parser = new IncrementalParser(options.encoding || DEFAULT_ENCODING);
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.pushItems(this.parser.push(chunk));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.pushItems(this.parser.end());
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  /**
+   * 输出解析项目
+   * @param {Array} items - 项目数组
+   */
+  pushItems(items) {
+    for (const item of items) {
+      this.push(item);
+    }
+  }
+}
+
+/**
+ * 逐项遍历数据，返回每个项目及其字节位置
+ * 解析器跳过的单个不可识别字节以 item 为 null 的条目返回；列格式位图切片不合并
+ * @param {Buffer} buffer - 数据缓冲区
+ * @param {string} encoding - 文本编码格式，默认 'utf8'
+ * @returns {Generator} 依次产生 { item, offset, length } 对象
+ */
+function* walkBuffer(buffer, encoding = DEFAULT_ENCODING) {
+  if (!Buffer.isBuffer(buffer)) {
+    throw new Error('输入必须是 Buffer 类型');
+  }
+
+  const state = createParseState();
   let index = 0;
 
   while (index < buffer.length) {
-    const parseResult = parseNextItem(buffer, index, encoding);
+    const byte = buffer[index];
+    if (
+      !findCommand(buffer, index) &&
+      !isNewLine(byte) &&
+      !isPrintableChar(byte)
+    ) {
+      yield { item: null, offset: index, length: 1 };
+      index++;
+      continue;
+    }
 
+    const parseResult = parseNextItem(buffer, index, encoding, state);
     if (parseResult.item) {
-      result.push(parseResult.item);
+      locateItem(parseResult.item, buffer, index, parseResult.nextIndex, 0);
     }
-
+    yield {
+      item: parseResult.item,
+      offset: index,
+      length: parseResult.nextIndex - index,
+    };
     index = parseResult.nextIndex;
   }
-
-  return result;
 }
 
 /**
@@ -112,16 +414,17 @@ function parseBuffer(buffer, encoding = DEFAULT_ENCODING) {
  * @param {Buffer} buffer - 数据缓冲区
  * @param {number} index - 当前索引
  * @param {string} encoding - 文本编码格式
+ * @param {Object} state - 解析状态
  * @returns {Object} 包含解析项目和下一个索引的对象
  */
-function parseNextItem(buffer, index, encoding) {
+function parseNextItem(buffer, index, encoding, state) {
   // 尝试匹配ESC/POS指令
   const command = findCommand(buffer, index);
 
   if (command) {
-    return parseCommand(buffer, index, command);
+    return parseCommand(buffer, index, command, state);
   } else {
-    return parseTextData(buffer, index, encoding);
+    return parseTextData(buffer, index, encoding, state);
   }
 }
 
@@ -130,28 +433,52 @@ function parseNextItem(buffer, index, encoding) {
  * @param {Buffer} buffer - 数据缓冲区
  * @param {number} index - 当前索引
  * @param {Object} command - 命令定义对象
+ * @param {Object} state - 解析状态
  * @returns {Object} 解析结果
  */
-function parseCommand(buffer, index, command) {
+function parseCommand(buffer, index, command, state) {
+  const paramLength = getParamLength(command, buffer, index);
+
+  // 数据在参数结束前截断，返回不完整项目而不是越界读取
+  if (paramLength === null) {
+    return {
+      item: createIncompleteItem(buffer, index, command),
+      nextIndex: buffer.length,
+    };
+  }
+
   const parsedCommand = command.parse
-    ? command.parse(buffer, index)
+    ? command.parse(buffer, index, state)
     : {
         type: 'command',
         command: command.name,
         description: command.description,
       };
 
-  // 计算下一个索引位置
-  let nextIndex = index + command.bytes.length;
-
-  // 如果指令需要参数，跳过参数字节
-  if (command.parse && parsedCommand.value !== undefined) {
-    nextIndex += 1; // 大多数指令有1个参数字节
+  // 更新需要跨指令保持的状态（如条码设置）
+  if (command.update) {
+    command.update(state, parsedCommand);
   }
 
   return {
     item: parsedCommand,
-    nextIndex: nextIndex,
+    nextIndex: index + command.bytes.length + paramLength,
+  };
+}
+
+/**
+ * 创建不完整指令项目
+ * @param {Buffer} buffer - 数据缓冲区
+ * @param {number} index - 指令起始索引
+ * @param {Object} command - 命令定义对象
+ * @returns {Object} 不完整指令项目
+ */
+function createIncompleteItem(buffer, index, command) {
+  return {
+    type: 'incomplete',
+    command: command.name,
+    bytes: Array.from(buffer.slice(index)),
+    description: `不完整的指令: ${command.description}`,
   };
 }
 
@@ -160,9 +487,11 @@ function parseCommand(buffer, index, command) {
  * @param {Buffer} buffer - 数据缓冲区
  * @param {number} startIndex - 起始索引
  * @param {string} encoding - 文本编码格式
+ * @param {Object} state - 解析状态，包含当前字符代码表与国际字符集
  * @returns {Object} 文本解析结果
  */
-function parseTextData(buffer, startIndex, encoding) {
+function parseTextData(buffer, startIndex, encoding, state) {
+  const textEncoding = resolveTextEncoding(encoding, state);
   const textBytes = [];
   let index = startIndex;
 
@@ -188,31 +517,42 @@ function parseTextData(buffer, startIndex, encoding) {
       }
     }
 
-    // 收集可打印字符
+    // 收集可打印字符，双字节字符的首字节与尾字节作为整体读取
     if (isPrintableChar(byte)) {
-      textBytes.push(byte);
+      const end = Math.min(
+        index + getCharLength(buffer, index, textEncoding.encoding),
+        buffer.length
+      );
+      textBytes.push(...buffer.slice(index, end));
+      index = end;
     } else if (textBytes.length > 0) {
       // 遇到不可打印字符，结束当前文本块
       break;
     } else {
       // 跳过单个不可打印字符
       index++;
-      continue;
     }
-
-    index++;
   }
 
   // 解码文本
   let item = null;
   if (textBytes.length > 0) {
-    const decodedText = decodeText(textBytes, encoding);
+    const decoded = decodeTextRun(textBytes, encoding, textEncoding);
     item = createTextItem(
-      decodedText,
+      decoded.text,
       textBytes,
-      encoding,
-      `文本: "${decodedText}"`
+      decoded.encoding,
+      `文本: "${decoded.text}"`
     );
+    if (decoded.codePage) {
+      item.codePage = decoded.codePage;
+    }
+    if (decoded.kanjiCode) {
+      item.kanjiCode = decoded.kanjiCode;
+    }
+    if (decoded.charset) {
+      item.charset = decoded.charset;
+    }
   }
 
   return {
@@ -221,6 +561,33 @@ function parseTextData(buffer, startIndex, encoding) {
   };
 }
 
+/**
+ * 按当前的文本解码方式解码一段文本
+ * @param {Array} textBytes - 文本字节数组
+ * @param {string} encoding - 调用方指定的编码格式
+ * @param {Object} textEncoding - resolveTextEncoding 返回的解码方式
+ * @returns {Object} 包含 text、encoding、codePage、kanjiCode、charset 的对象
+ */
+function decodeTextRun(textBytes, encoding, textEncoding) {
+  const charset = textEncoding.charset;
+  let text =
+    textEncoding.encoding === encoding
+      ? decodeText(textBytes, encoding)
+      : decodeBytes(Buffer.from(textBytes), textEncoding.encoding);
+
+  if (charset) {
+    text = applyCharset(text, charset);
+  }
+
+  return {
+    text: text,
+    encoding: textEncoding.encoding,
+    codePage: textEncoding.codePage,
+    kanjiCode: textEncoding.kanjiCode,
+    charset: charset ? charset.name : null,
+  };
+}
+
 /**
  * 创建文本项目对象
  * @param {string} text - 解码后的文本
@@ -278,7 +645,8 @@ function tryAlternativeEncoding(textBytes, originalEncoding) {
  * 格式化解析结果为可读文本
  * @param {Array} items - 解析结果数组
  * @param {Object} options - 格式化选项
- * @param {number} options.lineWidth - 行宽，默认48
+ * @param {string|Object} options.profile - 打印机型号，决定默认行宽
+ * @param {number} options.lineWidth - 行宽，默认为型号字体A的每行字符数
  * @returns {string} 格式化后的文本
  */
 function formatAsText(items, options = {}) {
@@ -292,15 +660,34 @@ function formatAsText(items, options = {}) {
 
 /**
  * 文本格式化器类
+ * 按字体单元格宽度、倍宽、字符间距与全角字符计算每个字符占用的宽度，超出打印区域时像打印机一样换行，
+ * 倍高的行占用多行输出；以“列”表示位置时，一列为字体A一个半角字符的宽度。
+ * 制表与绝对/相对位置指令以空格补齐到对应的列，左边距与打印区域宽度决定每行的缩进和对齐范围；
+ * 页模式的内容按 GS $ 指定的行排入字符网格，打印页面时按打印方向旋转后输出
  */
 class TextFormatter {
   constructor(options = {}) {
+    const profile = getProfile(options.profile);
+    this.profile = profile;
     this.lines = [];
     this.currentLine = '';
-    this.currentAlign = ALIGN_TYPE.LEFT;
-    this.isBold = false;
-    this.hasUnderline = false;
-    this.lineWidth = options.lineWidth || DEFAULT_LINE_WIDTH;
+    // 当前行已占用的宽度（点）
+    this.lineDots = 0;
+    // 每个文本行的原文、样式与字节位置，供查询接口使用
+    this.lineRecords = [];
+    this.lineOffset = undefined;
+    this.itemOffset = undefined;
+    // 当前行第一段文本打印时的样式
+    this.lineStyle = null;
+    this.state = new PrinterState();
+    this.lineWidth = options.lineWidth || getColumns(profile);
+    // 字体A单元格宽度（点），用于将点数换算为列
+    this.cellWidth = getFontCell(profile, 'A').width;
+    this.page = new PageState(this.lineWidth * this.cellWidth);
+    this.layout = new LayoutState(this.lineWidth * this.cellWidth, profile.dpi);
+    // 页模式中保存的标准模式输出，以及按起始行分块的页面内容
+    this.standard = null;
+    this.pageBlocks = [];
   }
 
   /**
@@ -313,6 +700,11 @@ class TextFormatter {
       this.processItem(item);
     }
 
+    // 未打印的页模式数据被丢弃
+    if (this.page.active) {
+      this.endPage();
+    }
+
     // 处理最后一行
     this.finalizeLine();
 
@@ -324,10 +716,22 @@ class TextFormatter {
    * @param {Object} item - 项目对象
    */
   processItem(item) {
+    // 行的起止位置取自开始和结束该行的项目
+    this.itemOffset = item.offset;
+    if (this.currentLine.length === 0) {
+      this.lineOffset = item.offset;
+    }
+
     if (item.type === 'text') {
       this.processTextItem(item);
     } else if (item.type === 'command') {
       this.processCommandItem(item);
+    } else if (item.type === 'image') {
+      this.processImageItem(item);
+    } else if (item.type === 'barcode') {
+      this.processBarcodeItem(item);
+    } else if (item.type === 'symbol') {
+      this.processSymbolItem(item);
     }
   }
 
@@ -341,25 +745,48 @@ class TextFormatter {
     // 检查是否为纯换行符
     if (item.text === '\n' || item.text.charCodeAt(0) === 0x0a) {
       // 换行符只是结束当前行，不添加空行
-      if (this.currentLine.length > 0) {
-        this.addFormattedLine(this.currentLine);
-        this.currentLine = '';
-      }
+      this.finalizeLine();
       return;
     }
 
     // 清理文本内容，移除控制字符但保留空格
-    let cleanText = item.text
-      .replace(CONTROL_CHARS_REGEX, '')
-      .replace(/!/g, '');
+    const cleanText = item.text.replace(CONTROL_CHARS_REGEX, '');
 
     // 如果清理后没有内容，直接返回
     if (cleanText.length === 0) {
       return;
     }
 
-    // 普通文本，直接添加到当前行
-    this.currentLine += cleanText;
+    // 逐个字符添加到当前行，超出打印区域宽度时换行
+    const areaDots = this.getPrintArea().width * this.cellWidth;
+    for (const char of cleanText) {
+      const dots = this.getCharDots(char);
+      if (this.lineDots > 0 && this.lineDots + dots > areaDots) {
+        this.finalizeLine();
+      }
+      if (!this.lineStyle) {
+        this.lineStyle = this.state.snapshot();
+      }
+      this.currentLine += char;
+      this.lineDots += dots;
+    }
+  }
+
+  /**
+   * 计算字符按当前样式占用的宽度
+   * @param {string} char - 字符
+   * @returns {number} 宽度（点）
+   */
+  getCharDots(char) {
+    return getCharDots(char, this.state, this.profile);
+  }
+
+  /**
+   * 获取当前行已占用的列数
+   * @returns {number} 列数
+   */
+  getLineColumns() {
+    return Math.ceil(this.lineDots / this.cellWidth);
   }
 
   /**
@@ -368,26 +795,10 @@ class TextFormatter {
    */
   processCommandItem(item) {
     switch (item.command) {
-      case 'ALIGN':
-        this.currentAlign = item.value || ALIGN_TYPE.LEFT;
-        break;
-
-      case 'BOLD':
-      case 'BOLD_MODE':
-        this.isBold = item.value > 0;
-        break;
-
-      case 'UNDERLINE':
-        this.hasUnderline = item.value > 0;
-        break;
-
       case 'PRINT_AND_FEED':
       case 'LINE_FEED':
         // 完成当前行
-        if (this.currentLine.length > 0) {
-          this.addFormattedLine(this.currentLine);
-          this.currentLine = '';
-        }
+        this.finalizeLine();
         // 根据进纸行数添加空行，但只在多行进纸时添加
         const feedLines = item.value || 1;
         if (feedLines > 1) {
@@ -404,32 +815,137 @@ class TextFormatter {
         }
         break;
 
+      case 'HORIZONTAL_TAB': {
+        const stop = this.layout.nextTabStop(
+          Math.floor(this.lineDots / this.cellWidth)
+        );
+        if (stop !== null) {
+          this.moveTo(stop);
+        }
+        break;
+      }
+
+      case 'ABSOLUTE_POSITION':
+        this.moveTo(this.toColumns(item.value));
+        break;
+
+      case 'RELATIVE_POSITION':
+        this.moveTo(
+          Math.round(
+            (this.lineDots + this.layout.toDots(item.value)) / this.cellWidth
+          )
+        );
+        break;
+
       case 'CUT_PAPER':
-        this.processCutPaperCommand();
+        // 页模式中切纸指令无效
+        if (!this.page.active) {
+          this.processCutPaperCommand();
+        }
         break;
 
       case 'INITIALIZE':
         this.processInitializeCommand();
         break;
 
-      case 'FONT_SIZE':
-        // 字体大小变化，暂时不做特殊处理
+      case 'PAGE_MODE':
+        if (!this.page.active) {
+          this.beginPage();
+        }
+        break;
+
+      case 'PRINT_AREA':
+      case 'PRINT_DIRECTION':
+        this.page.apply(item);
+        if (this.page.active) {
+          this.lineWidth = this.getPageColumns();
+        }
+        break;
+
+      case 'VERTICAL_POSITION':
+        if (this.page.active) {
+          this.finalizeLine();
+          this.startPageBlock(Math.round(item.value / this.getLineHeight()));
+        }
+        break;
+
+      case 'PRINT_PAGE':
+        if (this.page.active) {
+          this.printPage();
+        }
+        break;
+
+      case 'FORM_FEED':
+        if (this.page.active) {
+          this.printPage();
+          this.endPage();
+        }
+        break;
+
+      case 'CANCEL_PAGE':
+        if (this.page.active) {
+          this.clearLine();
+          this.pageBlocks = [];
+          this.startPageBlock(0);
+        }
+        break;
+
+      case 'STANDARD_MODE':
+        if (this.page.active) {
+          this.endPage();
+        }
         break;
 
       default:
-        // 其他命令不影响文本输出
+        // 排版设置与样式指令分别由排版状态和打印机状态跟踪，其他命令不影响文本输出
+        if (!this.layout.apply(item)) {
+          this.state.apply(item);
+        }
         break;
     }
   }
 
+  /**
+   * 处理图像项目，以占位符代替位图内容
+   * @param {Object} item - 图像项目
+   */
+  processImageItem(item) {
+    this.finalizeLine();
+
+    this.lines.push(
+      this.applyAlignment('', `[图像 ${item.width}x${item.height}]`)
+    );
+  }
+
+  /**
+   * 处理条码项目，以带标签的占位符显示条码数据
+   * @param {Object} item - 条码项目
+   */
+  processBarcodeItem(item) {
+    this.finalizeLine();
+
+    this.lines.push(
+      this.applyAlignment('', `[条码 ${item.symbology}: ${item.text}]`)
+    );
+  }
+
+  /**
+   * 处理二维码项目，以带标签的占位符显示二维码数据
+   * @param {Object} item - 二维码项目
+   */
+  processSymbolItem(item) {
+    this.finalizeLine();
+
+    this.lines.push(
+      this.applyAlignment('', `[二维码 ${item.symbolType}: ${item.data}]`)
+    );
+  }
+
   /**
    * 处理切纸命令
    */
   processCutPaperCommand() {
-    if (this.currentLine.length > 0) {
-      this.addFormattedLine(this.currentLine);
-      this.currentLine = '';
-    }
+    this.finalizeLine();
 
     // 添加多个空行
     for (let i = 0; i < 6; i++) {
@@ -446,63 +962,262 @@ class TextFormatter {
    * 处理初始化命令
    */
   processInitializeCommand() {
-    if (this.currentLine.length > 0) {
-      this.addFormattedLine(this.currentLine);
+    // 初始化会丢弃未打印的页面数据并返回标准模式
+    if (this.page.active) {
+      this.endPage();
     }
 
+    this.finalizeLine();
     this.resetFormat();
+    this.page.reset();
+    this.layout.reset();
+  }
+
+  /**
+   * 以空格补齐当前行，将打印位置移动到指定列
+   * 超出打印区域的位置被忽略；文本无法重叠打印，向左移动时保持原位
+   * @param {number} column - 目标列（从左边距算起）
+   */
+  moveTo(column) {
+    const dots = column * this.cellWidth;
+    if (dots > this.lineDots && column <= this.getPrintArea().width) {
+      // 倍宽的文本在输出中只占一列，按输出文本的宽度补齐
+      const width = this.getTextWidth(this.currentLine);
+      this.currentLine += ' '.repeat(Math.max(0, column - width));
+      this.lineDots = dots;
+    }
+  }
+
+  /**
+   * 将横向移动单位换算为列数
+   * @param {number} value - 以横向移动单位表示的长度
+   * @returns {number} 列数
+   */
+  toColumns(value) {
+    return Math.round(this.layout.toDots(value) / this.cellWidth);
+  }
+
+  /**
+   * 获取以列表示的打印区域，页模式中为整个逻辑页面宽度
+   * @returns {Object} 包含 left（左边距）、width（宽度）的对象
+   */
+  getPrintArea() {
+    if (this.page.active) {
+      return { left: 0, width: this.lineWidth };
+    }
+
+    const area = this.layout.getPrintArea();
+    const left = Math.round(area.left / this.cellWidth);
+    return {
+      left: left,
+      width: Math.max(
+        1,
+        Math.min(Math.floor(area.width / this.cellWidth), this.lineWidth - left)
+      ),
+    };
+  }
+
+  /**
+   * 进入页模式：保存标准模式的输出，之后的行写入页面
+   */
+  beginPage() {
+    this.finalizeLine();
+
+    this.standard = { lines: this.lines, lineWidth: this.lineWidth };
+    this.page.active = true;
+    this.lineWidth = this.getPageColumns();
+    this.pageBlocks = [];
+    this.startPageBlock(0);
+  }
+
+  /**
+   * 从指定行开始一个新的页面内容块
+   * @param {number} row - 起始行
+   */
+  startPageBlock(row) {
+    const block = { row: row, lines: [] };
+    this.pageBlocks.push(block);
+    this.lines = block.lines;
+  }
+
+  /**
+   * 计算逻辑页面每行的字符数
+   * @returns {number} 字符数
+   */
+  getPageColumns() {
+    return Math.max(1, Math.floor(this.page.getLineLength() / this.cellWidth));
+  }
+
+  /**
+   * 获取页模式中一行的高度（点）
+   * 行间距小于字符高度（如 ESC 3 0）时按字符高度计算，与光栅渲染一致
+   * @returns {number} 行高
+   */
+  getLineHeight() {
+    return Math.max(
+      this.state.lineSpacing,
+      getFontCell(this.profile, this.state.font).height
+    );
+  }
+
+  /**
+   * 打印页面：将各内容块排入字符网格，按打印方向旋转后输出，页面数据保留
+   */
+  printPage() {
+    this.finalizeLine();
+
+    const width = this.lineWidth;
+    const lineHeight = this.getLineHeight();
+    const contentRows = this.pageBlocks.reduce(
+      (max, block) => Math.max(max, block.row + block.lines.length),
+      0
+    );
+    const rows = Math.round(
+      this.page.getPageHeight(contentRows * lineHeight) / lineHeight
+    );
+
+    // 网格中全角字符占两格，第二格为 null
+    const grid = Array.from({ length: rows }, () => new Array(width).fill(' '));
+    for (const block of this.pageBlocks) {
+      block.lines.forEach((line, index) => {
+        const row = grid[block.row + index];
+        if (!row) return;
+
+        let column = 0;
+        for (const char of line) {
+          const charWidth = getTextWidth(char);
+          if (char !== ' ' && column < width) {
+            row[column] = char;
+            if (charWidth === 2 && column + 1 < width) {
+              row[column + 1] = null;
+            }
+          }
+          column += charWidth;
+        }
+      });
+    }
+
+    const size = this.page.getPrintSize(width, rows);
+    const output = Array.from({ length: size.height }, () =>
+      new Array(size.width).fill(' ')
+    );
+    grid.forEach((row, y) => {
+      row.forEach((cell, x) => {
+        // 旋转后全角字符按一格放置
+        if (cell === ' ' || (cell === null && this.page.isRotated())) return;
+        const [px, py] = this.page.toPrintPoint(x, y, width, rows);
+        output[py][px] = cell;
+      });
+    });
+
+    const area = this.page.area;
+    const indent = ' '.repeat(Math.round(area.x / this.cellWidth));
+    for (let i = 0; i < Math.round(area.y / lineHeight); i++) {
+      this.standard.lines.push('');
+    }
+    for (const row of output) {
+      this.standard.lines.push(
+        (indent + row.filter((cell) => cell !== null).join('')).trimEnd()
+      );
+    }
+  }
+
+  /**
+   * 返回标准模式，未打印的页面数据被丢弃
+   */
+  endPage() {
+    this.lines = this.standard.lines;
+    this.lineWidth = this.standard.lineWidth;
+    this.standard = null;
+    this.pageBlocks = [];
+    this.clearLine();
+    this.page.active = false;
   }
 
   /**
    * 重置格式设置
    */
   resetFormat() {
+    this.clearLine();
+    this.state.reset();
+  }
+
+  /**
+   * 清空当前行
+   */
+  clearLine() {
     this.currentLine = '';
-    this.currentAlign = ALIGN_TYPE.LEFT;
-    this.isBold = false;
-    this.hasUnderline = false;
+    this.lineDots = 0;
+    this.lineStyle = null;
   }
 
   /**
-   * 添加格式化的行
+   * 添加格式化的行，倍高的行之后补充空行
    * @param {string} text - 文本内容
+   * @param {number} columns - 文本在纸上占用的列数，默认为文本宽度
    */
-  addFormattedLine(text) {
-    const formattedLine = this.formatLine(text);
+  addFormattedLine(text, columns = this.getTextWidth(text)) {
+    const formattedLine = this.formatLine(text, columns);
     this.lines.push(formattedLine);
+    this.lineRecords.push({
+      text: text,
+      formatted: formattedLine,
+      style: this.lineStyle || this.state.snapshot(),
+      offset: this.lineOffset,
+      end: this.itemOffset,
+    });
+
+    const heightScale = hasWideChars(text)
+      ? Math.max(this.state.heightScale, this.state.kanjiHeightScale)
+      : this.state.heightScale;
+    for (let i = 1; i < heightScale; i++) {
+      this.lines.push('');
+    }
   }
 
   /**
    * 格式化单行文本
    * @param {string} text - 原始文本
+   * @param {number} columns - 文本在纸上占用的列数
    * @returns {string} 格式化后的文本
    */
-  formatLine(text) {
+  formatLine(text, columns) {
     let formattedText = text;
 
     // 添加样式效果
     formattedText = this.applyTextStyles(formattedText);
 
-    // 应用对齐效果
-    return this.applyAlignment(text, formattedText);
+    // 应用对齐效果，样式标记占用的宽度另外计入
+    const width =
+      columns + this.getTextWidth(formattedText) - this.getTextWidth(text);
+    return this.applyAlignment(text, formattedText, width);
   }
 
   /**
-   * 应用文本样式
+   * 应用文本样式：加粗以【】、下划线以 _ 包围，其余样式以标签附加在行尾
    * @param {string} text - 文本
    * @returns {string} 应用样式后的文本
    */
   applyTextStyles(text) {
     let styledText = text;
 
-    if (this.isBold) {
+    if (this.state.bold) {
       styledText = `【${styledText}】`;
     }
 
-    if (this.hasUnderline) {
+    // 汉字下划线 (FS -) 只作用于汉字
+    if (
+      this.state.underline ||
+      (this.state.kanjiUnderline && hasWideChars(text))
+    ) {
       styledText = `_${styledText}_`;
     }
 
+    const tags = STYLE_TAGS.map((tag) => tag(this.state)).filter(Boolean);
+    if (tags.length > 0) {
+      styledText += ` «${tags.join(' ')}»`;
+    }
+
     return styledText;
   }
 
@@ -510,31 +1225,37 @@ class TextFormatter {
    * 应用对齐效果
    * @param {string} originalText - 原始文本
    * @param {string} styledText - 应用样式后的文本
+   * @param {number} textWidth - 占用的列数，默认为样式文本的宽度
    * @returns {string} 最终格式化的文本
    */
-  applyAlignment(originalText, styledText) {
-    // 如果文本已经包含空格对齐，直接返回
+  applyAlignment(
+    originalText,
+    styledText,
+    textWidth = this.getTextWidth(styledText)
+  ) {
+    const area = this.getPrintArea();
+    const margin = ' '.repeat(area.left);
+
+    // 如果文本已经包含空格对齐，只添加左边距
     if (originalText.startsWith(' ')) {
-      return styledText;
+      return margin + styledText;
     }
 
-    const textWidth = this.getTextWidth(styledText);
-
-    switch (this.currentAlign) {
+    switch (this.state.align) {
       case ALIGN_TYPE.CENTER:
         const centerPadding = Math.max(
           0,
-          Math.floor((this.lineWidth - textWidth) / 2)
+          Math.floor((area.width - textWidth) / 2)
         );
-        return ' '.repeat(centerPadding) + styledText;
+        return margin + ' '.repeat(centerPadding) + styledText;
 
       case ALIGN_TYPE.RIGHT:
-        const rightPadding = Math.max(0, this.lineWidth - textWidth);
-        return ' '.repeat(rightPadding) + styledText;
+        const rightPadding = Math.max(0, area.width - textWidth);
+        return margin + ' '.repeat(rightPadding) + styledText;
 
       case ALIGN_TYPE.LEFT:
       default:
-        return styledText;
+        return margin + styledText;
     }
   }
 
@@ -544,13 +1265,7 @@ class TextFormatter {
    * @returns {number} 显示宽度
    */
   getTextWidth(text) {
-    let width = 0;
-    for (let i = 0; i < text.length; i++) {
-      const char = text[i];
-      // 中文字符、全角字符等占2个宽度
-      width += CJK_CHARS_REGEX.test(char) ? 2 : 1;
-    }
-    return width;
+    return getTextWidth(text);
   }
 
   /**
@@ -558,28 +1273,129 @@ class TextFormatter {
    */
   finalizeLine() {
     if (this.currentLine.length > 0) {
-      this.addFormattedLine(this.currentLine);
+      this.addFormattedLine(this.currentLine, this.getLineColumns());
     }
+    this.clearLine();
   }
 }
 
 /**
  * 生成详细的解析报告
  * @param {Array} parseResult - 解析结果数组
+ * @param {Object} options - 报告选项
+ * @param {string|Object} options.profile - 打印机型号，指定时列出该型号不支持的指令
+ * @param {boolean} options.withState - 为报告中的文本项目附加生效的打印机状态
  * @returns {Object} 详细报告对象
  */
-function generateReport(parseResult) {
+function generateReport(parseResult, options = {}) {
   if (!Array.isArray(parseResult)) {
     throw new Error('输入必须是数组类型');
   }
 
   const summary = generateSummary(parseResult);
-
-  return {
+  const report = {
     summary: summary,
-    items: parseResult,
-    formattedText: formatAsText(parseResult),
+    items: options.withState ? attachState(parseResult, options) : parseResult,
+    formattedText: formatAsText(parseResult, options),
   };
+
+  if (options.profile) {
+    report.unsupported = findUnsupported(
+      parseResult,
+      getProfile(options.profile)
+    );
+  }
+
+  return report;
+}
+
+/**
+ * 查找型号不支持的指令与代码表
+ * @param {Array} parseResult - 解析结果数组
+ * @param {Object} profile - 型号配置
+ * @returns {Array} 不支持的项目，包含 offset、command、description
+ */
+function findUnsupported(parseResult, profile) {
+  return parseResult
+    .filter(
+      (item) =>
+        item.command &&
+        item.type !== 'incomplete' &&
+        (!supportsCommand(profile, item.command) ||
+          (item.command === 'CODE_PAGE' &&
+            !supportsCodePage(profile, item.value)))
+    )
+    .map((item) => ({
+      offset: item.offset,
+      command: item.command,
+      description: item.description,
+    }));
+}
+
+/**
+ * 将解析报告格式化为详细的可读文本
+ * @param {Object} report - generateReport 生成的报告
+ * @returns {string} 详细文本，包含摘要、逐项解析结果和格式化内容
+ */
+function formatReport(report) {
+  const lines = [];
+  lines.push('='.repeat(60));
+  lines.push('ESC/POS 解析结果');
+  lines.push('='.repeat(60));
+  lines.push(`总项目数: ${report.summary.totalItems}`);
+  lines.push(`指令数量: ${report.summary.commands}`);
+  lines.push(`文本块数: ${report.summary.textBlocks}`);
+  lines.push(`图像数量: ${report.summary.images}`);
+  lines.push(`条码数量: ${report.summary.barcodes}`);
+  lines.push(`二维码数: ${report.summary.symbols}`);
+  lines.push(`不完整指令: ${report.summary.incomplete}`);
+  lines.push(`钱箱脉冲: ${report.summary.drawerKicks}`);
+  lines.push(`蜂鸣次数: ${report.summary.beeps}`);
+  lines.push(`文本字节: ${report.summary.totalBytes}`);
+
+  if (report.unsupported && report.unsupported.length > 0) {
+    lines.push('');
+    lines.push(`打印机不支持的指令 (${report.unsupported.length}):`);
+    for (const item of report.unsupported) {
+      lines.push(`  位置 ${item.offset}: ${item.description}`);
+    }
+  }
+
+  lines.push('');
+  lines.push('详细解析结果:');
+  lines.push('-'.repeat(40));
+
+  report.items.forEach((item, index) => {
+    if (item.type === 'command') {
+      lines.push(`${index + 1}. ${item.description}`);
+      if (item.value !== undefined) {
+        lines.push(`  值: ${item.value}`);
+      }
+    } else if (item.type === 'image' || item.type === 'incomplete') {
+      lines.push(`${index + 1}. ${item.description}`);
+    } else if (item.type === 'barcode') {
+      lines.push(`${index + 1}. ${item.description}`);
+      lines.push(
+        `  高度: ${item.height} 点, 模块宽度: ${item.moduleWidth}, HRI: ${item.hriPosition}/字体${item.hriFont}`
+      );
+    } else if (item.type === 'symbol') {
+      lines.push(`${index + 1}. ${item.description}`);
+      lines.push(
+        `  模块大小: ${item.moduleSize || '-'}, 纠错: ${item.ecc || '-'}`
+      );
+    } else if (item.type === 'text') {
+      lines.push(`${index + 1}. 文本: "${item.text}"`);
+      lines.push(
+        `  字节: ${item.bytes
+          .map((b) => b.toString(16).toUpperCase().padStart(2, '0'))
+          .join(' ')}`
+      );
+    }
+  });
+
+  lines.push('');
+  lines.push(report.formattedText);
+  return lines.join('\n');
 }
 
 /**
@@ -592,12 +1408,31 @@ function generateSummary(parseResult) {
     totalItems: parseResult.length,
     commands: 0,
     textBlocks: 0,
+    images: 0,
+    barcodes: 0,
+    symbols: 0,
+    incomplete: 0,
+    drawerKicks: 0,
+    beeps: 0,
     totalBytes: 0,
   };
 
   for (const item of parseResult) {
     if (item.type === 'command') {
       summary.commands++;
+      if (isDrawerKick(item)) {
+        summary.drawerKicks++;
+      } else if (isBeep(item)) {
+        summary.beeps++;
+      }
+    } else if (item.type === 'image') {
+      summary.images++;
+    } else if (item.type === 'barcode') {
+      summary.barcodes++;
+    } else if (item.type === 'symbol') {
+      summary.symbols++;
+    } else if (item.type === 'incomplete') {
+      summary.incomplete++;
     } else if (item.type === 'text') {
       summary.textBlocks++;
       summary.totalBytes += item.bytes ? item.bytes.length : 0;
@@ -607,16 +1442,73 @@ function generateSummary(parseResult) {
   return summary;
 }
 
+/**
+ * 判断是否为钱箱脉冲指令（ESC p 或 DLE DC4 1）
+ * @param {Object} item - 指令项目
+ * @returns {boolean}
+ */
+function isDrawerKick(item) {
+  return (
+    item.command === 'CASH_DRAWER' ||
+    (item.command === 'REALTIME_FUNCTION' && item.fn === 1)
+  );
+}
+
+/**
+ * 判断是否为蜂鸣器指令（ESC B、ESC ( A 或 DLE DC4 3）
+ * @param {Object} item - 指令项目
+ * @returns {boolean}
+ */
+function isBeep(item) {
+  return (
+    item.command === 'BEEPER' ||
+    item.command === 'BEEPER_CONTROL' ||
+    (item.command === 'REALTIME_FUNCTION' && item.fn === 3)
+  );
+}
+
 // 导出模块
 module.exports = {
   parseHexString,
   parseFile,
   parseBuffer,
+  hexToBuffer,
+  walkBuffer,
+  createParser,
+  IncrementalParser,
+  EscPosParserStream,
+  encode,
   formatAsText,
+  TextFormatter,
+  formatAsHtml,
+  formatAsHexdump,
+  renderRaster,
+  renderPng,
   generateReport,
+  formatReport,
+  encodePng,
+  saveImage,
+  extractImages,
+  diffJobs,
 
   // 导出常量供测试使用
   ALIGN_TYPE,
   DEFAULT_ENCODING,
   DEFAULT_LINE_WIDTH,
 };
+
+// 以下模块依赖本模块，在首次访问时加载以避免循环引用
+Object.defineProperties(module.exports, {
+  lintBuffer: {
+    enumerable: true,
+    get: () => require('./lint').lintBuffer,
+  },
+  analyze: {
+    enumerable: true,
+    get: () => require('./receipt').analyze,
+  },
+  extractReceipt: {
+    enumerable: true,
+    get: () => require('./extract').extractReceipt,
+  },
+});
@@ -0,0 +1,229 @@
+/**
+ * 打印机型号配置
+ * 描述各型号的可打印宽度、字体单元格尺寸、支持的代码表与指令，
+ * 文本格式化、HTML 预览、光栅渲染与任务检查都从这里取得纸宽和每行字符数
+ */
+
+const fs = require('fs');
+const { COMMANDS } = require('./commands');
+
+// 默认型号：80mm 纸、203dpi、可打印宽度576点
+const DEFAULT_PROFILE = 'generic-80mm';
+
+// 常见的字体单元格尺寸（点）: 字体A 12x24，字体B 9x17
+const STANDARD_FONTS = {
+  A: { width: 12, height: 24 },
+  B: { width: 9, height: 17 },
+};
+
+// Epson 机型支持的代码表
+const EPSON_CODE_PAGES = [
+  0, 1, 2, 3, 4, 5, 16, 17, 18, 19, 20, 21, 26, 32, 33, 34, 35, 36, 37, 38, 39,
+  40, 44, 45, 46, 47, 48, 49, 50, 51, 52, 53,
+];
+
+// 国产通用机型常见的代码表
+const GENERIC_CODE_PAGES = [0, 1, 2, 3, 4, 5, 16, 17, 18, 19, 20, 21];
+
+// 内置型号，commands 由 allCommandsExcept 按不支持的指令生成
+const PROFILES = {
+  'generic-80mm': {
+    name: '通用 80mm 打印机',
+    dpi: 203,
+    paperWidth: 576,
+    fonts: STANDARD_FONTS,
+    codePages: GENERIC_CODE_PAGES,
+    commands: allCommandsExcept([]),
+  },
+  'generic-58mm': {
+    name: '通用 58mm 打印机',
+    dpi: 203,
+    paperWidth: 384,
+    fonts: STANDARD_FONTS,
+    codePages: GENERIC_CODE_PAGES,
+    commands: allCommandsExcept([
+      'KANJI_CODE',
+      'BEEPER_CONTROL',
+      'REALTIME_FUNCTION',
+      'AUTO_STATUS_BACK',
+    ]),
+  },
+  'tm-t88': {
+    name: 'Epson TM-T88',
+    dpi: 180,
+    paperWidth: 512,
+    fonts: STANDARD_FONTS,
+    codePages: EPSON_CODE_PAGES,
+    commands: allCommandsExcept(['BEEPER', 'BEEPER_CONTROL']),
+  },
+  'tm-t20': {
+    name: 'Epson TM-T20',
+    dpi: 203,
+    paperWidth: 576,
+    fonts: STANDARD_FONTS,
+    codePages: EPSON_CODE_PAGES,
+    commands: allCommandsExcept(['BEEPER', 'BEEPER_CONTROL']),
+  },
+  'xp-80': {
+    name: 'Xprinter XP-80',
+    dpi: 203,
+    paperWidth: 576,
+    fonts: STANDARD_FONTS,
+    codePages: GENERIC_CODE_PAGES,
+    commands: allCommandsExcept([
+      'KANJI_CODE',
+      'BEEPER_CONTROL',
+      'REALTIME_FUNCTION',
+    ]),
+  },
+};
+
+/**
+ * 列出除指定指令之外的全部指令名称
+ * 之后新增到指令表中的指令默认视为各型号都支持，新增指令时需要检查是否应加入型号的排除列表
+ * @param {Array} excluded - 不支持的指令名称
+ * @returns {Array} 指令名称数组
+ */
+function allCommandsExcept(excluded) {
+  return Object.keys(COMMANDS).filter((name) => !excluded.includes(name));
+}
+
+/**
+ * 获取型号配置
+ * @param {string|Object} profile - 内置型号名称、JSON 配置文件路径或配置对象，默认为通用 80mm
+ * @returns {Object} 完整的型号配置
+ * @throws {Error} 当型号不存在或配置无效时抛出错误
+ */
+function getProfile(profile = DEFAULT_PROFILE) {
+  if (profile && typeof profile === 'object') {
+    return resolveProfile(profile);
+  }
+
+  const id = String(profile).toLowerCase();
+  if (PROFILES[id]) {
+    return { id: id, ...PROFILES[id] };
+  }
+
+  if (id.endsWith('.json')) {
+    return loadProfile(profile);
+  }
+
+  throw new Error(
+    `未知的打印机型号: ${profile}（可选: ${Object.keys(PROFILES).join(', ')}）`
+  );
+}
+
+/**
+ * 从 JSON 文件加载型号配置
+ * @param {string} filePath - 文件路径
+ * @returns {Object} 完整的型号配置
+ * @throws {Error} 当文件不存在或配置无效时抛出错误
+ */
+function loadProfile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`型号配置文件不存在: ${filePath}`);
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`读取型号配置失败: ${error.message}`);
+  }
+
+  return resolveProfile(profile);
+}
+
+/**
+ * 补全并检查型号配置
+ * 可以通过 extends 指定基础型号，只覆盖需要修改的字段；
+ * unsupportedCommands 列出的指令会从基础型号的指令中去除
+ * @param {Object} profile - 配置对象
+ * @returns {Object} 完整的型号配置
+ * @throws {Error} 当配置无效时抛出错误
+ */
+function resolveProfile(profile) {
+  const base = getProfile(profile.extends || DEFAULT_PROFILE);
+  const resolved = {
+    ...base,
+    ...profile,
+    fonts: { ...base.fonts, ...profile.fonts },
+  };
+  delete resolved.extends;
+
+  if (profile.unsupportedCommands) {
+    resolved.commands = resolved.commands.filter(
+      (name) => !profile.unsupportedCommands.includes(name)
+    );
+    delete resolved.unsupportedCommands;
+  }
+
+  if (!Number.isInteger(resolved.paperWidth) || resolved.paperWidth <= 0) {
+    throw new Error(`纸张宽度无效: ${resolved.paperWidth}`);
+  }
+
+  for (const [font, cell] of Object.entries(resolved.fonts)) {
+    if (!cell || !(cell.width > 0) || !(cell.height > 0)) {
+      throw new Error(`字体${font}的单元格尺寸无效`);
+    }
+  }
+
+  for (const name of resolved.commands) {
+    if (!COMMANDS[name]) {
+      throw new Error(`未知的指令: ${name}`);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * 获取字体单元格尺寸，型号没有该字体时使用字体A
+ * @param {Object} profile - 型号配置
+ * @param {string} font - 字体（A、B、C）
+ * @returns {Object} 包含 width、height 的对象
+ */
+function getFontCell(profile, font) {
+  return profile.fonts[font] || profile.fonts.A;
+}
+
+/**
+ * 计算每行字符数
+ * @param {Object} profile - 型号配置
+ * @param {string} font - 字体，默认字体A
+ * @returns {number} 每行字符数
+ */
+function getColumns(profile, font = 'A') {
+  return Math.floor(profile.paperWidth / getFontCell(profile, font).width);
+}
+
+/**
+ * 判断型号是否支持指令
+ * @param {Object} profile - 型号配置
+ * @param {string} command - 指令名称
+ * @returns {boolean}
+ */
+function supportsCommand(profile, command) {
+  return profile.commands.includes(command);
+}
+
+/**
+ * 判断型号是否支持代码表
+ * @param {Object} profile - 型号配置
+ * @param {number} codePage - 代码表编号 (ESC t n)
+ * @returns {boolean}
+ */
+function supportsCodePage(profile, codePage) {
+  return profile.codePages.includes(codePage);
+}
+
+module.exports = {
+  PROFILES,
+  DEFAULT_PROFILE,
+  getProfile,
+  loadProfile,
+  getFontCell,
+  getColumns,
+  supportsCommand,
+  supportsCodePage,
+};
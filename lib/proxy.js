@@ -0,0 +1,176 @@
+/**
+ * 网络打印代理
+ * 像网络打印机一样监听原始 TCP 端口（通常为 9100），实时解析收到的打印任务，
+ * 可选地保存任务数据并转发到真实打印机
+ */
+
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const { createParser, generateReport, formatReport } = require('./parser');
+const { PrinterSimulator } = require('./simulator');
+
+const DEFAULT_PORT = 9100;
+
+/**
+ * 创建打印代理服务器
+ * 每个客户端连接视为一个打印任务，连接关闭时输出该任务的解析报告
+ * @param {Object} options - 代理选项
+ * @param {string} options.upstream - 转发目标 host:port，不指定时作为模拟打印机应答状态查询
+ * @param {Object} options.state - 模拟打印机的状态（如 paperNearEnd、coverOpen）
+ * @param {string} options.saveDir - 保存任务数据（.bin）的目录
+ * @param {string} options.encoding - 文本编码格式，默认 'gbk'
+ * @param {Function} options.log - 日志输出函数，默认 console.log
+ * @returns {net.Server} 服务器对象，会触发 item 与 job 事件
+ */
+function createProxy(options = {}) {
+  const upstream = options.upstream ? parseAddress(options.upstream) : null;
+  const encoding = options.encoding || 'gbk';
+  const log = options.log || console.log;
+  let jobCount = 0;
+
+  const server = net.createServer((client) => {
+    const job = {
+      id: ++jobCount,
+      remote: `${client.remoteAddress}:${client.remotePort}`,
+      chunks: [],
+      items: [],
+    };
+    const parser = createParser(encoding);
+    let printer = null;
+    let ended = false;
+    // 没有转发目标时由模拟器应答状态查询
+    const simulator = upstream
+      ? null
+      : new PrinterSimulator({ encoding: encoding, state: options.state });
+
+    log(`[任务 ${job.id}] 来自 ${job.remote} 的连接`);
+
+    if (upstream) {
+      printer = net.connect(upstream.port, upstream.host);
+
+      // 打印机的状态回复原样转发给客户端
+      printer.on('data', (data) => client.write(data));
+      printer.on('end', () => client.end());
+      printer.on('error', (error) => {
+        log(`[任务 ${job.id}] 转发失败: ${error.message}`);
+        client.destroy();
+      });
+    }
+
+    client.on('data', (chunk) => {
+      job.chunks.push(chunk);
+      const items = parser.push(chunk);
+
+      if (printer) {
+        printer.write(chunk);
+      } else {
+        const response = simulator.receive(items);
+        if (response.length > 0) {
+          client.write(response);
+        }
+      }
+
+      for (const item of items) {
+        job.items.push(item);
+        server.emit('item', item, job);
+      }
+    });
+
+    client.on('end', () => {
+      ended = true;
+      if (printer) {
+        printer.end();
+      } else {
+        client.end();
+      }
+    });
+
+    client.on('error', (error) => {
+      log(`[任务 ${job.id}] 连接错误: ${error.message}`);
+    });
+
+    client.on('close', () => {
+      // 客户端异常断开时不再等待打印机，正常结束时由 printer.end() 发送剩余数据
+      if (printer && !ended) {
+        printer.destroy();
+      }
+      job.items.push(...parser.end());
+      finishJob(server, job, options.saveDir, log);
+    });
+  });
+
+  return server;
+}
+
+/**
+ * 结束打印任务：保存数据并输出解析报告
+ * @param {net.Server} server - 代理服务器
+ * @param {Object} job - 任务对象
+ * @param {string} saveDir - 保存目录
+ * @param {Function} log - 日志输出函数
+ */
+function finishJob(server, job, saveDir, log) {
+  const buffer = Buffer.concat(job.chunks);
+  const result = {
+    id: job.id,
+    remote: job.remote,
+    buffer: buffer,
+    items: job.items,
+    report: generateReport(job.items),
+    file: null,
+  };
+
+  if (saveDir && buffer.length > 0) {
+    try {
+      fs.mkdirSync(saveDir, { recursive: true });
+      result.file = path.join(saveDir, getJobFileName(job.id));
+      fs.writeFileSync(result.file, buffer);
+    } catch (error) {
+      log(`[任务 ${job.id}] 保存失败: ${error.message}`);
+      result.file = null;
+    }
+  }
+
+  log(
+    `[任务 ${job.id}] 接收 ${buffer.length} 字节` +
+      (result.file ? `，已保存到: ${result.file}` : '')
+  );
+  log(formatReport(result.report));
+
+  server.emit('job', result);
+}
+
+/**
+ * 生成任务文件名，包含时间以免覆盖之前保存的任务
+ * @param {number} id - 任务编号
+ * @returns {string} 文件名
+ */
+function getJobFileName(id) {
+  const time = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-');
+  return `job-${time.slice(0, 15)}-${id}.bin`;
+}
+
+/**
+ * 解析 host:port 形式的地址
+ * @param {string} address - 地址字符串，省略端口时使用 9100
+ * @returns {Object} 包含 host 与 port 的对象
+ * @throws {Error} 当地址无效时抛出错误
+ */
+function parseAddress(address) {
+  const match = /^(.*?)(?::(\d+))?$/.exec(String(address).trim());
+  const host = match[1].replace(/^\[(.*)\]$/, '$1');
+  const port = match[2] ? parseInt(match[2], 10) : DEFAULT_PORT;
+
+  if (!host || port > 65535) {
+    throw new Error(`无效的地址: ${address}`);
+  }
+
+  return { host: host, port: port };
+}
+
+module.exports = {
+  createProxy,
+  parseAddress,
+  DEFAULT_PORT,
+};
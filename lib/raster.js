@@ -0,0 +1,656 @@
+/**
+ * 光栅打印模拟器
+ * 按打印机分辨率将解析结果逐点绘制为位图，可输出 PNG 用于视觉回归测试；
+ * 页模式的内容先绘制在单独的页面画布上，打印页面时按打印方向旋转后输出
+ */
+
+const { encodePng, toBuffer } = require('./image');
+const { getGlyph, GLYPH_HEIGHT } = require('./font');
+const { ALIGN_TYPE, CONTROL_CHARS_REGEX, PrinterState } = require('./state');
+const { getProfile, getFontCell } = require('./profiles');
+const { PageState } = require('./page');
+
+// 默认纸张宽度（点），取自默认型号
+const DEFAULT_PAPER_WIDTH = getProfile().paperWidth;
+
+// 中日韩文字及全角字符按全角宽度绘制
+const CJK_CHARS_REGEX =
+  /[\u2e80-\u9fff\uac00-\ud7af\uf900-\ufaff\uff01-\uff60\uffe0-\uffe6]/;
+// 切纸位置前后的留白（点）
+const CUT_MARGIN = 24;
+
+/**
+ * 单色画布，宽度固定，高度按需增长
+ */
+class Canvas {
+  constructor(width) {
+    this.width = width;
+    this.widthBytes = Math.ceil(width / 8);
+    this.rows = [];
+  }
+
+  /**
+   * 确保画布至少有指定高度
+   * @param {number} height - 高度（点）
+   */
+  ensureHeight(height) {
+    while (this.rows.length < height) {
+      this.rows.push(new Uint8Array(this.widthBytes));
+    }
+  }
+
+  /**
+   * 设置一个点
+   * @param {number} x - 横坐标
+   * @param {number} y - 纵坐标
+   * @param {boolean} black - 是否为黑点
+   */
+  setPixel(x, y, black) {
+    if (x < 0 || x >= this.width || y < 0) return;
+    this.ensureHeight(y + 1);
+    const mask = 0x80 >> (x & 7);
+    if (black) {
+      this.rows[y][x >> 3] |= mask;
+    } else {
+      this.rows[y][x >> 3] &= ~mask;
+    }
+  }
+
+  /**
+   * 读取一个点
+   * @param {number} x - 横坐标
+   * @param {number} y - 纵坐标
+   * @returns {boolean} 是否为黑点
+   */
+  getPixel(x, y) {
+    if (x < 0 || x >= this.width || y < 0 || y >= this.rows.length) {
+      return false;
+    }
+    return (this.rows[y][x >> 3] & (0x80 >> (x & 7))) !== 0;
+  }
+
+  /**
+   * 填充矩形
+   * @param {number} x - 左上角横坐标
+   * @param {number} y - 左上角纵坐标
+   * @param {number} width - 宽度
+   * @param {number} height - 高度
+   * @param {boolean} black - 是否为黑点
+   */
+  fillRect(x, y, width, height, black = true) {
+    for (let dy = 0; dy < height; dy++) {
+      for (let dx = 0; dx < width; dx++) {
+        this.setPixel(x + dx, y + dy, black);
+      }
+    }
+  }
+
+  /**
+   * 转换为图像对象
+   * @param {number} height - 图像高度
+   * @returns {Object} 包含 width、height、widthBytes、bitmap 的图像对象
+   */
+  toImage(height) {
+    this.ensureHeight(height);
+    const bitmap = Buffer.alloc(this.widthBytes * height);
+    for (let y = 0; y < height; y++) {
+      bitmap.set(this.rows[y], y * this.widthBytes);
+    }
+    return {
+      width: this.width,
+      height: height,
+      widthBytes: this.widthBytes,
+      bitmap: bitmap,
+    };
+  }
+}
+
+/**
+ * 将解析结果渲染为位图
+ * @param {Array} items - 解析结果数组
+ * @param {Object} options - 渲染选项
+ * @param {string|Object} options.profile - 打印机型号，决定纸宽与字体单元格尺寸
+ * @param {number} options.paperWidth - 纸张可打印宽度（点），默认取自型号
+ * @returns {Object} 图像对象，包含 width、height、bitmap
+ */
+function renderRaster(items, options = {}) {
+  if (!Array.isArray(items)) {
+    throw new Error('输入必须是数组类型');
+  }
+
+  const renderer = new RasterRenderer(options);
+  return renderer.render(items);
+}
+
+/**
+ * 将解析结果渲染为 PNG
+ * @param {Array} items - 解析结果数组
+ * @param {Object} options - 渲染选项，同 renderRaster
+ * @returns {Buffer} PNG 文件数据
+ */
+function renderPng(items, options = {}) {
+  return encodePng(renderRaster(items, options));
+}
+
+/**
+ * 光栅渲染器类
+ */
+class RasterRenderer {
+  constructor(options = {}) {
+    this.profile = getProfile(options.profile);
+    this.paperWidth = options.paperWidth || this.profile.paperWidth;
+    this.canvas = new Canvas(this.paperWidth);
+    this.state = new PrinterState();
+    this.page = new PageState(this.paperWidth);
+    // 页模式中保存的标准模式画布与位置
+    this.standard = null;
+    this.glyphs = [];
+    this.lineWidth = 0;
+    this.y = 0;
+  }
+
+  /**
+   * 渲染项目数组
+   * @param {Array} items - 项目数组
+   * @returns {Object} 图像对象
+   */
+  render(items) {
+    for (const item of items) {
+      this.processItem(item);
+    }
+
+    // 未打印的页模式数据被丢弃
+    if (this.page.active) {
+      this.endPage();
+    }
+
+    if (this.glyphs.length > 0) {
+      this.printLine(1);
+    }
+
+    return this.canvas.toImage(Math.max(1, this.y));
+  }
+
+  /**
+   * 处理单个项目
+   * @param {Object} item - 项目对象
+   */
+  processItem(item) {
+    switch (item.type) {
+      case 'text':
+        this.processTextItem(item);
+        break;
+      case 'command':
+        this.processCommandItem(item);
+        break;
+      case 'image':
+        this.drawImage(item);
+        break;
+      case 'barcode':
+        this.drawBarcode(item);
+        break;
+      case 'symbol':
+        this.drawSymbol(item);
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * 处理文本项目，把字符加入当前行缓冲区
+   * @param {Object} item - 文本项目
+   */
+  processTextItem(item) {
+    if (!item.text) return;
+
+    if (item.text === '\n') {
+      this.printLine(1);
+      return;
+    }
+
+    const text = item.text.replace(CONTROL_CHARS_REGEX, '');
+    for (const char of text) {
+      this.addChar(char);
+    }
+  }
+
+  /**
+   * 处理命令项目
+   * @param {Object} item - 命令项目
+   */
+  processCommandItem(item) {
+    switch (item.command) {
+      case 'PRINT_AND_FEED':
+        this.printLine(item.value);
+        break;
+
+      case 'CUT_PAPER':
+        // 页模式中切纸指令无效
+        if (this.page.active) break;
+        if (this.glyphs.length > 0) {
+          this.printLine(1);
+        }
+        this.drawCutLine();
+        break;
+
+      case 'INITIALIZE':
+        // 初始化会清除打印缓冲区中未打印的数据，并返回标准模式
+        if (this.page.active) {
+          this.endPage();
+        }
+        this.glyphs = [];
+        this.lineWidth = 0;
+        this.state.reset();
+        this.page.reset();
+        break;
+
+      case 'PAGE_MODE':
+        if (!this.page.active) {
+          this.beginPage();
+        }
+        break;
+
+      case 'PRINT_AREA':
+      case 'PRINT_DIRECTION':
+        this.page.apply(item);
+        if (this.page.active) {
+          this.resizePage();
+        }
+        break;
+
+      case 'VERTICAL_POSITION':
+        if (this.page.active) {
+          this.drawLine();
+          this.y = item.value;
+        }
+        break;
+
+      case 'PRINT_PAGE':
+        if (this.page.active) {
+          this.printPage();
+        }
+        break;
+
+      case 'FORM_FEED':
+        if (this.page.active) {
+          this.printPage();
+          this.endPage();
+        }
+        break;
+
+      case 'CANCEL_PAGE':
+        if (this.page.active) {
+          this.glyphs = [];
+          this.lineWidth = 0;
+          this.canvas = new Canvas(this.paperWidth);
+          this.y = 0;
+        }
+        break;
+
+      case 'STANDARD_MODE':
+        if (this.page.active) {
+          this.endPage();
+        }
+        break;
+
+      default:
+        this.state.apply(item);
+        break;
+    }
+  }
+
+  /**
+   * 将一个字符加入当前行，超出纸宽时自动换行
+   * @param {string} char - 字符
+   */
+  addChar(char) {
+    const style = this.state.snapshot();
+    const cell = getFontCell(this.profile, style.font);
+    const fullWidth = CJK_CHARS_REGEX.test(char);
+
+    // 汉字另受 FS ! 与 FS - 设置影响
+    if (fullWidth) {
+      style.widthScale = Math.max(style.widthScale, style.kanjiWidthScale);
+      style.heightScale = Math.max(style.heightScale, style.kanjiHeightScale);
+      style.underline = Math.max(style.underline, style.kanjiUnderline);
+    }
+
+    const width = cell.width * (fullWidth ? 2 : 1) * style.widthScale;
+    const advance = width + style.charSpacing * style.widthScale;
+
+    if (this.lineWidth > 0 && this.lineWidth + width > this.paperWidth) {
+      this.printLine(1);
+    }
+
+    this.glyphs.push({
+      glyph: getGlyph(char, fullWidth),
+      width: width,
+      height: cell.height * style.heightScale,
+      advance: advance,
+      style: style,
+    });
+    this.lineWidth += advance;
+  }
+
+  /**
+   * 打印当前行并进纸
+   * @param {number} feedLines - 进纸行数
+   */
+  printLine(feedLines) {
+    const lineHeight = this.drawLine();
+
+    if (feedLines > 0) {
+      this.y += Math.max(lineHeight, this.state.lineSpacing);
+      this.y += (feedLines - 1) * this.state.lineSpacing;
+    } else {
+      this.y += lineHeight;
+    }
+    this.canvas.ensureHeight(this.y);
+  }
+
+  /**
+   * 在当前位置绘制行缓冲区中的字符，不进纸
+   * @returns {number} 行高（点）
+   */
+  drawLine() {
+    const lineHeight = this.glyphs.reduce(
+      (max, entry) => Math.max(max, entry.height),
+      0
+    );
+
+    let x = this.getAlignedX(this.lineWidth);
+    for (const entry of this.glyphs) {
+      // 同一行中的字符底部对齐
+      this.drawGlyph(entry, x, this.y + lineHeight - entry.height);
+      x += entry.advance;
+    }
+
+    this.glyphs = [];
+    this.lineWidth = 0;
+    return lineHeight;
+  }
+
+  /**
+   * 进入页模式：保存标准模式的画布，之后的内容绘制在逻辑页面上
+   */
+  beginPage() {
+    if (this.glyphs.length > 0) {
+      this.printLine(1);
+    }
+
+    this.standard = {
+      canvas: this.canvas,
+      paperWidth: this.paperWidth,
+      y: this.y,
+    };
+    this.page.active = true;
+    this.paperWidth = this.page.getLineLength();
+    this.canvas = new Canvas(this.paperWidth);
+    this.y = 0;
+  }
+
+  /**
+   * 打印区域或方向改变后调整逻辑页面的宽度，保留已绘制的内容
+   */
+  resizePage() {
+    const width = this.page.getLineLength();
+    if (width === this.paperWidth) return;
+
+    const canvas = new Canvas(width);
+    for (let y = 0; y < this.canvas.rows.length; y++) {
+      for (let x = 0; x < Math.min(width, this.paperWidth); x++) {
+        if (this.canvas.getPixel(x, y)) {
+          canvas.setPixel(x, y, true);
+        }
+      }
+    }
+
+    this.canvas = canvas;
+    this.paperWidth = width;
+  }
+
+  /**
+   * 打印页面：按打印方向旋转逻辑页面并绘制到纸上，页面数据保留
+   */
+  printPage() {
+    this.drawLine();
+
+    const target = this.standard.canvas;
+    const area = this.page.area;
+    const width = this.paperWidth;
+    const height = this.page.getPageHeight(
+      Math.max(this.y, this.canvas.rows.length)
+    );
+    const top = this.standard.y + area.y;
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (this.canvas.getPixel(x, y)) {
+          const [px, py] = this.page.toPrintPoint(x, y, width, height);
+          target.setPixel(area.x + px, top + py, true);
+        }
+      }
+    }
+
+    this.standard.y = top + this.page.getPrintSize(width, height).height;
+    target.ensureHeight(this.standard.y);
+  }
+
+  /**
+   * 返回标准模式，未打印的页面数据被丢弃
+   */
+  endPage() {
+    this.canvas = this.standard.canvas;
+    this.paperWidth = this.standard.paperWidth;
+    this.y = this.standard.y;
+    this.standard = null;
+    this.glyphs = [];
+    this.lineWidth = 0;
+    this.page.active = false;
+  }
+
+  /**
+   * 根据对齐方式计算起始横坐标
+   * @param {number} width - 内容宽度
+   * @returns {number} 起始横坐标
+   */
+  getAlignedX(width) {
+    switch (this.state.align) {
+      case ALIGN_TYPE.CENTER:
+        return Math.max(0, Math.floor((this.paperWidth - width) / 2));
+      case ALIGN_TYPE.RIGHT:
+        return Math.max(0, this.paperWidth - width);
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * 绘制一个字形，按单元格尺寸缩放并应用加粗、下划线、反白
+   * @param {Object} entry - 行缓冲区中的字形条目
+   * @param {number} x - 左上角横坐标
+   * @param {number} y - 左上角纵坐标
+   */
+  drawGlyph(entry, x, y) {
+    const { glyph, width, height, style } = entry;
+    const ink = !style.inverse;
+
+    if (style.inverse) {
+      this.canvas.fillRect(x, y, entry.advance, height, true);
+    }
+
+    for (let dy = 0; dy < height; dy++) {
+      const row = glyph.rows[Math.floor((dy * GLYPH_HEIGHT) / height)];
+      for (let dx = 0; dx < width; dx++) {
+        const sx = Math.floor((dx * glyph.width) / width);
+        if (row & (1 << (glyph.bits - 1 - sx))) {
+          this.canvas.setPixel(x + dx, y + dy, ink);
+          // 加粗: 向右多打一点
+          if (style.bold) {
+            this.canvas.setPixel(x + dx + 1, y + dy, ink);
+          }
+        }
+      }
+    }
+
+    if (style.underline) {
+      const thickness = style.underline >= 2 ? 2 : 1;
+      this.canvas.fillRect(
+        x,
+        y + height - thickness,
+        entry.advance,
+        thickness,
+        ink
+      );
+    }
+  }
+
+  /**
+   * 绘制位图
+   * @param {Object} item - 图像项目
+   */
+  drawImage(item) {
+    if (this.glyphs.length > 0) {
+      this.printLine(1);
+    }
+
+    const bitmap = toBuffer(item.bitmap);
+    const scaleX = item.scaleX || 1;
+    const scaleY = item.scaleY || 1;
+    const widthBytes = item.widthBytes || Math.ceil(item.width / 8);
+    const left = this.getAlignedX(item.width * scaleX);
+
+    for (let sy = 0; sy < item.height; sy++) {
+      for (let sx = 0; sx < item.width; sx++) {
+        const byte = bitmap[sy * widthBytes + (sx >> 3)];
+        if (byte & (0x80 >> (sx & 7))) {
+          this.canvas.fillRect(
+            left + sx * scaleX,
+            this.y + sy * scaleY,
+            scaleX,
+            scaleY
+          );
+        }
+      }
+    }
+
+    this.y += item.height * scaleY;
+    this.canvas.ensureHeight(this.y);
+  }
+
+  /**
+   * 绘制条码占位图形: 按模块宽度交替绘制竖条，并打印 HRI 文本
+   * @param {Object} item - 条码项目
+   */
+  drawBarcode(item) {
+    if (this.glyphs.length > 0) {
+      this.printLine(1);
+    }
+
+    const moduleWidth = item.moduleWidth || 2;
+    const width = Math.min(
+      this.paperWidth,
+      (item.text.length + 3) * 11 * moduleWidth
+    );
+    const showAbove =
+      item.hriPosition === 'above' || item.hriPosition === 'both';
+    const showBelow =
+      item.hriPosition === 'below' || item.hriPosition === 'both';
+
+    if (showAbove) this.printHri(item.text);
+
+    const left = this.getAlignedX(width);
+    const pattern = Buffer.from(item.data || item.text, 'latin1');
+    for (let x = 0, i = 0; x < width; i++) {
+      // 由数据字节决定条宽，保证相同数据渲染结果一致
+      const bar = ((pattern[i % pattern.length] >> i % 3) & 0x03) + 1;
+      if (i % 2 === 0) {
+        this.canvas.fillRect(
+          left + x,
+          this.y,
+          Math.min(bar * moduleWidth, width - x),
+          item.height
+        );
+      }
+      x += bar * moduleWidth;
+    }
+    this.y += item.height;
+    this.canvas.ensureHeight(this.y);
+
+    if (showBelow) this.printHri(item.text);
+  }
+
+  /**
+   * 打印条码的 HRI 字符
+   * @param {string} text - HRI 文本
+   */
+  printHri(text) {
+    for (const char of text) {
+      this.addChar(char);
+    }
+    this.printLine(1);
+  }
+
+  /**
+   * 绘制二维码占位图形: 带定位图案的方框
+   * @param {Object} item - 二维码项目
+   */
+  drawSymbol(item) {
+    if (this.glyphs.length > 0) {
+      this.printLine(1);
+    }
+
+    const module = item.moduleSize || 3;
+    const size = Math.min(this.paperWidth, module * 25);
+    const left = this.getAlignedX(size);
+    const finder = module * 7;
+
+    this.canvas.fillRect(left, this.y, size, module);
+    this.canvas.fillRect(left, this.y + size - module, size, module);
+    this.canvas.fillRect(left, this.y, module, size);
+    this.canvas.fillRect(left + size - module, this.y, module, size);
+    for (const [fx, fy] of [
+      [0, 0],
+      [size - finder, 0],
+      [0, size - finder],
+    ]) {
+      this.canvas.fillRect(left + fx, this.y + fy, finder, finder);
+      this.canvas.fillRect(
+        left + fx + module,
+        this.y + fy + module,
+        finder - module * 2,
+        finder - module * 2,
+        false
+      );
+      this.canvas.fillRect(
+        left + fx + module * 2,
+        this.y + fy + module * 2,
+        finder - module * 4,
+        finder - module * 4
+      );
+    }
+
+    this.y += size;
+    this.canvas.ensureHeight(this.y);
+  }
+
+  /**
+   * 绘制切纸位置的虚线
+   */
+  drawCutLine() {
+    this.y += CUT_MARGIN;
+    for (let x = 0; x < this.paperWidth; x += 8) {
+      this.canvas.fillRect(x, this.y, 4, 1);
+    }
+    this.y += CUT_MARGIN;
+    this.canvas.ensureHeight(this.y);
+  }
+}
+
+module.exports = {
+  renderRaster,
+  renderPng,
+  RasterRenderer,
+  DEFAULT_PAPER_WIDTH,
+};
@@ -0,0 +1,164 @@
+/**
+ * 小票查询接口
+ * 在解析结果与文本格式化的行结构之上提供按文本、指令、图像、条码、切纸查询的方法，
+ * 便于在测试中直接断言某一行的样式与位置，而不必匹配格式化后的整段文本
+ */
+
+const { parseBuffer, TextFormatter, DEFAULT_ENCODING } = require('./parser');
+
+/**
+ * 分析打印数据
+ * @param {Buffer|Array} input - 数据缓冲区，或已有的解析结果数组
+ * @param {Object} options - 选项
+ * @param {string} options.encoding - 文本编码格式，默认 'utf8'
+ * @param {string|Object} options.profile - 打印机型号，决定行宽与换行
+ * @param {number} options.lineWidth - 行宽，默认为型号字体A的每行字符数
+ * @returns {Receipt} 小票对象
+ * @throws {Error} 当输入无效时抛出错误
+ */
+function analyze(input, options = {}) {
+  let items;
+  if (Array.isArray(input)) {
+    items = input;
+  } else if (Buffer.isBuffer(input)) {
+    items = parseBuffer(input, options.encoding || DEFAULT_ENCODING);
+  } else {
+    throw new Error('输入必须是 Buffer 或解析结果数组');
+  }
+
+  const formatter = new TextFormatter(options);
+  formatter.format(items);
+
+  return new Receipt(items, formatter.lineRecords);
+}
+
+/**
+ * 小票类
+ * 每个文本行包含原文 text、格式化后的 formatted、该行第一段文本打印时的样式 style，
+ * 以及开始该行的项目位置 offset 与结束该行的项目位置 end；
+ * 页模式中的行为旋转前逻辑页面上的行
+ */
+class Receipt {
+  /**
+   * @param {Array} items - 解析结果数组
+   * @param {Array} lines - 文本行数组
+   */
+  constructor(items, lines) {
+    this.items = items;
+    this.textLines = lines;
+  }
+
+  /**
+   * 获取全部文本行
+   * @returns {Array} 文本行数组
+   */
+  lines() {
+    return this.textLines.slice();
+  }
+
+  /**
+   * 查找包含指定文本的行
+   * @param {string|RegExp} pattern - 文本或正则表达式
+   * @returns {Array} 匹配的文本行数组
+   */
+  findText(pattern) {
+    return this.textLines.filter((line) => matches(line.text, pattern));
+  }
+
+  /**
+   * 获取指令项目
+   * @param {string} name - 指令名称（如 'CUT_PAPER'），不指定时返回全部指令
+   * @returns {Array} 指令项目数组
+   */
+  commands(name) {
+    return this.items.filter(
+      (item) => item.type === 'command' && (!name || item.command === name)
+    );
+  }
+
+  /**
+   * 获取图像项目
+   * @returns {Array} 图像项目数组
+   */
+  images() {
+    return this.items.filter((item) => item.type === 'image');
+  }
+
+  /**
+   * 获取条码项目
+   * @returns {Array} 条码项目数组
+   */
+  barcodes() {
+    return this.items.filter((item) => item.type === 'barcode');
+  }
+
+  /**
+   * 获取二维码项目
+   * @returns {Array} 二维码项目数组
+   */
+  symbols() {
+    return this.items.filter((item) => item.type === 'symbol');
+  }
+
+  /**
+   * 获取切纸指令
+   * @returns {Array} 切纸指令项目数组
+   */
+  cuts() {
+    return this.commands('CUT_PAPER');
+  }
+
+  /**
+   * 截取两行之间的部分（不含这两行）
+   * @param {string|RegExp} betweenText - 起始行的文本或正则表达式
+   * @param {string|RegExp} andText - 结束行的文本或正则表达式，未指定或未找到时截取到末尾
+   * @returns {Receipt} 包含该部分的项目与文本行的小票对象
+   * @throws {Error} 当起始行不存在时抛出错误
+   */
+  section(betweenText, andText) {
+    const start = this.textLines.findIndex((line) =>
+      matches(line.text, betweenText)
+    );
+    if (start === -1) {
+      throw new Error(`未找到起始行: ${betweenText}`);
+    }
+
+    let end =
+      andText === undefined
+        ? -1
+        : this.textLines.findIndex(
+            (line, index) => index > start && matches(line.text, andText)
+          );
+    if (end === -1) {
+      end = this.textLines.length;
+    }
+
+    const from = this.textLines[start].end;
+    const to = end < this.textLines.length ? this.textLines[end].offset : null;
+    const items = this.items.filter(
+      (item) => item.offset > from && (to === null || item.offset < to)
+    );
+
+    return new Receipt(items, this.textLines.slice(start + 1, end));
+  }
+}
+
+/**
+ * 判断文本是否匹配
+ * 全局或粘性正则表达式每次从行首匹配，不受上一行的 lastIndex 影响
+ * @param {string} text - 文本
+ * @param {string|RegExp} pattern - 文本或正则表达式
+ * @returns {boolean}
+ */
+function matches(text, pattern) {
+  if (pattern instanceof RegExp) {
+    pattern.lastIndex = 0;
+    return pattern.test(text);
+  }
+  return text.includes(String(pattern));
+}
+
+module.exports = {
+  analyze,
+  Receipt,
+};
@@ -0,0 +1,221 @@
+/**
+ * 打印机状态模拟器
+ * 接收打印数据并按照 ESC/POS 规范返回实时状态 (DLE EOT)、
+ * 自动状态返回 (GS a) 等应答字节，可代替真实打印机测试驱动程序
+ */
+
+const { createParser } = require('./parser');
+
+// 状态字节中固定为 1 的位（bit1、bit4）
+const STATUS_FIXED_BITS = 0x12;
+
+// 清除缓冲区 (DLE DC4 8) 后的应答
+const CLEAR_BUFFER_RESPONSE = [0x37, 0x25, 0x00];
+
+// 默认状态
+const DEFAULT_STATE = {
+  coverOpen: false,
+  paperNearEnd: false,
+  paperEnd: false,
+  drawerOpen: false,
+  feedButton: false,
+  recoverableError: false,
+  autocutterError: false,
+  unrecoverableError: false,
+  autoRecoverableError: false,
+};
+
+/**
+ * 打印机模拟器类
+ */
+class PrinterSimulator {
+  /**
+   * @param {Object} options - 选项
+   * @param {Object} options.state - 初始状态，覆盖 DEFAULT_STATE 中的字段
+   * @param {string} options.encoding - 文本编码格式，默认 'gbk'
+   */
+  constructor(options = {}) {
+    this.state = { ...DEFAULT_STATE, ...options.state };
+    this.parser = createParser(options.encoding || 'gbk');
+    this.asb = 0;
+  }
+
+  /**
+   * 写入打印数据
+   * @param {Buffer} chunk - 数据块
+   * @returns {Buffer} 打印机返回的应答字节
+   */
+  write(chunk) {
+    return this.receive(this.parser.push(chunk));
+  }
+
+  /**
+   * 接收已解析的项目
+   * 调用方已自行解析数据时（如打印代理）使用，避免重复解析
+   * @param {Array} items - 解析项目
+   * @returns {Buffer} 打印机返回的应答字节
+   */
+  receive(items) {
+    const responses = [];
+
+    for (const item of items) {
+      responses.push(...this.respond(item));
+    }
+
+    return Buffer.from(responses);
+  }
+
+  /**
+   * 修改打印机状态
+   * 开启自动状态返回时，状态变化会产生 ASB 应答
+   * @param {Object} changes - 要修改的状态字段
+   * @returns {Buffer} 自动状态返回的应答字节
+   */
+  setState(changes) {
+    const before = this.getAutoStatus();
+    this.state = { ...this.state, ...changes };
+    const after = this.getAutoStatus();
+
+    if (this.asb && !after.equals(before)) {
+      return after;
+    }
+    return Buffer.alloc(0);
+  }
+
+  /**
+   * 生成单个项目的应答
+   * @param {Object} item - 解析项目
+   * @returns {Array} 应答字节
+   */
+  respond(item) {
+    switch (item.command) {
+      case 'REALTIME_STATUS':
+        return item.status ? [this.getStatus(item.value)] : [];
+
+      case 'REALTIME_REQUEST':
+        // 从可恢复错误中恢复
+        if (item.value === 1 || item.value === 2) {
+          this.state.recoverableError = false;
+          this.state.autocutterError = false;
+        }
+        return [];
+
+      case 'REALTIME_FUNCTION':
+        if (item.fn === 8) {
+          return CLEAR_BUFFER_RESPONSE;
+        }
+        if (item.fn === 7 && item.parameters[0] === 1) {
+          return Array.from(this.getAutoStatus());
+        }
+        return [];
+
+      case 'AUTO_STATUS_BACK':
+        this.asb = item.value;
+        // 开启时立即返回一次当前状态
+        return this.asb ? Array.from(this.getAutoStatus()) : [];
+
+      case 'INITIALIZE':
+        this.asb = 0;
+        return [];
+
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * 是否处于脱机状态
+   * @returns {boolean}
+   */
+  isOffline() {
+    const state = this.state;
+    return (
+      state.coverOpen || state.paperEnd || state.feedButton || this.hasError()
+    );
+  }
+
+  /**
+   * 是否发生错误
+   * @returns {boolean}
+   */
+  hasError() {
+    const state = this.state;
+    return (
+      state.recoverableError ||
+      state.autocutterError ||
+      state.unrecoverableError ||
+      state.autoRecoverableError
+    );
+  }
+
+  /**
+   * 获取 DLE EOT n 返回的状态字节
+   * @param {number} n - 状态类型（1~4）
+   * @returns {number} 状态字节
+   */
+  getStatus(n) {
+    const state = this.state;
+    let status = STATUS_FIXED_BITS;
+
+    switch (n) {
+      case 1:
+        if (state.drawerOpen) status |= 0x04;
+        if (this.isOffline()) status |= 0x08;
+        if (state.feedButton) status |= 0x40;
+        break;
+
+      case 2:
+        if (state.coverOpen) status |= 0x04;
+        if (state.feedButton) status |= 0x08;
+        if (state.paperEnd) status |= 0x20;
+        if (this.hasError()) status |= 0x40;
+        break;
+
+      case 3:
+        if (state.recoverableError) status |= 0x04;
+        if (state.autocutterError) status |= 0x08;
+        if (state.unrecoverableError) status |= 0x20;
+        if (state.autoRecoverableError) status |= 0x40;
+        break;
+
+      case 4:
+        if (state.paperNearEnd) status |= 0x0c;
+        if (state.paperEnd) status |= 0x60;
+        break;
+
+      default:
+        throw new Error(`未知的状态类型: ${n}`);
+    }
+
+    return status;
+  }
+
+  /**
+   * 获取自动状态返回 (ASB) 的 4 字节状态
+   * @returns {Buffer} 状态字节
+   */
+  getAutoStatus() {
+    const state = this.state;
+    const bytes = [0x10, 0x00, 0x00, 0x00];
+
+    if (state.drawerOpen) bytes[0] |= 0x04;
+    if (this.isOffline()) bytes[0] |= 0x08;
+    if (state.coverOpen) bytes[0] |= 0x20;
+    if (state.feedButton) bytes[0] |= 0x40;
+
+    if (state.recoverableError) bytes[1] |= 0x04;
+    if (state.autocutterError) bytes[1] |= 0x08;
+    if (state.unrecoverableError) bytes[1] |= 0x20;
+    if (state.autoRecoverableError) bytes[1] |= 0x40;
+
+    if (state.paperNearEnd) bytes[2] |= 0x03;
+    if (state.paperEnd) bytes[2] |= 0x0c;
+
+    return Buffer.from(bytes);
+  }
+}
+
+module.exports = {
+  PrinterSimulator,
+  DEFAULT_STATE,
+};
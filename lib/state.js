@@ -0,0 +1,264 @@
+/**
+ * 打印机样式状态
+ * 跟踪对齐、加粗、下划线、字体大小等样式指令的效果，供各格式化器共用
+ */
+
+const { getProfile, getFontCell } = require('./profiles');
+const { LayoutState } = require('./layout');
+
+// 对齐方式枚举
+const ALIGN_TYPE = {
+  LEFT: 0,
+  CENTER: 1,
+  RIGHT: 2,
+};
+
+// 默认行间距（点）
+const DEFAULT_LINE_SPACING = 30;
+
+// 中文字符、全角字符等占2个宽度
+const CJK_CHARS_REGEX = /[\u4e00-\u9fff\uff00-\uffef]/;
+
+// 不可打印的控制字符，格式化与渲染前从文本中移除
+const CONTROL_CHARS_REGEX = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x9f]/g;
+
+/**
+ * 打印机样式状态类
+ */
+class PrinterState {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * 恢复为打印机初始化后的默认样式
+   */
+  reset() {
+    this.align = ALIGN_TYPE.LEFT;
+    this.bold = false;
+    this.underline = 0;
+    this.widthScale = 1;
+    this.heightScale = 1;
+    this.inverse = false;
+    this.font = 'A';
+    this.lineSpacing = DEFAULT_LINE_SPACING;
+    this.charSpacing = 0;
+    this.kanjiUnderline = 0;
+    this.kanjiWidthScale = 1;
+    this.kanjiHeightScale = 1;
+    this.doubleStrike = false;
+    this.upsideDown = false;
+    this.rotation = 0;
+    this.color = 'black';
+    this.smoothing = false;
+  }
+
+  /**
+   * 应用一个指令项目
+   * @param {Object} item - 指令项目
+   * @returns {boolean} 该指令是否为样式指令
+   */
+  apply(item) {
+    switch (item.command) {
+      case 'INITIALIZE':
+        this.reset();
+        return true;
+
+      case 'ALIGN':
+        // 参数可以是 0~2 或 ASCII 的 '0'~'2'
+        this.align = (item.value || 0) % 48;
+        if (this.align > ALIGN_TYPE.RIGHT) {
+          this.align = ALIGN_TYPE.LEFT;
+        }
+        return true;
+
+      case 'BOLD':
+        this.bold = (item.value & 0x01) === 1;
+        return true;
+
+      case 'UNDERLINE':
+        this.underline = (item.value || 0) % 48;
+        return true;
+
+      case 'PRINT_MODE':
+        this.font = item.font;
+        this.bold = item.bold;
+        this.widthScale = item.doubleWidth ? 2 : 1;
+        this.heightScale = item.doubleHeight ? 2 : 1;
+        this.underline = item.underline ? 1 : 0;
+        return true;
+
+      case 'FONT_SIZE':
+        this.widthScale = item.width;
+        this.heightScale = item.height;
+        return true;
+
+      case 'INVERSE':
+        this.inverse = (item.value & 0x01) === 1;
+        return true;
+
+      case 'FONT_SELECT':
+        this.font = item.font;
+        return true;
+
+      case 'DOUBLE_STRIKE':
+        this.doubleStrike = item.enabled;
+        return true;
+
+      case 'UPSIDE_DOWN':
+        this.upsideDown = item.enabled;
+        return true;
+
+      case 'ROTATION':
+        this.rotation = item.rotation;
+        return true;
+
+      case 'PRINT_COLOR':
+        this.color = item.color;
+        return true;
+
+      case 'SMOOTHING':
+        this.smoothing = item.enabled;
+        return true;
+
+      case 'LINE_SPACING':
+        this.lineSpacing = item.value;
+        return true;
+
+      case 'DEFAULT_LINE_SPACING':
+        this.lineSpacing = DEFAULT_LINE_SPACING;
+        return true;
+
+      case 'CHAR_SPACING':
+        this.charSpacing = item.value;
+        return true;
+
+      case 'KANJI_PRINT_MODE':
+        this.kanjiWidthScale = item.width;
+        this.kanjiHeightScale = item.height;
+        this.kanjiUnderline = item.underline;
+        return true;
+
+      case 'KANJI_UNDERLINE':
+        this.kanjiUnderline = (item.value || 0) % 48;
+        return true;
+
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 获取当前样式的快照
+   * @returns {Object} 样式对象
+   */
+  snapshot() {
+    return {
+      align: this.align,
+      bold: this.bold,
+      underline: this.underline,
+      widthScale: this.widthScale,
+      heightScale: this.heightScale,
+      inverse: this.inverse,
+      font: this.font,
+      lineSpacing: this.lineSpacing,
+      charSpacing: this.charSpacing,
+      kanjiUnderline: this.kanjiUnderline,
+      kanjiWidthScale: this.kanjiWidthScale,
+      kanjiHeightScale: this.kanjiHeightScale,
+      doubleStrike: this.doubleStrike,
+      upsideDown: this.upsideDown,
+      rotation: this.rotation,
+      color: this.color,
+      smoothing: this.smoothing,
+    };
+  }
+}
+
+/**
+ * 为每个文本项目附加打印时生效的打印机状态
+ * 样式由 PrinterState 跟踪，左边距与打印区域宽度由 LayoutState 跟踪，遇到 ESC @ 时全部恢复默认；
+ * 代码表取自文本项目实际解码时使用的代码表，按调用方指定的编码解码时为 null
+ * @param {Array} items - 解析结果数组
+ * @param {Object} options - 选项
+ * @param {string|Object} options.profile - 打印机型号，决定纸宽与移动单位的换算
+ * @returns {Array} 新的解析结果数组，文本项目带有 state 属性
+ */
+function attachState(items, options = {}) {
+  const profile = getProfile(options.profile);
+  const state = new PrinterState();
+  const layout = new LayoutState(profile.paperWidth, profile.dpi);
+
+  return items.map((item) => {
+    if (item.type === 'command') {
+      state.apply(item);
+      layout.apply(item);
+      return item;
+    }
+
+    if (item.type !== 'text') {
+      return item;
+    }
+
+    const area = layout.getPrintArea();
+    return {
+      ...item,
+      state: {
+        ...state.snapshot(),
+        codePage: item.codePage || null,
+        leftMargin: area.left,
+        printWidth: area.width,
+      },
+    };
+  });
+}
+
+/**
+ * 判断文本是否包含汉字等全角字符
+ * @param {string} text - 文本
+ * @returns {boolean}
+ */
+function hasWideChars(text) {
+  return CJK_CHARS_REGEX.test(text);
+}
+
+/**
+ * 计算文本显示宽度（以半角字符为单位）
+ * @param {string} text - 文本
+ * @returns {number} 显示宽度
+ */
+function getTextWidth(text) {
+  let width = 0;
+  for (let i = 0; i < text.length; i++) {
+    width += CJK_CHARS_REGEX.test(text[i]) ? 2 : 1;
+  }
+  return width;
+}
+
+/**
+ * 计算字符按打印机样式占用的宽度
+ * 全角字符占两个单元格，按普通倍宽与汉字倍宽中较大者放大，字符间距 (ESC SP) 同样计入倍宽
+ * @param {string} char - 字符
+ * @param {PrinterState} state - 打印机样式状态
+ * @param {Object} profile - 打印机型号
+ * @returns {number} 宽度（点）
+ */
+function getCharDots(char, state, profile) {
+  const wide = hasWideChars(char);
+  const cell = getFontCell(profile, state.font);
+  const scale = wide
+    ? Math.max(state.widthScale, state.kanjiWidthScale)
+    : state.widthScale;
+  return (cell.width * (wide ? 2 : 1) + state.charSpacing) * scale;
+}
+
+module.exports = {
+  ALIGN_TYPE,
+  DEFAULT_LINE_SPACING,
+  CONTROL_CHARS_REGEX,
+  PrinterState,
+  attachState,
+  getCharDots,
+  getTextWidth,
+  hasWideChars,
+};
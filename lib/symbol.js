@@ -0,0 +1,170 @@
+/**
+ * 二维码 (GS ( k) 相关定义
+ * GS ( k pL pH cn fn [参数] 由 cn 选择码制、fn 选择功能，
+ * 设置、存储数据、打印分多步发送，需要跨指令跟踪
+ */
+
+// 码制 cn
+const SYMBOL_TYPES = {
+  48: 'PDF417',
+  49: 'QR',
+  50: 'MaxiCode',
+  51: 'GS1 DataBar',
+  52: 'Composite',
+  53: 'Aztec',
+  54: 'DataMatrix',
+};
+
+// 常用功能 fn
+const FUNCTION_STORE = 80;
+const FUNCTION_PRINT = 81;
+const FUNCTION_SIZE_INFO = 82;
+
+const QR_MODELS = { 49: 'Model 1', 50: 'Model 2', 51: 'Micro QR' };
+const QR_ECC_LEVELS = { 48: 'L', 49: 'M', 50: 'Q', 51: 'H' };
+const MAXICODE_MODES = { 50: 2, 51: 3, 52: 4, 53: 5, 54: 6 };
+
+// 各码制的设置功能: 返回需要合并到设置中的字段及描述
+const SETTING_FUNCTIONS = {
+  // PDF417
+  48: {
+    65: (p) => ({ settings: { columns: p[0] }, text: `设置列数: ${p[0]}` }),
+    66: (p) => ({ settings: { rows: p[0] }, text: `设置行数: ${p[0]}` }),
+    67: (p) => ({
+      settings: { moduleSize: p[0] },
+      text: `设置模块宽度: ${p[0]}`,
+    }),
+    68: (p) => ({
+      settings: { rowHeight: p[0] },
+      text: `设置行高: ${p[0]}`,
+    }),
+    69: (p) => {
+      const ecc = p[0] === 48 ? `等级${p[1] - 48}` : `比例${p[1] * 10}%`;
+      return { settings: { ecc: ecc }, text: `设置纠错: ${ecc}` };
+    },
+    70: (p) => {
+      const option = p[0] === 1 ? 'truncated' : 'standard';
+      return { settings: { option: option }, text: `设置选项: ${option}` };
+    },
+  },
+
+  // QR
+  49: {
+    65: (p) => {
+      const model = QR_MODELS[p[0]] || `未知(${p[0]})`;
+      return { settings: { model: model }, text: `选择模型: ${model}` };
+    },
+    67: (p) => ({
+      settings: { moduleSize: p[0] },
+      text: `设置模块大小: ${p[0]}`,
+    }),
+    69: (p) => {
+      const ecc = QR_ECC_LEVELS[p[0]] || `未知(${p[0]})`;
+      return { settings: { ecc: ecc }, text: `设置纠错等级: ${ecc}` };
+    },
+  },
+
+  // MaxiCode
+  50: {
+    65: (p) => {
+      const mode = MAXICODE_MODES[p[0]] || p[0];
+      return { settings: { mode: mode }, text: `选择模式: ${mode}` };
+    },
+  },
+
+  // Aztec
+  53: {
+    66: (p) => {
+      const mode = p[0] === 1 ? 'compact' : 'full-range';
+      return {
+        settings: { mode: mode, layers: p[1] },
+        text: `选择模式: ${mode}, 层数 ${p[1]}`,
+      };
+    },
+    67: (p) => ({
+      settings: { moduleSize: p[0] },
+      text: `设置模块大小: ${p[0]}`,
+    }),
+    69: (p) => ({
+      settings: { ecc: `${p[0]}%` },
+      text: `设置纠错: ${p[0]}%`,
+    }),
+  },
+
+  // DataMatrix
+  54: {
+    66: (p) => {
+      const shape = p[0] === 49 ? 'rectangle' : 'square';
+      return {
+        settings: { shape: shape, columns: p[1], rows: p[2] },
+        text: `选择类型: ${shape} ${p[1]}x${p[2]}`,
+      };
+    },
+    67: (p) => ({
+      settings: { moduleSize: p[0] },
+      text: `设置模块大小: ${p[0]}`,
+    }),
+  },
+};
+
+/**
+ * 获取码制名称
+ * @param {number} cn - 码制参数
+ * @returns {string} 码制名称
+ */
+function getSymbolType(cn) {
+  return SYMBOL_TYPES[cn] || `未知(${cn})`;
+}
+
+/**
+ * 解释一个 GS ( k 功能
+ * @param {number} cn - 码制参数
+ * @param {number} fn - 功能参数
+ * @param {Array} params - fn 之后的参数字节
+ * @returns {Object} 包含 kind（setting/store/print/other）、settings、text 的对象
+ */
+function describeFunction(cn, fn, params) {
+  if (fn === FUNCTION_STORE) {
+    // 存储数据: m d1...dk（m 固定为 48）
+    const bytes = params.slice(1);
+    return {
+      kind: 'store',
+      bytes: bytes,
+      text: `存储数据 (${bytes.length} 字节)`,
+    };
+  }
+
+  if (fn === FUNCTION_PRINT) {
+    return { kind: 'print', text: '打印符号' };
+  }
+
+  if (fn === FUNCTION_SIZE_INFO) {
+    return { kind: 'other', text: '传送符号尺寸信息' };
+  }
+
+  const handlers = SETTING_FUNCTIONS[cn] || {};
+  if (handlers[fn]) {
+    return { kind: 'setting', ...handlers[fn](params) };
+  }
+
+  return { kind: 'other', text: `功能 ${fn}` };
+}
+
+/**
+ * 解码存储的符号数据
+ * 优先按 UTF-8 解码，无法解码时按 Latin-1 保留原始字节
+ * @param {Array} bytes - 数据字节
+ * @returns {string} 数据字符串
+ */
+function decodeSymbolData(bytes) {
+  const buffer = Buffer.from(bytes);
+  const text = buffer.toString('utf8');
+  return text.includes('\ufffd') ? buffer.toString('latin1') : text;
+}
+
+module.exports = {
+  SYMBOL_TYPES,
+  getSymbolType,
+  describeFunction,
+  decodeSymbolData,
+};
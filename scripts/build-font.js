@@ -0,0 +1,371 @@
+#!/usr/bin/env node
+
+/**
+ * 点阵字体生成脚本
+ * 从 TrueType 像素字体（WOFF 格式）中栅格化 ASCII、GB2312 等字符，
+ * 生成 lib/fonts 下的点阵字体文件，供光栅渲染器使用
+ *
+ * 用法: node scripts/build-font.js <字体.woff> [输出文件]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const iconv = require('iconv-lite');
+
+// 字体像素尺寸（字符单元高度）
+const PIXEL_SIZE = 12;
+
+// 除 GB2312 外需要收录的 Unicode 区段
+const EXTRA_RANGES = [
+  [0x0020, 0x007e], // ASCII
+  [0x00a0, 0x017f], // 拉丁字母补充、扩展A
+  [0x0192, 0x0192],
+  [0x0370, 0x03ff], // 希腊字母
+  [0x0400, 0x04ff], // 西里尔字母
+  [0x2000, 0x206f], // 通用标点
+  [0x20a0, 0x20bf], // 货币符号
+  [0x2190, 0x21ff], // 箭头
+  [0x2200, 0x22ff], // 数学运算符
+  [0x2500, 0x25ff], // 制表符、方块元素、几何图形
+  [0x3000, 0x303f], // 中日韩符号和标点
+  [0xff01, 0xffef], // 半角及全角字符
+];
+
+/**
+ * 读取 WOFF 文件中的所有表
+ * @param {string} file - 文件路径
+ * @returns {Object} 表名到数据的映射
+ */
+function readWoff(file) {
+  const buffer = fs.readFileSync(file);
+  if (buffer.toString('ascii', 0, 4) !== 'wOFF') {
+    throw new Error('仅支持 WOFF 格式的字体文件');
+  }
+
+  const tables = {};
+  const count = buffer.readUInt16BE(12);
+  for (let i = 0; i < count; i++) {
+    const entry = 44 + i * 20;
+    const tag = buffer.toString('ascii', entry, entry + 4);
+    const offset = buffer.readUInt32BE(entry + 4);
+    const compLength = buffer.readUInt32BE(entry + 8);
+    const origLength = buffer.readUInt32BE(entry + 12);
+    let data = buffer.slice(offset, offset + compLength);
+    if (compLength !== origLength) {
+      data = zlib.inflateSync(data);
+    }
+    tables[tag] = data;
+  }
+  return tables;
+}
+
+/**
+ * 解析 cmap 表（格式 4 与格式 12）
+ * @param {Buffer} cmap - cmap 表数据
+ * @returns {Map} 码位到字形索引的映射
+ */
+function parseCmap(cmap) {
+  const map = new Map();
+  const count = cmap.readUInt16BE(2);
+
+  for (let i = 0; i < count; i++) {
+    const offset = cmap.readUInt32BE(4 + i * 8 + 4);
+    const format = cmap.readUInt16BE(offset);
+
+    if (format === 12) {
+      const groups = cmap.readUInt32BE(offset + 12);
+      for (let g = 0; g < groups; g++) {
+        const o = offset + 16 + g * 12;
+        const start = cmap.readUInt32BE(o);
+        const end = cmap.readUInt32BE(o + 4);
+        const glyph = cmap.readUInt32BE(o + 8);
+        for (let c = start; c <= end; c++) {
+          map.set(c, glyph + c - start);
+        }
+      }
+    } else if (format === 4 && map.size === 0) {
+      const segX2 = cmap.readUInt16BE(offset + 6);
+      const ends = offset + 14;
+      const starts = ends + segX2 + 2;
+      const deltas = starts + segX2;
+      const rangeOffsets = deltas + segX2;
+      for (let s = 0; s < segX2; s += 2) {
+        const end = cmap.readUInt16BE(ends + s);
+        const start = cmap.readUInt16BE(starts + s);
+        const delta = cmap.readInt16BE(deltas + s);
+        const rangeOffset = cmap.readUInt16BE(rangeOffsets + s);
+        for (let c = start; c <= end && c !== 0xffff; c++) {
+          let glyph;
+          if (rangeOffset === 0) {
+            glyph = (c + delta) & 0xffff;
+          } else {
+            const o = rangeOffsets + s + rangeOffset + (c - start) * 2;
+            glyph = cmap.readUInt16BE(o);
+            if (glyph !== 0) glyph = (glyph + delta) & 0xffff;
+          }
+          if (glyph !== 0) map.set(c, glyph);
+        }
+      }
+    }
+  }
+
+  return map;
+}
+
+/**
+ * 读取字形轮廓（仅直线段，像素字体不含曲线控制点以外的数据）
+ * @param {Object} tables - 字体表
+ * @param {number} glyphIndex - 字形索引
+ * @returns {Array} 轮廓数组，每个轮廓为点数组
+ */
+function readGlyph(tables, glyphIndex) {
+  const longLoca = tables.head.readInt16BE(50) === 1;
+  const loca = tables.loca;
+  const start = longLoca
+    ? loca.readUInt32BE(glyphIndex * 4)
+    : loca.readUInt16BE(glyphIndex * 2) * 2;
+  const end = longLoca
+    ? loca.readUInt32BE(glyphIndex * 4 + 4)
+    : loca.readUInt16BE(glyphIndex * 2 + 2) * 2;
+
+  if (start === end) {
+    return [];
+  }
+
+  const glyf = tables.glyf.slice(start, end);
+  const contourCount = glyf.readInt16BE(0);
+
+  if (contourCount < 0) {
+    return readCompositeGlyph(tables, glyf);
+  }
+
+  const endPoints = [];
+  for (let i = 0; i < contourCount; i++) {
+    endPoints.push(glyf.readUInt16BE(10 + i * 2));
+  }
+  const pointCount = endPoints[endPoints.length - 1] + 1;
+  const instructionLength = glyf.readUInt16BE(10 + contourCount * 2);
+  let offset = 12 + contourCount * 2 + instructionLength;
+
+  const flags = [];
+  while (flags.length < pointCount) {
+    const flag = glyf[offset++];
+    flags.push(flag);
+    if (flag & 0x08) {
+      let repeat = glyf[offset++];
+      while (repeat-- > 0) flags.push(flag);
+    }
+  }
+
+  const readCoordinates = (shortBit, sameBit) => {
+    const values = [];
+    let value = 0;
+    for (const flag of flags) {
+      if (flag & shortBit) {
+        const delta = glyf[offset++];
+        value += flag & sameBit ? delta : -delta;
+      } else if (!(flag & sameBit)) {
+        value += glyf.readInt16BE(offset);
+        offset += 2;
+      }
+      values.push(value);
+    }
+    return values;
+  };
+
+  const xs = readCoordinates(0x02, 0x10);
+  const ys = readCoordinates(0x04, 0x20);
+
+  const contours = [];
+  let first = 0;
+  for (const last of endPoints) {
+    const contour = [];
+    for (let p = first; p <= last; p++) {
+      contour.push([xs[p], ys[p]]);
+    }
+    contours.push(contour);
+    first = last + 1;
+  }
+  return contours;
+}
+
+/**
+ * 读取组合字形（只处理平移）
+ * @param {Object} tables - 字体表
+ * @param {Buffer} glyf - 字形数据
+ * @returns {Array} 轮廓数组
+ */
+function readCompositeGlyph(tables, glyf) {
+  const contours = [];
+  let offset = 10;
+  let flags;
+
+  do {
+    flags = glyf.readUInt16BE(offset);
+    const glyphIndex = glyf.readUInt16BE(offset + 2);
+    offset += 4;
+    let dx;
+    let dy;
+    if (flags & 0x01) {
+      dx = glyf.readInt16BE(offset);
+      dy = glyf.readInt16BE(offset + 2);
+      offset += 4;
+    } else {
+      dx = glyf.readInt8(offset);
+      dy = glyf.readInt8(offset + 1);
+      offset += 2;
+    }
+    if (flags & 0x08) offset += 2;
+    else if (flags & 0x40) offset += 4;
+    else if (flags & 0x80) offset += 8;
+
+    for (const contour of readGlyph(tables, glyphIndex)) {
+      contours.push(contour.map(([x, y]) => [x + dx, y + dy]));
+    }
+  } while (flags & 0x20);
+
+  return contours;
+}
+
+/**
+ * 计算点相对轮廓的环绕数（非零环绕规则）
+ * @param {Array} contours - 轮廓数组
+ * @param {number} x - 横坐标
+ * @param {number} y - 纵坐标
+ * @returns {number} 环绕数
+ */
+function windingNumber(contours, x, y) {
+  let winding = 0;
+  for (const contour of contours) {
+    for (let i = 0; i < contour.length; i++) {
+      const [x1, y1] = contour[i];
+      const [x2, y2] = contour[(i + 1) % contour.length];
+      if (y1 <= y) {
+        if (y2 > y && (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1) > 0) {
+          winding++;
+        }
+      } else if (y2 <= y && (x2 - x1) * (y - y1) - (x - x1) * (y2 - y1) < 0) {
+        winding--;
+      }
+    }
+  }
+  return winding;
+}
+
+/**
+ * 将字形栅格化为点阵
+ * @param {Object} tables - 字体表
+ * @param {number} glyphIndex - 字形索引
+ * @param {number} width - 点阵宽度（像素）
+ * @returns {Array} 每行一个整数，高位在左
+ */
+function rasterize(tables, glyphIndex, width) {
+  const unitsPerEm = tables.head.readUInt16BE(18);
+  const ascender = tables.hhea.readInt16BE(4);
+  const unit = unitsPerEm / PIXEL_SIZE;
+  const contours = readGlyph(tables, glyphIndex);
+  const rows = [];
+
+  for (let row = 0; row < PIXEL_SIZE; row++) {
+    let bits = 0;
+    const y = ascender - (row + 0.5) * unit;
+    for (let col = 0; col < width; col++) {
+      const x = (col + 0.5) * unit;
+      if (windingNumber(contours, x, y) !== 0) {
+        bits |= 1 << (width - 1 - col);
+      }
+    }
+    rows.push(bits);
+  }
+  return rows;
+}
+
+/**
+ * 获取字形横向步进宽度（像素）
+ * @param {Object} tables - 字体表
+ * @param {number} glyphIndex - 字形索引
+ * @returns {number}
+ */
+function getAdvance(tables, glyphIndex) {
+  const metricCount = tables.hhea.readUInt16BE(34);
+  const index = Math.min(glyphIndex, metricCount - 1);
+  const advance = tables.hmtx.readUInt16BE(index * 4);
+  return Math.round(advance / (tables.head.readUInt16BE(18) / PIXEL_SIZE));
+}
+
+/**
+ * 收集需要收录的字符
+ * @returns {Array} 码位数组（升序）
+ */
+function collectCodePoints() {
+  const codePoints = new Set();
+
+  for (const [start, end] of EXTRA_RANGES) {
+    for (let c = start; c <= end; c++) codePoints.add(c);
+  }
+
+  // GB2312 双字节区: 0xA1A1 ~ 0xF7FE
+  for (let lead = 0xa1; lead <= 0xf7; lead++) {
+    for (let trail = 0xa1; trail <= 0xfe; trail++) {
+      const text = iconv.decode(Buffer.from([lead, trail]), 'gb2312');
+      if (text.length === 1 && text !== '\ufffd') {
+        codePoints.add(text.codePointAt(0));
+      }
+    }
+  }
+
+  return Array.from(codePoints).sort((a, b) => a - b);
+}
+
+function main() {
+  const [input, output] = process.argv.slice(2);
+  if (!input) {
+    console.error('用法: node scripts/build-font.js <字体.woff> [输出文件]');
+    process.exit(1);
+  }
+
+  const tables = readWoff(input);
+  const cmap = parseCmap(tables.cmap);
+  const lines = [
+    `# ${PIXEL_SIZE}px 点阵字体，由 scripts/build-font.js 从 ${path.basename(
+      input
+    )} 生成`,
+    '# 每行格式: 码位:点阵，半角字符每行1字节，全角字符每行2字节，高位在左',
+  ];
+  let missing = 0;
+
+  for (const codePoint of collectCodePoints()) {
+    const glyphIndex = cmap.get(codePoint);
+    if (!glyphIndex) {
+      missing++;
+      continue;
+    }
+    const width = getAdvance(tables, glyphIndex) > PIXEL_SIZE / 2 ? 16 : 8;
+    const cellWidth = width === 16 ? PIXEL_SIZE : PIXEL_SIZE / 2;
+    const rows = rasterize(tables, glyphIndex, cellWidth);
+    const hex = rows
+      .map((bits) =>
+        (bits << (width - cellWidth))
+          .toString(16)
+          .toUpperCase()
+          .padStart(width / 4, '0')
+      )
+      .join('');
+    lines.push(
+      `${codePoint.toString(16).toUpperCase().padStart(4, '0')}:${hex}`
+    );
+  }
+
+  const target =
+    output || path.join(__dirname, '../lib/fonts/bitmap-12px.hex.gz');
+  fs.writeFileSync(
+    target,
+    zlib.gzipSync(lines.join('\n') + '\n', { level: 9 })
+  );
+  console.log(
+    `已生成 ${lines.length - 2} 个字形到 ${target}（缺失 ${missing} 个）`
+  );
+}
+
+main();
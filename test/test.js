@@ -2,8 +2,33 @@
  * ESC/POS 解析器测试用例
  */
 
-const { parseHexString, parseFile, generateReport } = require('../lib/parser');
+const {
+  parseHexString,
+  parseFile,
+  parseBuffer,
+  createParser,
+  EscPosParserStream,
+  encode,
+  generateReport,
+  encodePng,
+  extractImages,
+  formatAsText,
+  formatAsHtml,
+  formatAsHexdump,
+  renderRaster,
+  renderPng,
+  ALIGN_TYPE,
+} = require('../lib/parser');
+const { createProxy } = require('../lib/proxy');
+const { PrinterSimulator } = require('../lib/simulator');
+const { lintBuffer } = require('../lib/lint');
+const { getProfile, getColumns } = require('../lib/profiles');
+const { diffJobs, formatDiff } = require('../lib/diff');
+const { analyze } = require('../lib/receipt');
+const { extractReceipt } = require('../lib/extract');
+const iconv = require('iconv-lite');
 const fs = require('fs');
+const net = require('net');
 const path = require('path');
 
 console.log('='.repeat(50));
@@ -31,6 +56,18 @@ function testBasicFunctionality() {
       report.formattedText && report.formattedText.length > 0;
     console.log(`✓ 文本格式化${hasFormattedText ? '成功' : '失败'}`);
 
+    // 包入口导出的接口与各模块一致
+    const entry = require('../lib/parser');
+    if (
+      entry.lintBuffer !== lintBuffer ||
+      entry.diffJobs !== diffJobs ||
+      entry.analyze !== analyze ||
+      entry.extractReceipt !== extractReceipt
+    ) {
+      throw new Error('包入口导出的接口不一致');
+    }
+    console.log(`✓ 包入口导出的接口正确`);
+
     return true;
   } catch (error) {
     console.log(`✗ 基本功能测试失败: ${error.message}`);
@@ -94,23 +131,1823 @@ function testRealData() {
   }
 }
 
+// 测试用例4: 光栅位图测试
+function testRasterImage() {
+  console.log('\n测试4: 光栅位图');
+  console.log('-'.repeat(25));
+
+  try {
+    // GS v 0: 2字节宽(16点) x 2行，随后是文本 "OK"
+    const hexString = '1D7630000200020080FF01AA4F4B0A';
+    const result = parseHexString(hexString);
+    const image = result.find((item) => item.type === 'image');
+
+    if (!image || image.width !== 16 || image.height !== 2) {
+      throw new Error('未能识别 GS v 0 位图');
+    }
+    if (image.bitmap.length !== 4 || image.bitmap[1] !== 0xff) {
+      throw new Error('位图数据不正确');
+    }
+    const text = result.find((item) => item.type === 'text');
+    if (!text || text.text !== 'OK') {
+      throw new Error('位图之后的文本解析错误');
+    }
+    console.log(`✓ 位图解析成功 (${image.width}x${image.height})`);
+
+    // 导出 PNG
+    const png = encodePng(image);
+    if (png.slice(1, 4).toString('ascii') !== 'PNG') {
+      throw new Error('PNG 签名不正确');
+    }
+    console.log(`✓ PNG 编码成功 (${png.length} 字节)`);
+
+    const outputDir = path.join(__dirname, 'temp-images');
+    const files = extractImages(result, outputDir);
+    if (files.length !== 1 || !fs.existsSync(files[0])) {
+      throw new Error('图像导出失败');
+    }
+    files.forEach((file) => fs.unlinkSync(file));
+    fs.rmdirSync(outputDir);
+    console.log(`✓ 图像导出成功`);
+
+    // 0 列的 ESC * 不导出，也不创建目录
+    const empty = extractImages(parseHexString('1B2A000000'), outputDir);
+    if (empty.length !== 0 || fs.existsSync(outputDir)) {
+      throw new Error('零宽图像不应导出');
+    }
+    console.log(`✓ 零宽图像已跳过`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 光栅位图测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例5: 列格式位图测试
+function testColumnImage() {
+  console.log('\n测试5: 列格式位图');
+  console.log('-'.repeat(25));
+
+  try {
+    // 两个 8点双密度切片（3列），以换行分隔
+    const slice = '1B2A010300' + '80FF01';
+    const result = parseHexString(slice + '0A' + slice + '0A' + '4F4B');
+    const images = result.filter((item) => item.type === 'image');
+
+    if (images.length !== 1) {
+      throw new Error(`切片未合并 (${images.length} 张图像)`);
+    }
+    const image = images[0];
+    if (image.width !== 3 || image.height !== 16 || image.slices.length !== 2) {
+      throw new Error('合并后的图像尺寸不正确');
+    }
+    // 第0行: 第0、1列为黑点; 第7行: 第1、2列为黑点
+    if (image.bitmap[0] !== 0xc0 || image.bitmap[7] !== 0x60) {
+      throw new Error('列数据转换不正确');
+    }
+    if (image.scaleY !== 3 || image.scaleX !== 1) {
+      throw new Error('点密度不正确');
+    }
+    console.log(`✓ 8点切片合并成功 (${image.width}x${image.height})`);
+
+    // 24点双密度切片
+    const result24 = parseHexString('1B2A210200' + 'FF0000' + '0000FF');
+    const image24 = result24[0];
+    if (image24.height !== 24 || image24.bitmap[0] !== 0x80) {
+      throw new Error('24点位图解析错误');
+    }
+    if (image24.bitmap[23 * image24.widthBytes] !== 0x40) {
+      throw new Error('24点位图底部数据错误');
+    }
+    console.log(`✓ 24点位图解析成功 (${image24.width}x${image24.height})`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 列格式位图测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例6: 一维条码测试
+function testBarcode() {
+  console.log('\n测试6: 一维条码');
+  console.log('-'.repeat(25));
+
+  try {
+    // GS h 80, GS w 2, GS H 2, GS f 1, 然后 Code128: {B ABC {C 12 34
+    const setup = '1D6850' + '1D7702' + '1D4802' + '1D6601';
+    const code128 = '1D6B4909' + '7B42414243' + '7B430C22';
+    const result = parseHexString(setup + code128 + '0A');
+    const barcode = result.find((item) => item.type === 'barcode');
+
+    if (!barcode || barcode.symbology !== 'CODE128') {
+      throw new Error('未能识别 Code128 条码');
+    }
+    if (barcode.text !== 'ABC1234') {
+      throw new Error(`Code128 数据解码错误: ${barcode.text}`);
+    }
+    if (
+      barcode.height !== 80 ||
+      barcode.moduleWidth !== 2 ||
+      barcode.hriPosition !== 'below' ||
+      barcode.hriFont !== 'B'
+    ) {
+      throw new Error('条码设置未正确跟踪');
+    }
+    console.log(`✓ Code128 解析成功 (${barcode.text})`);
+
+    // 功能A: EAN13，以 NUL 结尾
+    const ean = Buffer.from('4901234567894', 'ascii').toString('hex');
+    const eanResult = parseHexString('1D6B02' + ean + '00' + '4F4B');
+    if (eanResult[0].symbology !== 'EAN13' || eanResult[0].function !== 'A') {
+      throw new Error('未能识别 EAN13 条码');
+    }
+    if (eanResult[1].text !== 'OK') {
+      throw new Error('条码之后的文本解析错误');
+    }
+    console.log(`✓ EAN13 解析成功 (${eanResult[0].text})`);
+
+    const text = formatAsText(result);
+    if (!text.includes('[条码 CODE128: ABC1234]')) {
+      throw new Error('格式化文本中缺少条码占位符');
+    }
+    console.log(`✓ 条码占位符输出成功`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 一维条码测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例7: 二维码测试
+function testSymbol() {
+  console.log('\n测试7: 二维码');
+  console.log('-'.repeat(25));
+
+  try {
+    const payload = 'https://pay.example.com/o/123';
+    const dataHex = Buffer.from(payload, 'ascii').toString('hex');
+    const storeLength = (payload.length + 3).toString(16).padStart(2, '0');
+    const hexString =
+      '1D286B0400314132001D286B03003143061D286B0300314531' +
+      '1D286B' +
+      storeLength +
+      '00315030' +
+      dataHex +
+      '1D286B0300315130' +
+      '4F4B';
+    const result = parseHexString(hexString);
+    const symbol = result.find((item) => item.type === 'symbol');
+
+    if (!symbol || symbol.symbolType !== 'QR') {
+      throw new Error('未能识别 QR 打印指令');
+    }
+    if (symbol.data !== payload) {
+      throw new Error(`QR 数据解码错误: ${symbol.data}`);
+    }
+    if (
+      symbol.moduleSize !== 6 ||
+      symbol.ecc !== 'M' ||
+      symbol.model !== 'Model 2'
+    ) {
+      throw new Error('QR 设置未正确跟踪');
+    }
+    const last = result[result.length - 1];
+    if (last.type !== 'text' || last.text !== 'OK') {
+      throw new Error('二维码之后的文本解析错误');
+    }
+    console.log(`✓ QR 解析成功 (${symbol.data})`);
+
+    const summary = generateReport(result).summary;
+    if (summary.symbols !== 1 || summary.commands !== 4) {
+      throw new Error('二维码统计不正确');
+    }
+    console.log(`✓ 二维码统计正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 二维码测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例8: 指令参数布局测试
+function testParamLayout() {
+  console.log('\n测试8: 指令参数布局');
+  console.log('-'.repeat(25));
+
+  try {
+    // GS V 65 n 带两个参数字节，之后的文本不应被吞掉或误读
+    const cut = parseHexString('1D56410A4F4B');
+    if (cut[0].feed !== 10 || cut[1].text !== 'OK') {
+      throw new Error('GS V 65 n 参数长度错误');
+    }
+    console.log(`✓ 双参数指令解析正确`);
+
+    // 截断的指令应返回不完整项目
+    const truncated = [
+      '4F4B1B61',
+      '1D76300002000200FF',
+      '1D6B0231323334',
+      '1D286B0A003150',
+    ];
+    truncated.forEach((hex) => {
+      const result = parseHexString(hex);
+      const last = result[result.length - 1];
+      if (last.type !== 'incomplete') {
+        throw new Error(`截断的指令未被识别: ${hex}`);
+      }
+    });
+    console.log(`✓ 截断指令识别正确 (${truncated.length} 例)`);
+
+    const summary = generateReport(parseHexString('1B401B61')).summary;
+    if (summary.incomplete !== 1 || summary.commands !== 1) {
+      throw new Error('不完整指令统计不正确');
+    }
+    console.log(`✓ 不完整指令统计正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 指令参数布局测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例9: HTML 预览测试
+function testHtmlPreview() {
+  console.log('\n测试9: HTML 预览');
+  console.log('-'.repeat(25));
+
+  try {
+    // 居中、加粗、倍宽倍高、反白、字体B，随后是位图与特殊字符
+    const hexString =
+      '1B401B61011B4501' +
+      '1D2111' +
+      '1D4201' +
+      '1B4D01' +
+      '546F74616C0A' +
+      '1D763000010001008000' +
+      '3C613E';
+    const html = formatAsHtml(parseHexString(hexString), { paperWidth: 384 });
+
+    if (!html.startsWith('<!DOCTYPE html>') || !html.includes('width:384px')) {
+      throw new Error('页面结构或纸张宽度不正确');
+    }
+    if (!html.includes('text-align:center') || !html.includes('run bold')) {
+      throw new Error('对齐或加粗未生效');
+    }
+    if (!html.includes('inverse') || !html.includes('font-size:20px')) {
+      throw new Error('反白或字体大小未生效');
+    }
+    if (!html.includes('data:image/png;base64,')) {
+      throw new Error('位图未内嵌');
+    }
+    if (!html.includes('&lt;a&gt;')) {
+      throw new Error('文本未转义');
+    }
+    console.log(`✓ HTML 预览生成成功 (${html.length} 字符)`);
+
+    // 零宽位图 (xL=xH=0) 不生成图片
+    const empty = formatAsHtml(parseHexString('1D76300000000100'));
+    if (empty.includes('<img')) {
+      throw new Error('零宽位图不应生成图片');
+    }
+    console.log('✓ 零宽位图已跳过');
+
+    return true;
+  } catch (error) {
+    console.log(`✗ HTML 预览测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例10: 光栅渲染测试
+function testRasterRender() {
+  console.log('\n测试10: 光栅渲染');
+  console.log('-'.repeat(25));
+
+  try {
+    const countPixels = (image) =>
+      image.bitmap.reduce((sum, byte) => {
+        let bits = 0;
+        for (let b = byte; b; b >>= 1) bits += b & 1;
+        return sum + bits;
+      }, 0);
+
+    // 单行 "H"，字体A: 12x24 单元格，默认行间距 30 点
+    const plain = renderRaster(parseHexString('1B40480A'));
+    if (plain.width !== 576 || plain.height !== 30) {
+      throw new Error(`画布尺寸不正确: ${plain.width}x${plain.height}`);
+    }
+    const plainPixels = countPixels(plain);
+    if (plainPixels === 0) {
+      throw new Error('未绘制任何字符');
+    }
+    console.log(`✓ 文本渲染成功 (${plainPixels} 点)`);
+
+    // 加粗应增加点数，倍高应增加行高
+    const bold = renderRaster(parseHexString('1B401B4501480A'));
+    if (countPixels(bold) <= plainPixels) {
+      throw new Error('加粗未生效');
+    }
+    const tall = renderRaster(parseHexString('1B401D2101480A'));
+    if (tall.height !== 48) {
+      throw new Error(`倍高行高不正确: ${tall.height}`);
+    }
+    console.log(`✓ 加粗、倍高渲染正确`);
+
+    // 行间距与右对齐
+    const spaced = renderRaster(
+      parseHexString('1B401B3340' + '1B6102' + '480A480A')
+    );
+    if (spaced.height !== 128) {
+      throw new Error(`行间距未生效: ${spaced.height}`);
+    }
+    // 右对齐时只有最右侧的 12 点有内容
+    for (let y = 0; y < spaced.height; y++) {
+      const row = spaced.bitmap.slice(
+        y * spaced.widthBytes,
+        (y + 1) * spaced.widthBytes - 2
+      );
+      if (row.some((byte) => byte !== 0)) {
+        throw new Error('右对齐未生效');
+      }
+    }
+    console.log(`✓ 行间距、对齐渲染正确`);
+
+    // 位图与确定性输出
+    const items = parseHexString(
+      '1B40' + '1D76300001000800' + 'FFFFFFFFFFFFFFFF'
+    );
+    const image = renderRaster(items);
+    if (image.height !== 8 || countPixels(image) !== 64) {
+      throw new Error('位图渲染不正确');
+    }
+    if (!renderPng(items).equals(renderPng(items))) {
+      throw new Error('渲染结果不确定');
+    }
+    console.log(`✓ 位图渲染正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 光栅渲染测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例11: 流式解析测试
+async function testStreamParser() {
+  console.log('\n测试11: 流式解析');
+  console.log('-'.repeat(25));
+
+  try {
+    // 包含多字节字符、带参数指令、列格式位图切片和条码的打印任务
+    const job = Buffer.concat([
+      Buffer.from('1B401B6101', 'hex'),
+      Buffer.from('中文小票 Receipt\n', 'utf8'),
+      Buffer.from('1B2A00030081FF810A1B2A000300FF81FF0A', 'hex'),
+      Buffer.from('1D6B0203313233', 'hex'),
+      Buffer.from('1D56410A', 'hex'),
+    ]);
+    const expected = summarizeItems(parseBuffer(job));
+
+    // 在每个位置切分为两块，结果应与整体解析一致（跨块的文本可能分为相邻的多个项目）
+    for (let split = 1; split < job.length; split++) {
+      const parser = createParser();
+      const items = parser
+        .push(job.slice(0, split))
+        .concat(parser.push(job.slice(split)), parser.end());
+      if (summarizeItems(items) !== expected) {
+        throw new Error(`在第 ${split} 字节处切分时结果不一致`);
+      }
+    }
+    console.log(`✓ 任意位置切分结果一致 (${job.length - 1} 例)`);
+
+    // 完整的项目应立即输出，不完整的指令等待后续数据
+    const parser = createParser();
+    const first = parser.push(Buffer.from('1B40', 'hex'));
+    const waiting = parser.push(Buffer.from('1D7630000100', 'hex'));
+    if (first.length !== 1 || waiting.length !== 0) {
+      throw new Error('项目输出时机不正确');
+    }
+    const last = parser.end();
+    if (last.length !== 1 || last[0].type !== 'incomplete') {
+      throw new Error('结束时未输出不完整指令');
+    }
+    console.log(`✓ 项目输出时机正确`);
+
+    // GBK 双字节字符跨块
+    const gbk = createParser('gbk');
+    const text = gbk
+      .push(Buffer.from('D6D0CE', 'hex'))
+      .concat(gbk.push(Buffer.from('C40A', 'hex')), gbk.end());
+    if (text.map((item) => item.text).join('') !== '中文\n') {
+      throw new Error('GBK 字符跨块解析错误');
+    }
+    console.log(`✓ GBK 字符跨块解析正确`);
+
+    // Transform 流逐字节写入
+    const stream = new EscPosParserStream();
+    const streamed = [];
+    stream.on('data', (item) => streamed.push(item));
+    const done = new Promise((resolve, reject) => {
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+    for (let i = 0; i < job.length; i++) {
+      stream.write(job.slice(i, i + 1));
+    }
+    stream.end();
+    await done;
+    if (summarizeItems(streamed) !== expected) {
+      throw new Error('流式解析结果不一致');
+    }
+    console.log(`✓ Transform 流解析正确 (${streamed.length} 个项目)`);
+
+    // 没有换行的长文本逐块输出，缓存的数据不随文本长度增长
+    const long = createParser('gbk');
+    const chunk = Buffer.from('D041D6', 'hex');
+    let count = long.push(Buffer.from('D6', 'hex')).length;
+    let maxPending = 0;
+    for (let i = 0; i < 2000; i++) {
+      count += long.push(chunk).length;
+      maxPending = Math.max(maxPending, long.pending.length);
+    }
+    count += long.end().length;
+    if (maxPending > 1 || count < 2000) {
+      throw new Error(`长文本缓存未受限制: ${maxPending} 字节`);
+    }
+    console.log(`✓ 长文本逐块输出，缓存不超过 ${maxPending} 字节`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 流式解析测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例12: 打印代理测试
+async function testProxy() {
+  console.log('\n测试12: 打印代理');
+  console.log('-'.repeat(25));
+
+  const servers = [];
+  const sockets = [];
+  const saveDir = path.join(__dirname, 'temp-jobs');
+
+  try {
+    // 本地服务器充当真实打印机，记录收到的数据并回复状态字节
+    const received = [];
+    const printer = net.createServer((socket) => {
+      sockets.push(socket);
+      socket.on('data', (data) => {
+        received.push(data);
+        socket.write(Buffer.from([0x16]));
+      });
+      socket.on('end', () => socket.end());
+    });
+    servers.push(printer);
+    await listen(printer);
+
+    const proxy = createProxy({
+      upstream: `127.0.0.1:${printer.address().port}`,
+      saveDir: saveDir,
+      log: () => {},
+    });
+    servers.push(proxy);
+    await listen(proxy);
+
+    const jobDone = new Promise((resolve) => proxy.once('job', resolve));
+    const job = Buffer.from('1B40D6D0CEC40A1D5600', 'hex');
+    const replies = await new Promise((resolve, reject) => {
+      const chunks = [];
+      const client = net.connect(proxy.address().port, '127.0.0.1', () => {
+        // 分两块发送，指令跨块
+        client.write(job.slice(0, 3));
+        setTimeout(() => client.end(job.slice(3)), 20);
+      });
+      client.on('data', (data) => chunks.push(data));
+      client.on('close', () => resolve(Buffer.concat(chunks)));
+      client.on('error', reject);
+    });
+    const result = await jobDone;
+
+    if (!Buffer.concat(received).equals(job)) {
+      throw new Error('转发到打印机的数据不一致');
+    }
+    if (replies.length === 0 || replies[0] !== 0x16) {
+      throw new Error('打印机回复未转发给客户端');
+    }
+    console.log(`✓ 数据与回复转发正确`);
+
+    const texts = result.items.filter((item) => item.type === 'text');
+    if (texts[0].text !== '中文' || result.report.summary.commands !== 2) {
+      throw new Error('任务解析结果不正确');
+    }
+    if (!fs.readFileSync(result.file).equals(job)) {
+      throw new Error('任务文件保存不正确');
+    }
+    console.log(`✓ 任务解析与保存正确 (${result.items.length} 个项目)`);
+
+    // 客户端中途断开时关闭到打印机的连接
+    const upstreamClosed = new Promise((resolve) =>
+      printer.once('connection', (socket) => socket.on('close', resolve))
+    );
+    const aborted = net.connect(proxy.address().port, '127.0.0.1', () => {
+      aborted.write(Buffer.from('1B40', 'hex'));
+      setTimeout(() => aborted.destroy(), 20);
+    });
+    aborted.on('error', () => {});
+    const timeout = new Promise((resolve) =>
+      setTimeout(() => resolve('timeout'), 2000)
+    );
+    if ((await Promise.race([upstreamClosed, timeout])) === 'timeout') {
+      throw new Error('客户端断开后未关闭打印机连接');
+    }
+    console.log(`✓ 客户端断开后关闭打印机连接`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 打印代理测试失败: ${error.message}`);
+    return false;
+  } finally {
+    servers.forEach((server) => server.close());
+    sockets.forEach((socket) => socket.destroy());
+    if (fs.existsSync(saveDir)) {
+      fs.readdirSync(saveDir).forEach((file) =>
+        fs.unlinkSync(path.join(saveDir, file))
+      );
+      fs.rmdirSync(saveDir);
+    }
+  }
+}
+
+/**
+ * 汇总解析结果：相邻的文本项目合并后与其他项目一起序列化
+ * @param {Array} items - 解析结果数组
+ * @returns {string} 汇总字符串
+ */
+function summarizeItems(items) {
+  const merged = [];
+  for (const item of items) {
+    const last = merged[merged.length - 1];
+    if (
+      item.type === 'text' &&
+      item.text !== '\n' &&
+      last &&
+      last.type === 'text' &&
+      last.text !== '\n'
+    ) {
+      last.text += item.text;
+      last.length += item.length;
+    } else {
+      merged.push(
+        item.type === 'text'
+          ? {
+              type: 'text',
+              text: item.text,
+              offset: item.offset,
+              length: item.length,
+            }
+          : item
+      );
+    }
+  }
+  return JSON.stringify(merged);
+}
+
+/**
+ * 在随机端口上启动服务器
+ * @param {net.Server} server - 服务器对象
+ * @returns {Promise} 开始监听后完成
+ */
+function listen(server) {
+  return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+}
+
+// 测试用例13: 编码往返测试
+function testEncode() {
+  console.log('\n测试13: 编码往返');
+  console.log('-'.repeat(25));
+
+  try {
+    // 覆盖各类参数布局的打印任务
+    const job = Buffer.from(
+      '1B40' +
+        '1B6101' +
+        '1B4501' +
+        '1D2111' +
+        '1D42FF' +
+        '1B4D31' +
+        'D6D0CEC40D0A' +
+        '1D7630000100020081FF' +
+        '1B2A00030081FF810A1B2A000300FF81FF0A' +
+        '1D6801' +
+        '1D6B0231323300' +
+        '1D6B4903313233' +
+        '1D286B0300314306' +
+        '1D286B0600315030414243' +
+        '1D286B0300315130' +
+        '1B6403' +
+        '1D56410A' +
+        '1B61',
+      'hex'
+    );
+
+    const items = parseBuffer(job, 'gbk');
+    if (!encode(items).equals(job)) {
+      throw new Error('编码结果与原始数据不一致');
+    }
+    const fromJson = JSON.parse(JSON.stringify(items));
+    if (!encode(fromJson).equals(job)) {
+      throw new Error('JSON 往返后编码结果不一致');
+    }
+    console.log(`✓ 往返编码一致 (${job.length} 字节)`);
+
+    // 修改文本后按指定编码重新编码
+    const edited = parseBuffer(Buffer.from('1B40D6D0CEC40A', 'hex'), 'gbk');
+    edited[1].text = '价格: 12元';
+    const reparsed = parseBuffer(encode(edited, { encoding: 'gbk' }), 'gbk');
+    if (reparsed[1].text !== '价格: 12元') {
+      throw new Error('修改后的文本编码不正确');
+    }
+    console.log(`✓ 修改文本后编码正确`);
+
+    // 无效的参数值
+    let failed = false;
+    try {
+      encode([{ type: 'command', command: 'ALIGN', value: 300 }]);
+    } catch (error) {
+      failed = true;
+    }
+    if (!failed) {
+      throw new Error('未检测到无效的参数值');
+    }
+    console.log(`✓ 无效参数检测正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 编码往返测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例14: 字符代码表测试
+function testCodePage() {
+  console.log('\n测试14: 字符代码表');
+  console.log('-'.repeat(25));
+
+  try {
+    // ESC t 19 (PC858) 后的欧元符号与重音字符
+    const euro = parseHexString('1B7413' + '3130D5208A0A', 'gbk');
+    const text = euro.find((item) => item.type === 'text');
+    if (text.text !== '10€ è' || text.codePage !== 'PC858') {
+      throw new Error(`PC858 解码错误: ${text.text}`);
+    }
+    console.log(`✓ PC858 解码正确: ${text.text}`);
+
+    // 国际字符集替换 ASCII 字符，代码表之间切换
+    const items = parseHexString(
+      '1B52017B400A' + '1B7401B1B2B30A' + '1B7411' + '8FE0',
+      'gbk'
+    );
+    const texts = items
+      .filter((item) => item.type === 'text' && item.text !== '\n')
+      .map((item) => item.text);
+    if (texts.join('|') !== 'éà|ｱｲｳ|Пр') {
+      throw new Error(`字符集解码错误: ${texts.join('|')}`);
+    }
+    console.log(`✓ 国际字符集与代码表切换正确`);
+
+    // 选择默认代码表 (ESC t 0) 时，调用方指定的多字节编码不被代码表替换
+    const chinese = parseHexString(
+      '1B401B7400' + iconv.encode('合计 12.00', 'gbk').toString('hex'),
+      'gbk'
+    );
+    if (chinese[2].text !== '合计 12.00' || chinese[2].codePage) {
+      throw new Error(`多字节编码被代码表替换: ${chinese[2].text}`);
+    }
+    console.log(`✓ 选择默认代码表时保持多字节编码`);
+
+    // 初始化后恢复为指定的编码
+    const reset = parseHexString('1B74131B40D6D0CEC4', 'gbk');
+    if (reset[2].text !== '中文' || reset[2].codePage) {
+      throw new Error('初始化后未恢复默认编码');
+    }
+    console.log(`✓ 初始化后恢复默认编码`);
+
+    // 修改后按原代码表重新编码
+    const job = Buffer.from('1B74131B5201D5400A', 'hex');
+    const parsed = parseBuffer(job, 'gbk');
+    if (!encode(parsed).equals(job)) {
+      throw new Error('代码表文本往返编码不一致');
+    }
+    parsed[2].text = 'à€';
+    if (encode(parsed).toString('hex') !== '1b74131b520140d50a') {
+      throw new Error('代码表文本重新编码错误');
+    }
+    console.log(`✓ 代码表文本编码正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 字符代码表测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例15: 汉字模式测试
+function testKanjiMode() {
+  console.log('\n测试15: 汉字模式');
+  console.log('-'.repeat(25));
+
+  try {
+    // FS & 进入汉字模式按双字节解码，FS . 退出后按代码表解码
+    const items = parseHexString('1C26D6D0CEC4' + '1C2E' + '41D50A', 'gbk');
+    const texts = items.filter((item) => item.type === 'text');
+    if (texts[0].text !== '中文' || texts[1].text !== 'A╒') {
+      throw new Error(`汉字模式切换错误: ${texts[1].text}`);
+    }
+    if (texts[1].codePage !== 'PC437') {
+      throw new Error('退出汉字模式后未按代码表解码');
+    }
+    console.log(`✓ 汉字模式切换正确`);
+
+    // FS C 选择 Shift JIS，尾字节 0x5C 不应被国际字符集替换
+    const sjis = parseHexString('1B5208' + '1C4301' + '1C26' + '955C5C', 'gbk');
+    const sjisText = sjis[sjis.length - 1];
+    if (sjisText.text !== '表¥' || sjisText.kanjiCode !== 'Shift JIS') {
+      throw new Error(`Shift JIS 解码错误: ${sjisText.text}`);
+    }
+    // JIS 码: 两个字节均在 0x21~0x7E
+    const jis = parseHexString('1C4300' + '1C26' + '467C357E', 'gbk');
+    if (jis[jis.length - 1].text !== '日京') {
+      throw new Error('JIS 解码错误');
+    }
+    console.log(`✓ 汉字代码体系解码正确`);
+
+    // 双字节字符在数据块边界被截断时等待尾字节
+    const parser = createParser('gbk');
+    const first = parser.push(Buffer.from('1C26D6D0CE', 'hex'));
+    const rest = parser.push(Buffer.from('C40A', 'hex')).concat(parser.end());
+    const text = first
+      .concat(rest)
+      .filter((item) => item.type === 'text')
+      .map((item) => item.text)
+      .join('');
+    if (first.length !== 2 || text !== '中文\n') {
+      throw new Error('双字节字符跨块解析错误');
+    }
+    console.log(`✓ 双字节字符跨块解析正确`);
+
+    // FS - 汉字下划线与 FS ! 汉字打印模式
+    const styled = parseHexString('1C2D01D6D0CEC40A41420A1C2184', 'gbk');
+    if (formatAsText(styled) !== '_中文_\nAB') {
+      throw new Error('汉字下划线格式化错误');
+    }
+    const mode = styled[styled.length - 1];
+    if (mode.width !== 2 || mode.height !== 1 || mode.underline !== 1) {
+      throw new Error('汉字打印模式解析错误');
+    }
+    console.log(`✓ 汉字打印模式与下划线正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 汉字模式测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例16: 实时状态与打印机模拟器测试
+function testSimulator() {
+  console.log('\n测试16: 实时状态与模拟器');
+  console.log('-'.repeat(25));
+
+  try {
+    const items = parseHexString('100404' + '100502' + '1014010003' + '1D6109');
+    const descriptions = items.map((item) => item.description);
+    if (
+      descriptions[0] !== '实时状态传送: 传送纸张传感器状态' ||
+      items[2].fn !== 1 ||
+      items[3].enabled.join('、') !== '钱箱、纸张传感器'
+    ) {
+      throw new Error(`实时指令解析错误: ${descriptions.join(' / ')}`);
+    }
+    console.log(`✓ 实时指令解析正确`);
+
+    // 正常状态下各状态字节只有固定位
+    const simulator = new PrinterSimulator({ state: { paperNearEnd: true } });
+    const status = simulator.write(
+      Buffer.from('100401100402100403100404', 'hex')
+    );
+    if (status.toString('hex') !== '1212121e') {
+      throw new Error(`状态字节错误: ${status.toString('hex')}`);
+    }
+    console.log(`✓ 纸将尽状态返回正确`);
+
+    // 开盖后脱机，开启 ASB 时状态变化会主动返回
+    const asb = simulator.write(Buffer.from('1D6102', 'hex'));
+    if (asb.toString('hex') !== '10000300') {
+      throw new Error(`ASB 返回错误: ${asb.toString('hex')}`);
+    }
+    const changed = simulator.setState({ coverOpen: true });
+    if (changed.toString('hex') !== '38000300') {
+      throw new Error(`状态变化未返回: ${changed.toString('hex')}`);
+    }
+    const offline = simulator.write(Buffer.from('1004011004', 'hex'));
+    const cause = simulator.write(Buffer.from('02', 'hex'));
+    if (offline[0] !== 0x1a || cause[0] !== 0x16) {
+      throw new Error('脱机状态返回错误');
+    }
+    console.log(`✓ 开盖脱机与自动状态返回正确`);
+
+    // 接收已解析的项目时应答与写入数据相同
+    const received = new PrinterSimulator().receive(
+      parseHexString('1B401004041D6101', 'gbk')
+    );
+    if (received.toString('hex') !== '1210000000') {
+      throw new Error(`接收解析项目应答错误: ${received.toString('hex')}`);
+    }
+    console.log(`✓ 接收已解析项目的应答正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 实时状态测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+// 测试用例17: 钱箱与蜂鸣器测试
+function testDrawerAndBeeper() {
+  console.log('\n测试17: 钱箱与蜂鸣器');
+  console.log('-'.repeat(25));
+
+  try {
+    const items = parseHexString(
+      '1B7000197D' +
+        '1B70313232' +
+        '1014010003' +
+        '1B420302' +
+        '1B28410300300305'
+    );
+    const [drawer, drawer5, , beeper, control] = items;
+    if (drawer.pin !== 2 || drawer.onTime !== 50 || drawer.offTime !== 250) {
+      throw new Error(`钱箱脉冲解析错误: ${drawer.description}`);
+    }
+    if (drawer5.pin !== 5 || drawer5.onTime !== 100) {
+      throw new Error('钱箱引脚5解析错误');
+    }
+    if (beeper.times !== 3 || beeper.duration !== 100) {
+      throw new Error(`蜂鸣器解析错误: ${beeper.description}`);
+    }
+    if (control.pattern !== 3 || control.times !== 5) {
+      throw new Error(`蜂鸣器控制解析错误: ${control.description}`);
+    }
+    console.log(`✓ 钱箱与蜂鸣器指令解析正确`);
+
+    const summary = generateReport(items).summary;
+    if (summary.drawerKicks !== 3 || summary.beeps !== 2) {
+      throw new Error(
+        `统计错误: 钱箱 ${summary.drawerKicks}, 蜂鸣 ${summary.beeps}`
+      );
+    }
+    console.log(`✓ 钱箱脉冲与蜂鸣统计正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 钱箱与蜂鸣器测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testLint() {
+  console.log('\n测试18: 任务检查');
+  console.log('-'.repeat(25));
+
+  try {
+    const clean = lintBuffer(Buffer.from('1B4048690A1D5600', 'hex'));
+    if (clean.length !== 0) {
+      throw new Error(`正常任务不应有问题: ${clean[0].message}`);
+    }
+    console.log(`✓ 正常任务没有问题`);
+
+    const findings = lintBuffer(
+      Buffer.from(
+        '1B61071B4501' + '48690A' + '1D5600' + '41' + '1B99' + '1D21',
+        'hex'
+      )
+    );
+    const rules = findings.map((f) => `${f.rule}@${f.offset}`);
+    const expected = [
+      'invalid-param@0',
+      'missing-initialize@0',
+      'style-left-on@3',
+      'text-after-cut@12',
+      'unknown-command@13',
+      'truncated@15',
+    ];
+    if (rules.join(',') !== expected.join(',')) {
+      throw new Error(`检查结果错误: ${rules.join(', ')}`);
+    }
+    if (findings[0].severity !== 'error' || findings[5].severity !== 'error') {
+      throw new Error('问题级别错误');
+    }
+    console.log(`✓ 发现 ${findings.length} 个问题，位置正确`);
+
+    // 未知指令只报告一次，末尾单独的前缀字节视为截断
+    const prefixes = lintBuffer(Buffer.from('1B401B0F0A1D', 'hex')).map(
+      (f) => `${f.rule}@${f.offset}`
+    );
+    if (prefixes.join(',') !== 'unknown-command@2,truncated@5') {
+      throw new Error(`前缀字节检查错误: ${prefixes.join(', ')}`);
+    }
+    console.log(`✓ 未知指令与末尾前缀字节检查正确`);
+
+    const overflow = lintBuffer(Buffer.from('1B401D2110414243440A', 'hex'), {
+      lineWidth: 6,
+    });
+    if (!overflow.some((f) => f.rule === 'line-overflow' && f.offset === 5)) {
+      throw new Error('未发现倍宽文本超出行宽');
+    }
+    console.log(`✓ 倍宽文本超出行宽检查正确`);
+
+    // 字符间距、制表位与绝对位置同样计入行宽
+    const overflowAt = (hex, lineWidth) =>
+      lintBuffer(Buffer.from(hex, 'hex'), { lineWidth: lineWidth })
+        .filter((f) => f.rule === 'line-overflow')
+        .map((f) => f.offset)
+        .join(',');
+    if (
+      overflowAt('1B401B200C414243440A', 6) !== '5' ||
+      overflowAt('1B400941420A', 9) !== '3' ||
+      overflowAt('1B401B2448004142430A', 8) !== '6' ||
+      overflowAt('1B4041424344451B240000414243440A', 6) !== ''
+    ) {
+      throw new Error('字符间距、制表位或打印位置未计入行宽');
+    }
+    console.log(`✓ 字符间距、制表位与打印位置计入行宽`);
+
+    let rejected = false;
+    try {
+      parseHexString('zz');
+    } catch (error) {
+      rejected = error.message.includes('无效字符');
+    }
+    if (!rejected) {
+      throw new Error('无效的十六进制字符串应当报错');
+    }
+    console.log(`✓ 无效的十六进制字符串报错正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 任务检查测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testSourceMap() {
+  console.log('\n测试19: 字节位置与十六进制转储');
+  console.log('-'.repeat(25));
+
+  try {
+    const hex =
+      '1B40' + '48690A' + '07' + '1B2A000200FFFF0A1B2A000200FFFF' + '1D5600';
+    const buffer = Buffer.from(hex, 'hex');
+    const items = parseBuffer(buffer);
+    const ranges = items.map((item) => `${item.offset}+${item.length}`);
+    const expected = ['0+2', '2+2', '4+1', '6+15', '21+3'];
+    if (ranges.join(',') !== expected.join(',')) {
+      throw new Error(`项目位置错误: ${ranges.join(', ')}`);
+    }
+    for (const item of items) {
+      const bytes = buffer.slice(item.offset, item.offset + item.length);
+      if (item.raw !== bytes.toString('hex').toUpperCase()) {
+        throw new Error(`原始字节错误: ${item.description}`);
+      }
+    }
+    console.log(`✓ 项目位置与原始字节正确（含合并的位图切片）`);
+
+    // 分块解析时位置仍相对于整个输入
+    const parser = createParser();
+    const streamed = [];
+    for (let i = 0; i < buffer.length; i += 5) {
+      streamed.push(...parser.push(buffer.slice(i, i + 5)));
+    }
+    streamed.push(...parser.end());
+    const streamedRanges = streamed.map(
+      (item) => `${item.offset}+${item.length}`
+    );
+    if (streamedRanges.join(',') !== expected.join(',')) {
+      throw new Error(`分块解析位置错误: ${streamedRanges.join(', ')}`);
+    }
+    console.log(`✓ 分块解析的位置正确`);
+
+    const dump = formatAsHexdump(items, buffer).split('\n');
+    if (
+      !dump[0].startsWith('00000000  1B 40 ') ||
+      !dump[0].endsWith('|.@              |  初始化打印机')
+    ) {
+      throw new Error(`转储格式错误: ${dump[0]}`);
+    }
+    if (!dump.some((line) => line.startsWith('00000006  1B 2A'))) {
+      throw new Error('转储缺少位图');
+    }
+    if (!dump.some((line) => /^00000005 {2}07 .*未识别/.test(line))) {
+      throw new Error('转储缺少未识别的字节');
+    }
+    console.log(`✓ 十六进制转储共 ${dump.length} 行，注释正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 字节位置测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testProfiles() {
+  console.log('\n测试20: 打印机型号');
+  console.log('-'.repeat(25));
+
+  try {
+    const narrow = getProfile('generic-58mm');
+    if (getColumns(narrow) !== 32 || getColumns(narrow, 'B') !== 42) {
+      throw new Error(
+        `58mm 每行字符数错误: ${getColumns(narrow)}/${getColumns(narrow, 'B')}`
+      );
+    }
+    if (getColumns(getProfile('tm-t88')) !== 42) {
+      throw new Error('TM-T88 每行字符数错误');
+    }
+    if (!narrow.commands.includes('CUT_PAPER')) {
+      throw new Error('58mm 型号应支持切纸');
+    }
+    console.log(`✓ 内置型号每行字符数正确`);
+
+    const items = parseHexString('1B61024142430A');
+    const line = formatAsText(items, { profile: 'generic-58mm' });
+    if (line !== ' '.repeat(29) + 'ABC') {
+      throw new Error(`按型号格式化错误: "${line}"`);
+    }
+    console.log(`✓ 格式化文本使用型号的行宽`);
+
+    // 用户配置继承内置型号并覆盖字段
+    const profilePath = path.join(__dirname, 'temp-profile.json');
+    fs.writeFileSync(
+      profilePath,
+      JSON.stringify({
+        name: '测试打印机',
+        extends: 'generic-58mm',
+        paperWidth: 360,
+        unsupportedCommands: ['BEEPER'],
+      })
+    );
+    let custom;
+    try {
+      custom = getProfile(profilePath);
+    } finally {
+      fs.unlinkSync(profilePath);
+    }
+    if (getColumns(custom) !== 30 || custom.commands.includes('BEEPER')) {
+      throw new Error('用户型号配置加载错误');
+    }
+    console.log(`✓ 用户型号配置加载正确`);
+
+    const findings = lintBuffer(Buffer.from('1B401B4203021B7428', 'hex'), {
+      profile: custom,
+    });
+    const rules = findings.map((f) => `${f.rule}@${f.offset}`);
+    if (rules.join(',') !== 'unsupported-command@2,unsupported-code-page@6') {
+      throw new Error(`不支持的指令检查错误: ${rules.join(', ')}`);
+    }
+    const report = generateReport(parseHexString('1B401B420302'), {
+      profile: 'tm-t20',
+    });
+    if (report.unsupported.length !== 1 || report.unsupported[0].offset !== 2) {
+      throw new Error('报告中未列出不支持的指令');
+    }
+    console.log(`✓ 型号不支持的指令被标记`);
+
+    try {
+      getProfile('tm-xyz');
+      throw new Error('未知型号应当报错');
+    } catch (error) {
+      if (!error.message.includes('未知的打印机型号')) {
+        throw error;
+      }
+    }
+    console.log(`✓ 未知型号报错正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 打印机型号测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testDiff() {
+  console.log('\n测试21: 打印任务比较');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    const jobA = parseHexString(
+      '1B40' +
+        '1B6101' +
+        toHex('Shop\n') +
+        toHex('Total 1\n') +
+        toHex('Thanks\n') +
+        '1D5600'
+    );
+    // 新任务前面多了一条指令，字节位置整体后移
+    const jobB = parseHexString(
+      '1B40' +
+        '1B7000197D' +
+        '1B6101' +
+        toHex('Shop\n') +
+        '1B4501' +
+        toHex('Total 2\n') +
+        '1B4500' +
+        toHex('Thanks\n') +
+        '1D5600'
+    );
+
+    if (
+      !diffJobs(jobA, parseHexString(jobA.map((i) => i.raw).join(''))).equal
+    ) {
+      throw new Error('相同的任务应当没有差异');
+    }
+    console.log(`✓ 相同的任务没有差异`);
+
+    const result = diffJobs(jobA, jobB);
+    if (
+      result.equal ||
+      result.text.length !== 1 ||
+      result.text[0].before !== 'Total 1' ||
+      result.text[0].after !== 'Total 2'
+    ) {
+      throw new Error(`文本行差异错误: ${JSON.stringify(result.text)}`);
+    }
+    if (
+      result.commands.length !== 1 ||
+      result.commands[0].type !== 'added' ||
+      result.commands[0].command !== 'CASH_DRAWER'
+    ) {
+      throw new Error(`指令差异错误: ${JSON.stringify(result.commands)}`);
+    }
+    console.log(`✓ 文本行修改与新增指令识别正确`);
+
+    const styled = diffJobs(
+      parseHexString('1B6101' + toHex('Total\n')),
+      parseHexString('1B61021B4501' + toHex('Total\n'))
+    );
+    const changes = styled.style[0].changes.map(
+      (c) => `${c.field}:${c.before}>${c.after}`
+    );
+    if (changes.join(',') !== '对齐:居中>右,加粗:否>是') {
+      throw new Error(`样式差异错误: ${changes.join(', ')}`);
+    }
+    // 只有行间距与字符间距不同的任务也有差异
+    const spacing = diffJobs(
+      parseHexString(toHex('Total\n')),
+      parseHexString('1B33401B2002' + toHex('Total\n'))
+    );
+    const spacingChanges = spacing.equal
+      ? []
+      : spacing.style[0].changes.map((c) => c.field);
+    if (spacingChanges.join(',') !== '行间距,字符间距') {
+      throw new Error(`间距差异错误: ${spacingChanges.join(', ')}`);
+    }
+    console.log(`✓ 样式变化识别正确`);
+
+    const text = formatDiff(result).split('\n');
+    if (!text.includes('-Total 1') || !text.includes('+Total 2')) {
+      throw new Error(`差异文本错误: ${text.join(' | ')}`);
+    }
+    console.log(`✓ 统一差异格式输出正确`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 打印任务比较测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testPageMode() {
+  console.log('\n测试22: 页模式');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    // 打印区域 120x90 点（10列 x 3行），第二段文本从第60点开始
+    const page = (direction) =>
+      '1B4C' +
+      '1B570000000078005A00' +
+      `1B54${direction}` +
+      toHex('TOP\n') +
+      '1D243C00' +
+      toHex('Name: X\n') +
+      '0C';
+    const items = parseHexString(page('00') + toHex('after\n'));
+
+    const area = items.find((item) => item.command === 'PRINT_AREA');
+    if (area.width !== 120 || area.height !== 90) {
+      throw new Error(`打印区域解析错误: ${area.description}`);
+    }
+    const hex = (page('03') + '1B0C18' + '1B53').toUpperCase();
+    if (encode(parseHexString(hex)).toString('hex').toUpperCase() !== hex) {
+      throw new Error('页模式指令编码不一致');
+    }
+    console.log(`✓ 页模式指令解析与编码正确`);
+
+    const text = formatAsText(items).split('\n');
+    if (text.join('|') !== 'TOP||Name: X|after') {
+      throw new Error(`页面排版错误: ${text.join('|')}`);
+    }
+    // 从上到下打印：逻辑页面 7列 x 4行，顺时针旋转后第一行在最右侧
+    const rotated = formatAsText(parseHexString(page('03'))).split('\n');
+    if (rotated.length !== 7 || rotated[0] !== ' N T') {
+      throw new Error(`旋转页面错误: ${rotated.join('|')}`);
+    }
+    console.log(`✓ 文本格式化按坐标与方向排版页面`);
+
+    // 从右到左打印：页面旋转180度，第一行文字位于打印区域右下方
+    const image = renderRaster(parseHexString(page('02')), { paperWidth: 128 });
+    const isBlack = (x, y) =>
+      (image.bitmap[y * image.widthBytes + (x >> 3)] & (0x80 >> (x & 7))) !== 0;
+    let maxX = 0;
+    let maxY = 0;
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) {
+        if (isBlack(x, y)) {
+          maxX = Math.max(maxX, x);
+          maxY = Math.max(maxY, y);
+        }
+      }
+    }
+    if (image.height !== 90 || maxX < 100 || maxY < 70) {
+      throw new Error(`光栅页面位置错误: ${image.height}, (${maxX}, ${maxY})`);
+    }
+    console.log(`✓ 光栅渲染按打印方向旋转页面`);
+
+    const html = formatAsHtml(parseHexString(page('01')));
+    if (!html.includes('translateY(90px) rotate(-90deg)')) {
+      throw new Error('HTML 页面未旋转');
+    }
+    console.log(`✓ HTML 预览输出旋转的页面`);
+
+    // 行间距为0 (ESC 3 0) 时按字符高度排版，不能出错
+    const zeroSpacing = formatAsText(
+      parseHexString('1B33001B4C1B5700000000C8006400410C')
+    );
+    if (zeroSpacing.split('\n')[0] !== 'A') {
+      throw new Error(`行间距为0时页面排版错误: ${zeroSpacing}`);
+    }
+    console.log(`✓ 行间距为0时按字符高度排版页面`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 页模式测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testHorizontalLayout() {
+  console.log('\n测试23: 横向定位');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    // 制表位设在第20列，合计金额用 ESC $ 定位到第360点（第30列）
+    const receipt =
+      '1B441400' +
+      toHex('Coffee') +
+      '09' +
+      toHex('12.00\n') +
+      toHex('Tea') +
+      '09' +
+      toHex('8.50\n') +
+      toHex('Total') +
+      '1B246801' +
+      toHex('20.50\n');
+    const items = parseHexString(receipt);
+
+    const stops = items.find((item) => item.command === 'TAB_STOPS');
+    if (stops.stops.join(',') !== '20') {
+      throw new Error(`制表位解析错误: ${stops.description}`);
+    }
+    const hex = (
+      receipt +
+      '1D4C3000' +
+      '1D57F000' +
+      '1B5CF4FF' +
+      '1D500A14'
+    ).toUpperCase();
+    if (encode(parseHexString(hex)).toString('hex').toUpperCase() !== hex) {
+      throw new Error('定位指令编码不一致');
+    }
+    console.log(`✓ 定位指令解析与编码正确`);
+
+    const lines = formatAsText(items).split('\n');
+    if (
+      lines[0] !== 'Coffee              12.00' ||
+      lines[1] !== 'Tea                 8.50' ||
+      lines[2].indexOf('20.50') !== 30
+    ) {
+      throw new Error(`价格未对齐: ${lines.join('|')}`);
+    }
+    console.log(`✓ 制表与绝对位置按列对齐`);
+
+    // 移动单位 1/10 英寸：左边距 0.3 英寸约5列，打印区域宽2英寸约33列
+    const margin = formatAsText(
+      parseHexString(
+        '1D500A00' +
+          '1D4C0300' +
+          '1D571400' +
+          toHex('L\n') +
+          '1B6102' +
+          toHex('R\n')
+      )
+    ).split('\n');
+    if (margin[0] !== '     L' || margin[1].length !== 5 + 33) {
+      throw new Error(`边距错误: ${margin.join('|')}`);
+    }
+    console.log(`✓ 左边距与打印区域宽度按移动单位换算`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 横向定位测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testPrintModes() {
+  console.log('\n测试24: 打印模式');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    // ESC ! 0xB9: 字体B、加粗、倍高、倍宽、下划线
+    const hex = (
+      '1B21B9' +
+      toHex('Big!\n') +
+      '1B2100' +
+      '1B4701' +
+      '1B7B01' +
+      '1B5601' +
+      '1B7201' +
+      '1D6201' +
+      '1D4201' +
+      toHex('Hi!\n')
+    ).toUpperCase();
+    const items = parseHexString(hex);
+
+    const mode = items.find((item) => item.command === 'PRINT_MODE');
+    if (
+      mode.font !== 'B' ||
+      !mode.bold ||
+      !mode.doubleHeight ||
+      !mode.doubleWidth ||
+      !mode.underline
+    ) {
+      throw new Error(`打印模式解析错误: ${mode.description}`);
+    }
+    const rotation = items.find((item) => item.command === 'ROTATION');
+    const color = items.find((item) => item.command === 'PRINT_COLOR');
+    if (rotation.rotation !== 90 || color.color !== 'red') {
+      throw new Error('旋转或颜色解析错误');
+    }
+    if (encode(items).toString('hex').toUpperCase() !== hex) {
+      throw new Error('打印模式指令编码不一致');
+    }
+    console.log(`✓ 打印模式指令解析为明确的属性`);
+
+    const lines = formatAsText(items).split('\n');
+    // 倍高的行占两行输出
+    if (lines[0] !== '_【Big!】_ «字体B»' || lines[1] !== '') {
+      throw new Error(`组合打印模式未生效: ${lines.join('|')}`);
+    }
+    if (lines[2] !== 'Hi! «反白 重叠打印 倒置 旋转90度 红色 平滑»') {
+      throw new Error(`样式标签错误: ${lines[2]}`);
+    }
+    console.log(`✓ 文本格式化以标签标出样式`);
+
+    const findings = lintBuffer(Buffer.from(hex, 'hex')).filter(
+      (finding) => finding.rule === 'style-left-on'
+    );
+    if (!findings.some((finding) => finding.message.includes('倒置'))) {
+      throw new Error('任务检查未报告未关闭的倒置打印');
+    }
+    console.log(`✓ 任务检查报告未关闭的倒置打印`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 打印模式测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testLineWrap() {
+  console.log('\n测试25: 自动换行');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    const format = (hex, options) =>
+      formatAsText(parseHexString(hex), options).split('\n');
+
+    // 58mm 纸每行32个字符，超出部分按字符换行
+    const long = 'A'.repeat(40);
+    const wrapped = format(toHex(`${long}\n`), { profile: 'generic-58mm' });
+    if (wrapped.join('|') !== `${'A'.repeat(32)}|${'A'.repeat(8)}`) {
+      throw new Error(`长文本换行错误: ${wrapped.join('|')}`);
+    }
+    console.log(`✓ 长文本在打印区域宽度处换行`);
+
+    // 倍宽时每行16个字符，倍高的每行占两行输出
+    const large = format('1D2111' + toHex(`${'B'.repeat(20)}\n`) + '1D2100', {
+      profile: 'generic-58mm',
+    });
+    if (large.join('|') !== `${'B'.repeat(16)}||BBBB|`) {
+      throw new Error(`倍宽倍高排版错误: ${large.join('|')}`);
+    }
+    // 汉字占两列，字符间距计入宽度：(24 + 4) 点 x 14 > 384 点，每行13个汉字
+    const cjk = format('1B2004' + toHex(`${'中'.repeat(15)}\n`), {
+      profile: 'generic-58mm',
+    });
+    if (cjk.length !== 2 || cjk[1] !== '中中') {
+      throw new Error(`全角字符换行错误: ${cjk.join('|')}`);
+    }
+    console.log(`✓ 按倍宽、字符间距与全角字符计算宽度`);
+
+    // 倍宽文本居中时按纸上的宽度计算缩进
+    const centered = format('1B61011D2110' + toHex('TOTAL\n'));
+    if (centered[0] !== ' '.repeat(19) + 'TOTAL') {
+      throw new Error(`倍宽居中错误: "${centered[0]}"`);
+    }
+    console.log(`✓ 对齐按纸上的宽度计算`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 自动换行测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testItemState() {
+  console.log('\n测试26: 项目状态');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    // 左边距24点、居中、加粗、倍宽、代码表 WPC1252，ESC @ 之后恢复默认
+    const hex =
+      '1D4C1800' +
+      '1B6101' +
+      '1B4501' +
+      '1D2110' +
+      '1B7410' +
+      toHex('TOTAL\n') +
+      '1B40' +
+      toHex('plain\n');
+
+    const items = parseHexString(hex, 'utf8', { withState: true });
+    const texts = items.filter((item) => item.type === 'text');
+    const total = texts.find((item) => item.text === 'TOTAL').state;
+    if (
+      total.align !== ALIGN_TYPE.CENTER ||
+      !total.bold ||
+      total.widthScale !== 2 ||
+      total.codePage !== 'WPC1252' ||
+      total.leftMargin !== 24
+    ) {
+      throw new Error(`文本状态错误: ${JSON.stringify(total)}`);
+    }
+    const plain = texts.find((item) => item.text === 'plain').state;
+    if (
+      plain.align !== ALIGN_TYPE.LEFT ||
+      plain.bold ||
+      plain.codePage !== null ||
+      plain.leftMargin !== 0
+    ) {
+      throw new Error(`初始化后状态未恢复: ${JSON.stringify(plain)}`);
+    }
+    if (items.some((item) => item.type === 'command' && item.state)) {
+      throw new Error('指令项目不应附加状态');
+    }
+    console.log(`✓ 解析结果为文本项目附加生效的状态`);
+
+    // 按 GBK 解码的文本不报告 ESC t 0 选择的代码表
+    const gbkText = parseHexString('1B401B7400D6D0CEC40A', 'gbk', {
+      withState: true,
+    }).find((item) => item.type === 'text');
+    if (gbkText.text !== '中文' || gbkText.state.codePage !== null) {
+      throw new Error(`代码表与实际解码不符: ${gbkText.state.codePage}`);
+    }
+    console.log(`✓ 状态中的代码表为实际解码使用的代码表`);
+
+    const plainItems = parseHexString(hex);
+    const report = generateReport(plainItems, { withState: true });
+    if (
+      plainItems.some((item) => item.state) ||
+      !report.items
+        .filter((item) => item.type === 'text')
+        .every((item) => item.state)
+    ) {
+      throw new Error('报告未附加状态或修改了原解析结果');
+    }
+    console.log(`✓ 报告按选项附加状态且不修改原解析结果`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 项目状态测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testReceiptQuery() {
+  console.log('\n测试27: 小票查询');
+  console.log('-'.repeat(25));
+
+  try {
+    const toHex = (text) => Buffer.from(text).toString('hex');
+    const buffer = Buffer.from(
+      '1B40' +
+        '1B6101' +
+        toHex('Coffee Shop\n') +
+        '1B6100' +
+        toHex('Items\n') +
+        toHex('Latte') +
+        '09' +
+        toHex('4.50\n') +
+        '1B4501' +
+        toHex('Total 4.50\n') +
+        '1B4500' +
+        toHex('Thanks\n') +
+        '1D6B04' +
+        toHex('A123') +
+        '00' +
+        '1D5600',
+      'hex'
+    );
+    const receipt = analyze(buffer);
+
+    const lines = receipt.lines();
+    if (
+      lines.length !== 5 ||
+      lines[0].formatted !== ' '.repeat(18) + 'Coffee Shop'
+    ) {
+      throw new Error(
+        `文本行错误: ${lines.map((line) => line.text).join('|')}`
+      );
+    }
+    const total = receipt.findText(/^Total/);
+    if (
+      total.length !== 1 ||
+      !total[0].style.bold ||
+      total[0].offset !== buffer.indexOf('Total')
+    ) {
+      throw new Error(`查找文本错误: ${JSON.stringify(total)}`);
+    }
+    if (receipt.findText('Coffee')[0].style.align !== ALIGN_TYPE.CENTER) {
+      throw new Error('标题行未居中');
+    }
+    // 换行前恢复样式时，行的样式取自打印文本时的设置
+    const reset = analyze(
+      Buffer.from(
+        '1B61011B4501' + toHex('TOTAL 9.99') + '1B45001B61000A',
+        'hex'
+      )
+    );
+    const style = reset.findText('TOTAL')[0].style;
+    if (!style.bold || style.align !== ALIGN_TYPE.CENTER) {
+      throw new Error(`换行前恢复样式后行样式错误: ${JSON.stringify(style)}`);
+    }
+    // 全局正则表达式不受上一行匹配位置的影响
+    if (receipt.findText(/4\.50/g).length !== 2) {
+      throw new Error('全局正则表达式查找结果错误');
+    }
+    console.log(`✓ 按文本查找行及其样式与位置`);
+
+    if (
+      receipt.cuts().length !== 1 ||
+      receipt.barcodes()[0].text !== 'A123' ||
+      receipt.images().length !== 0 ||
+      receipt.commands('BOLD').length !== 2
+    ) {
+      throw new Error('指令、条码或切纸查询错误');
+    }
+    console.log(`✓ 查询指令、条码、图像与切纸`);
+
+    const items = receipt.section('Items', 'Thanks');
+    if (
+      items
+        .lines()
+        .map((line) => line.text)
+        .join('|') !== 'Latte   4.50|Total 4.50' ||
+      items.commands('BOLD').length !== 2 ||
+      items.barcodes().length !== 0
+    ) {
+      throw new Error(
+        `截取部分错误: ${items.lines().map((line) => line.text)}`
+      );
+    }
+    if (receipt.section('Thanks').barcodes().length !== 1) {
+      throw new Error('截取到末尾时缺少条码');
+    }
+    let missing = false;
+    try {
+      receipt.section('Subtotal', 'Thanks');
+    } catch (error) {
+      missing = true;
+    }
+    if (!missing) {
+      throw new Error('起始行不存在时应当抛出错误');
+    }
+    console.log(`✓ 截取两行之间的部分`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 小票查询测试失败: ${error.message}`);
+    return false;
+  }
+}
+
+function testExtract() {
+  console.log('\n测试28: 小票提取');
+  console.log('-'.repeat(25));
+
+  try {
+    const english = Buffer.concat([
+      Buffer.from('1B401B6101', 'hex'),
+      Buffer.from('Coffee Shop\n123 Main St\nDate: 2024-01-15 14:30:25\n'),
+      Buffer.from('1B6100', 'hex'),
+      Buffer.from(
+        'Item                    Price\n' +
+          'Espresso                 $3.50\n' +
+          'Latte x2                 $8.50\n' +
+          'Muffin       2    $1.25  $2.50\n' +
+          '--------------------------------\n' +
+          'Subtotal:               $14.50\n' +
+          'Tax (8.5%):              $1.23\n' +
+          'Total:                  $15.73\n' +
+          'Payment: Credit Card\n' +
+          'Card: **** 1234\n'
+      ),
+      Buffer.from('1D6B04', 'hex'),
+      Buffer.from('A123'),
+      Buffer.from('001D5600', 'hex'),
+    ]);
+    const doc = extractReceipt(english);
+
+    if (
+      doc.rules !== 'English' ||
+      doc.merchant.name !== 'Coffee Shop' ||
+      doc.merchant.lines.length !== 2
+    ) {
+      throw new Error(`商户信息错误: ${JSON.stringify(doc.merchant)}`);
+    }
+    const items = doc.items
+      .map(
+        (item) =>
+          `${item.name}/${item.quantity}/${item.unitPrice}/${item.amount}`
+      )
+      .join('|');
+    if (items !== 'Espresso/null/null/3.5|Latte/2/null/8.5|Muffin/2/1.25/2.5') {
+      throw new Error(`商品明细错误: ${items}`);
+    }
+    if (
+      doc.totals.subtotal !== 14.5 ||
+      doc.totals.tax !== 1.23 ||
+      doc.totals.total !== 15.73 ||
+      doc.payment.method !== 'Credit Card' ||
+      doc.fields.Card !== '**** 1234'
+    ) {
+      throw new Error(`合计或支付信息错误: ${JSON.stringify(doc.totals)}`);
+    }
+    if (
+      doc.timestamps[0] !== '2024-01-15 14:30:25' ||
+      doc.codes[0].data !== 'A123'
+    ) {
+      throw new Error('时间或条码内容错误');
+    }
+    console.log(`✓ 英文小票提取商户、明细、合计与支付信息`);
+
+    // 中文小票：价格用 ESC $ 定位到第30列
+    const column = '1B246801';
+    const chinese = Buffer.concat([
+      Buffer.from('1B401B6101', 'hex'),
+      iconv.encode('星巴克咖啡\n', 'gbk'),
+      Buffer.from('1B6100', 'hex'),
+      iconv.encode('时间: 2024年3月5日 12:01\n', 'gbk'),
+      iconv.encode('拿铁 x2', 'gbk'),
+      Buffer.from(column, 'hex'),
+      iconv.encode('64.00\n合计', 'gbk'),
+      Buffer.from(column, 'hex'),
+      iconv.encode('64.00\n微信支付', 'gbk'),
+      Buffer.from(column, 'hex'),
+      iconv.encode('64.00\n', 'gbk'),
+    ]);
+    const zh = extractReceipt(chinese, { encoding: 'gbk' });
+    if (
+      zh.rules !== '中文' ||
+      zh.items.length !== 1 ||
+      zh.items[0].name !== '拿铁' ||
+      zh.items[0].quantity !== 2 ||
+      zh.totals.total !== 64 ||
+      zh.payment.method !== '微信支付' ||
+      zh.timestamps[0] !== '2024年3月5日 12:01'
+    ) {
+      throw new Error(`中文小票提取错误: ${JSON.stringify(zh)}`);
+    }
+    console.log(`✓ 中文小票按定位后的栏提取`);
+
+    // 名称与金额之间只有一个空格
+    const compact = extractReceipt(
+      Buffer.from(
+        'Corner Cafe\nIced Latte 6.00\nMuffin x2 7.00\n' +
+          'Subtotal 13.00\nTax 1.04\nTotal 14.04\nCash $20.00\nChange 5.96\n'
+      )
+    );
+    if (
+      compact.merchant.name !== 'Corner Cafe' ||
+      compact.items.length !== 2 ||
+      compact.items[0].name !== 'Iced Latte' ||
+      compact.items[1].quantity !== 2 ||
+      compact.totals.subtotal !== 13 ||
+      compact.totals.total !== 14.04 ||
+      compact.payment.amount !== 20 ||
+      compact.payment.change !== 5.96
+    ) {
+      throw new Error(`单空格小票提取错误: ${JSON.stringify(compact)}`);
+    }
+    console.log(`✓ 单空格分隔的金额按行末金额提取`);
+
+    // 自定义规则：继承英文规则，三栏为名称、单价、金额
+    const custom = extractReceipt(
+      Buffer.from('Tea     $2.00    $4.00\nDue     $4.00\n'),
+      {
+        rules: {
+          extends: 'en',
+          columns: { 3: ['name', 'unitPrice', 'amount'] },
+          totals: { total: '^due' },
+        },
+      }
+    );
+    if (custom.items[0].unitPrice !== 2 || custom.totals.total !== 4) {
+      throw new Error(`自定义规则未生效: ${JSON.stringify(custom)}`);
+    }
+    console.log(`✓ 自定义规则覆盖栏与正则`);
+
+    return true;
+  } catch (error) {
+    console.log(`✗ 小票提取测试失败: ${error.message}`);
+    return false;
+  }
+}
+
 // 运行所有测试
-function runTests() {
+async function runTests() {
   console.log('开始测试...\n');
 
   const tests = [
     { name: '基本功能', func: testBasicFunctionality },
     { name: '文件处理', func: testFileProcessing },
     { name: '实际数据', func: testRealData },
+    { name: '光栅位图', func: testRasterImage },
+    { name: '列格式位图', func: testColumnImage },
+    { name: '一维条码', func: testBarcode },
+    { name: '二维码', func: testSymbol },
+    { name: '指令参数布局', func: testParamLayout },
+    { name: 'HTML 预览', func: testHtmlPreview },
+    { name: '光栅渲染', func: testRasterRender },
+    { name: '流式解析', func: testStreamParser },
+    { name: '打印代理', func: testProxy },
+    { name: '编码往返', func: testEncode },
+    { name: '字符代码表', func: testCodePage },
+    { name: '汉字模式', func: testKanjiMode },
+    { name: '实时状态与模拟器', func: testSimulator },
+    { name: '钱箱与蜂鸣器', func: testDrawerAndBeeper },
+    { name: '任务检查', func: testLint },
+    { name: '字节位置', func: testSourceMap },
+    { name: '打印机型号', func: testProfiles },
+    { name: '任务比较', func: testDiff },
+    { name: '页模式', func: testPageMode },
+    { name: '横向定位', func: testHorizontalLayout },
+    { name: '打印模式', func: testPrintModes },
+    { name: '自动换行', func: testLineWrap },
+    { name: '项目状态', func: testItemState },
+    { name: '小票查询', func: testReceiptQuery },
+    { name: '小票提取', func: testExtract },
   ];
 
   let passed = 0;
 
-  tests.forEach((test) => {
-    if (test.func()) {
+  for (const test of tests) {
+    if (await test.func()) {
       passed++;
     }
-  });
+  }
 
   console.log('\n' + '='.repeat(50));
   console.log(`测试结果: ${passed}/${tests.length} 通过`);